@@ -0,0 +1,230 @@
+'use strict';
+const { errorCode } = require('./constants');
+const { SftpError } = require('./errors');
+const { sleep } = require('./utils');
+
+// longest single wait, so limit changes take effect promptly
+const maxDelay = 100;
+
+/**
+ * Token bucket used to limit the bandwidth of data transfers. The bucket holds
+ * at most one second's worth of bytes. Bytes are taken from the bucket as
+ * data is transferred and transfers wait while the bucket is empty. All
+ * streams throttled by the same limiter share its bandwidth, so a single
+ * limiter can be shared between several clients to limit their combined
+ * bandwidth. A limit of 0 means no limit.
+ */
+class BandwidthLimiter {
+  /**
+   * @param {Number} limit - (Optional) limit in bytes per second. Default is
+   * 0 i.e. no limit.
+   */
+  constructor(limit = 0) {
+    this.limit = 0;
+    this.tokens = 0;
+    this.last = Date.now();
+    this.setLimit(limit);
+  }
+
+  /**
+   * Change the limit. The new limit applies to transfers already in progress.
+   *
+   * @param {Number} limit - limit in bytes per second or 0 for no limit
+   * @throws {SftpError} if the limit is not a number >= 0
+   */
+  setLimit(limit = 0) {
+    if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+      const err = new SftpError(
+        `BandwidthLimiter: Bandwidth limit must be a number >= 0, got ${limit}`,
+        { code: errorCode.generic, operation: 'BandwidthLimiter' },
+      );
+      err.custom = true;
+      throw err;
+    }
+    this._refill();
+    this.limit = limit;
+    this.tokens = Math.min(this.tokens, limit);
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = this.limit
+      ? Math.min(this.limit, this.tokens + ((now - this.last) / 1000) * this.limit)
+      : 0;
+    this.last = now;
+  }
+
+  /**
+   * Take bytes from the bucket. The bucket can go into debt, which later
+   * callers of wait() have to wait for.
+   *
+   * @param {Number} bytes - number of bytes transferred
+   */
+  consume(bytes) {
+    if (this.limit) {
+      this._refill();
+      this.tokens -= bytes;
+    }
+  }
+
+  /**
+   * Wait until the bucket is no longer in debt.
+   *
+   * @returns {Promise|undefined} promise which resolves when the transfer can
+   * continue or undefined if it can continue immediately
+   */
+  wait() {
+    this._refill();
+    if (!this.limit || this.tokens >= 0) {
+      return;
+    }
+    const delay = Math.ceil((-this.tokens / this.limit) * 1000);
+    return sleep(Math.min(delay, maxDelay)).then(() => this.wait());
+  }
+
+  /**
+   * Take bytes from the bucket and wait until the bucket is no longer in debt.
+   *
+   * @param {Number} bytes - number of bytes to be transferred
+   * @returns {Promise|undefined} as for wait()
+   */
+  take(bytes) {
+    this.consume(bytes);
+    return this.wait();
+  }
+}
+
+/**
+ * Applies several limiters to the same transfer. Bytes are taken from every
+ * limiter and transfers wait until none of them is in debt, so the lowest
+ * limit wins.
+ */
+class LimiterGroup {
+  /**
+   * @param {Array} limiters - BandwidthLimiter objects
+   */
+  constructor(limiters) {
+    this.limiters = limiters;
+  }
+
+  consume(bytes) {
+    for (const limiter of this.limiters) {
+      limiter.consume(bytes);
+    }
+  }
+
+  wait() {
+    const waits = this.limiters.map((limiter) => limiter.wait()).filter(Boolean);
+    if (waits.length === 0) {
+      return;
+    }
+    // another transfer may have used one limiter while waiting for the others
+    return Promise.all(waits).then(() => this.wait());
+  }
+
+  take(bytes) {
+    this.consume(bytes);
+    return this.wait();
+  }
+}
+
+/**
+ * Map a 'bandwidthLimit' option to a limiter. A BandwidthLimiter or
+ * LimiterGroup is used as is, allowing one limiter to be shared. A number
+ * creates a new limiter. The 'shared' limiter, normally the client limiter,
+ * is applied as well, so a per-call limit can lower but never raise it.
+ *
+ * @param {Number|BandwidthLimiter|LimiterGroup} limit - bandwidth limit option
+ * @param {BandwidthLimiter} shared - (Optional) limiter which also applies
+ * @returns {BandwidthLimiter|LimiterGroup}
+ */
+function bandwidthLimiter(limit, shared) {
+  const limiter =
+    limit instanceof BandwidthLimiter || limit instanceof LimiterGroup
+      ? limit
+      : new BandwidthLimiter(limit);
+  if (
+    !shared ||
+    limiter === shared ||
+    (limiter instanceof LimiterGroup && limiter.limiters.includes(shared))
+  ) {
+    return limiter;
+  }
+  return new LimiterGroup([limiter, shared]);
+}
+
+/**
+ * Call 'fn' once 'wait' resolves. If there is nothing to wait for, 'fn' is
+ * called immediately. If the stream is destroyed while waiting, 'cb' is
+ * called instead. Errors raised while waiting or by a delayed call of 'fn'
+ * destroy the stream, as there is no caller to return them to.
+ *
+ * @param {Object} stream - stream being throttled
+ * @param {Promise|undefined} wait - value returned by the limiter
+ * @param {Function} fn - function to call
+ * @param {Function} cb - (Optional) stream callback
+ */
+function afterWait(stream, wait, fn, cb) {
+  if (!wait) {
+    fn();
+    return;
+  }
+  const resume = () => {
+    if (stream.destroyed) {
+      cb?.();
+    } else {
+      fn();
+    }
+  };
+  wait.then(resume).catch((err) => stream.destroy(err));
+}
+
+/**
+ * Throttle an ssh2 sftp read or write stream. Reads are delayed while the
+ * limiter is in debt and the bytes read are taken from the limiter. Writes
+ * take their bytes from the limiter before they are sent. The stream is
+ * modified in place and returned.
+ *
+ * @param {Object} stream - ssh2 sftp ReadStream or WriteStream
+ * @param {BandwidthLimiter} limiter - limiter to use
+ * @returns {Object} the stream
+ */
+function throttleStream(stream, limiter) {
+  if (!limiter) {
+    return stream;
+  }
+  if (typeof stream._read === 'function') {
+    const read = stream._read;
+    const push = stream.push;
+    stream._read = function (n) {
+      afterWait(this, limiter.wait(), () => read.call(this, n));
+    };
+    stream.push = function (chunk, encoding) {
+      if (chunk) {
+        limiter.consume(chunk.length);
+      }
+      return push.call(this, chunk, encoding);
+    };
+  }
+  if (typeof stream._write === 'function') {
+    const write = stream._write;
+    stream._write = function (chunk, encoding, cb) {
+      const wait = limiter.take(chunk.length);
+      afterWait(this, wait, () => write.call(this, chunk, encoding, cb), cb);
+    };
+  }
+  if (typeof stream._writev === 'function') {
+    const writev = stream._writev;
+    stream._writev = function (chunks, cb) {
+      const bytes = chunks.reduce((total, c) => total + c.chunk.length, 0);
+      afterWait(this, limiter.take(bytes), () => writev.call(this, chunks, cb), cb);
+    };
+  }
+  return stream;
+}
+
+module.exports = {
+  BandwidthLimiter,
+  bandwidthLimiter,
+  throttleStream,
+};
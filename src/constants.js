@@ -6,6 +6,14 @@ const errorCode = {
   notexist: 'ENOENT',
   notdir: 'ENOTDIR',
   badAuth: 'ERR_BAD_AUTH',
+  poolClosed: 'ERR_POOL_CLOSED',
+  poolTimeout: 'ERR_POOL_TIMEOUT',
+  sizeMismatch: 'ERR_SIZE_MISMATCH',
+  checksumMismatch: 'ERR_CHECKSUM_MISMATCH',
+  notSupported: 'ERR_NOT_SUPPORTED',
+  noSpace: 'ERR_NO_SPACE',
+  badMode: 'ERR_BAD_MODE',
+  aborted: 'ABORT_ERR',
 };
 
 const targetType = {
@@ -17,7 +25,24 @@ const targetType = {
   writeObj: 6,
 };
 
+// capability names reported by getCapabilities() mapped to the SFTP
+// extension names advertised by the server
+const sftpExtensions = {
+  posixRename: 'posix-rename@openssh.com',
+  statvfs: 'statvfs@openssh.com',
+  fstatvfs: 'fstatvfs@openssh.com',
+  hardlink: 'hardlink@openssh.com',
+  fsync: 'fsync@openssh.com',
+  lsetstat: 'lsetstat@openssh.com',
+  limits: 'limits@openssh.com',
+  homeDirectory: 'home-directory',
+  expandPath: 'expand-path@openssh.com',
+  copyData: 'copy-data',
+  copyFile: 'copy-file',
+};
+
 module.exports = {
   errorCode,
   targetType,
+  sftpExtensions,
 };
@@ -0,0 +1,162 @@
+'use strict';
+const { errorCode } = require('./constants');
+
+/**
+ * Base class for errors raised by ssh2-sftp-client. The 'code' property has
+ * the same values as in earlier versions i.e. either one of the codes in
+ * constants.js, a node system error code or the numeric SFTP status code
+ * returned by the server. Additional properties describe the failed operation.
+ *
+ * operation - name of the method which raised the error
+ * remotePath - remote path the operation was working on, if known
+ * localPath - local path the operation was working on, if known
+ * status - numeric SFTP status code returned by the server, if any
+ * retryCount - number of attempts made before giving up, if retried
+ * cause - the underlying error, if any
+ */
+class SftpError extends Error {
+  /**
+   * @param {String} message - error message
+   * @param {Object} details - (Optional) object with 'code', 'operation',
+   * 'remotePath', 'localPath', 'status', 'retryCount' and 'cause' properties
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : {});
+    this.name = new.target.name;
+    this.code = details.code ?? errorCode.generic;
+    this.operation = details.operation;
+    this.remotePath = details.remotePath;
+    this.localPath = details.localPath;
+    this.status = details.status;
+    this.retryCount = details.retryCount;
+  }
+}
+
+/**
+ * The connection to the server could not be established, was lost or is not
+ * available.
+ */
+class ConnectionError extends SftpError {}
+
+/**
+ * The remote or local path does not exist.
+ */
+class PathNotFoundError extends SftpError {}
+
+/**
+ * The server or local file system refused access to the path.
+ */
+class PermissionDeniedError extends SftpError {}
+
+/**
+ * A directory was required, but the path is not a directory.
+ */
+class NotADirectoryError extends SftpError {}
+
+/**
+ * Data transfer failed e.g. a stream error, a size or checksum mismatch or
+ * insufficient space.
+ */
+class TransferError extends SftpError {}
+
+/**
+ * The operation was cancelled because its AbortSignal fired or its timeout
+ * expired. The 'cause' property is the abort reason.
+ */
+class AbortError extends SftpError {}
+
+// SFTP status codes from the server
+const sftpStatus = {
+  noSuchFile: 2,
+  permissionDenied: 3,
+  noConnection: 6,
+  connectionLost: 7,
+};
+
+const connectionCodes = new Set([
+  errorCode.connect,
+  errorCode.badAuth,
+  'ENOTFOUND',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'ERR_SOCKET_BAD_PORT',
+  sftpStatus.noConnection,
+  sftpStatus.connectionLost,
+]);
+
+const connectionOperations = new Set([
+  'connect',
+  'reconnect',
+  'getConnection',
+  'getSftpChannel',
+]);
+
+const transferCodes = new Set([
+  errorCode.sizeMismatch,
+  errorCode.checksumMismatch,
+  errorCode.noSpace,
+]);
+
+const transferOperations = new Set([
+  'get',
+  'put',
+  'fastGet',
+  'fastPut',
+  'append',
+  'resumeGet',
+  'resumePut',
+  'atomicPut',
+  'uploadDir',
+  'uploadFile',
+  'downloadDir',
+  'downloadFile',
+  'syncUp',
+  'syncDown',
+  'rcopy',
+  'copyData',
+  'serverCopy',
+]);
+
+/**
+ * Select the error class for an error code and the operation which raised
+ * the error. Errors which don't fall into one of the more specific classes
+ * use SftpError.
+ *
+ * @param {String|Number} code - error code
+ * @param {String} operation - name of the operation raising the error
+ * @returns {Function} error class
+ */
+function errorClass(code, operation) {
+  if (code === errorCode.aborted) {
+    return AbortError;
+  }
+  if (connectionCodes.has(code) || connectionOperations.has(operation)) {
+    return ConnectionError;
+  }
+  if (code === sftpStatus.noSuchFile || code === errorCode.notexist) {
+    return PathNotFoundError;
+  }
+  if (code === sftpStatus.permissionDenied || code === errorCode.permission) {
+    return PermissionDeniedError;
+  }
+  if (code === errorCode.notdir) {
+    return NotADirectoryError;
+  }
+  if (transferCodes.has(code) || transferOperations.has(operation)) {
+    return TransferError;
+  }
+  return SftpError;
+}
+
+module.exports = {
+  SftpError,
+  ConnectionError,
+  PathNotFoundError,
+  PermissionDeniedError,
+  NotADirectoryError,
+  TransferError,
+  AbortError,
+  errorClass,
+};
@@ -0,0 +1,260 @@
+'use strict';
+const { errorCode } = require('./constants');
+const { ConnectionError, errorClass } = require('./errors');
+
+// SFTP packet types used by the channel
+const packetType = {
+  init: 1,
+  version: 2,
+  status: 101,
+  extended: 200,
+  extendedReply: 201,
+};
+
+const statusOK = 0;
+
+function channelError(msg, code = errorCode.generic, ErrorClass) {
+  const Class = ErrorClass ?? errorClass(code, 'extendedRequest');
+  const err = new Class(`extendedRequest: ${msg}`, {
+    code,
+    operation: 'extendedRequest',
+  });
+  err.custom = true;
+  return err;
+}
+
+/**
+ * Encode a value as an SFTP string.
+ *
+ * @param {String|Buffer} value - string or binary data
+ * @returns {Buffer}
+ */
+function sftpString(value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  return Buffer.concat([len, data]);
+}
+
+/**
+ * Encode a number as an SFTP uint32.
+ *
+ * @param {Number} value
+ * @returns {Buffer}
+ */
+function uint32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value);
+  return buf;
+}
+
+/**
+ * Encode a number as an SFTP uint64.
+ *
+ * @param {Number} value
+ * @returns {Buffer}
+ */
+function uint64(value) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(value));
+  return buf;
+}
+
+/**
+ * Read an SFTP string from 'buf'.
+ *
+ * @param {Buffer} buf - packet data
+ * @param {Number} offset - offset of the string length
+ * @returns {Array} the string data as a Buffer and the offset after the string
+ */
+function readString(buf, offset) {
+  const len = buf.readUInt32BE(offset);
+  return [buf.subarray(offset + 4, offset + 4 + len), offset + 4 + len];
+}
+
+/**
+ * A second SFTP session used to send extended requests which the ssh2 SFTP
+ * client does not support, such as 'check-file' and 'md5-hash'. ssh2
+ * discards the reply data of extended requests it does not know about, so
+ * these requests are sent on a separate 'sftp' subsystem channel opened with
+ * the public Client.subsys() method, which only carries the requests sent by
+ * this class. Only the SFTP version 3 packets needed to send extended
+ * requests and read their replies are implemented.
+ */
+class ExtendedChannel {
+  /**
+   * @param {Object} stream - ssh2 channel for the 'sftp' subsystem
+   */
+  constructor(stream) {
+    this.stream = stream;
+    this.version = undefined;
+    this.extensions = {};
+    this.requests = new Map();
+    this.reqid = 0;
+    this.closed = false;
+    this.buffer = Buffer.alloc(0);
+    this.onVersion = undefined;
+    stream.on('data', (data) => this._onData(data));
+    stream.on('error', (err) => this._close(err));
+    stream.on('close', () => this._close());
+  }
+
+  /**
+   * @async
+   *
+   * Open an 'sftp' subsystem channel on an ssh2 client and negotiate SFTP
+   * version 3. The negotiated version and the extensions advertised by the
+   * server are available from the 'version' and 'extensions' properties.
+   *
+   * @param {Object} client - connected ssh2 Client
+   * @returns {Promise<ExtendedChannel>}
+   */
+  static open(client) {
+    return new Promise((resolve, reject) => {
+      client.subsys('sftp', (err, stream) => {
+        if (err) {
+          reject(channelError(err.message, err.code, ConnectionError));
+          return;
+        }
+        const channel = new ExtendedChannel(stream);
+        channel.onVersion = (versionErr) => {
+          channel.onVersion = undefined;
+          if (versionErr) {
+            reject(versionErr);
+          } else {
+            resolve(channel);
+          }
+        };
+        channel._send(packetType.init, uint32(3));
+      });
+    });
+  }
+
+  /**
+   * Test if the server advertised the named extension.
+   *
+   * @param {String} name - extension name e.g. 'check-file'
+   * @returns {Boolean}
+   */
+  hasExtension(name) {
+    return this.extensions[name] !== undefined;
+  }
+
+  /**
+   * @async
+   *
+   * Send an extended request.
+   *
+   * @param {String} name - request name e.g. 'check-file-name'
+   * @param {Array<Buffer>} fields - request data, encoded with the sftpString(),
+   * uint32() and uint64() helpers
+   * @returns {Promise<Buffer|undefined>} the reply data or undefined if the
+   * server replied with an OK status
+   */
+  request(name, fields = []) {
+    if (this.closed) {
+      return Promise.reject(
+        channelError('Channel is closed', errorCode.connect, ConnectionError),
+      );
+    }
+    return new Promise((resolve, reject) => {
+      this.reqid = (this.reqid + 1) % 2 ** 32;
+      this.requests.set(this.reqid, { name, resolve, reject });
+      this._send(
+        packetType.extended,
+        Buffer.concat([uint32(this.reqid), sftpString(name), ...fields]),
+      );
+    });
+  }
+
+  /**
+   * Close the channel. Requests still waiting for a reply are rejected.
+   */
+  close() {
+    if (!this.closed) {
+      this.stream.end();
+      this._close();
+    }
+  }
+
+  _send(type, body) {
+    this.stream.write(
+      Buffer.concat([uint32(body.length + 1), Buffer.from([type]), body]),
+    );
+  }
+
+  _close(err) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    const reason =
+      err ?? channelError('Channel closed', errorCode.connect, ConnectionError);
+    this.onVersion?.(reason);
+    for (const req of this.requests.values()) {
+      req.reject(reason);
+    }
+    this.requests.clear();
+  }
+
+  _onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (this.buffer.length >= 4) {
+      const len = this.buffer.readUInt32BE(0);
+      if (this.buffer.length < 4 + len) {
+        return;
+      }
+      const packet = this.buffer.subarray(4, 4 + len);
+      this.buffer = this.buffer.subarray(4 + len);
+      try {
+        this._onPacket(packet[0], packet.subarray(1));
+      } catch (err) {
+        this._close(channelError(`Malformed packet: ${err.message}`));
+        this.stream.end();
+        return;
+      }
+    }
+  }
+
+  _onPacket(type, payload) {
+    if (type === packetType.version) {
+      this.version = payload.readUInt32BE(0);
+      let offset = 4;
+      while (offset < payload.length) {
+        const [name, next] = readString(payload, offset);
+        const [value, end] = readString(payload, next);
+        this.extensions[name.toString()] = value.toString();
+        offset = end;
+      }
+      this.onVersion?.();
+      return;
+    }
+    const reqid = payload.readUInt32BE(0);
+    const req = this.requests.get(reqid);
+    if (!req) {
+      return;
+    }
+    this.requests.delete(reqid);
+    if (type === packetType.extendedReply) {
+      req.resolve(payload.subarray(4));
+    } else if (type === packetType.status) {
+      const code = payload.readUInt32BE(4);
+      if (code === statusOK) {
+        req.resolve();
+      } else {
+        const message = payload.length > 8 ? readString(payload, 8)[0].toString() : '';
+        req.reject(channelError(`${req.name}: ${message || `status ${code}`}`, code));
+      }
+    } else {
+      req.reject(channelError(`${req.name}: Unexpected reply type ${type}`));
+    }
+  }
+}
+
+module.exports = {
+  ExtendedChannel,
+  sftpString,
+  uint32,
+  uint64,
+  readString,
+};
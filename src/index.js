@@ -1,8 +1,10 @@
 'use strict';
 const { Client } = require('ssh2');
 const fs = require('node:fs');
+const { createHash, randomBytes } = require('node:crypto');
 const concat = require('concat-stream');
 const { join, parse } = require('node:path');
+const { addAbortSignal } = require('node:stream');
 const {
   globalListener,
   addTempListeners,
@@ -10,14 +12,58 @@ const {
   haveConnection,
   normalizeRemotePath,
   localExists,
+  localList,
   haveLocalAccess,
   haveLocalCreate,
   partition,
+  mapLimit,
+  taskQueue,
+  createReport,
+  collectError,
+  sleep,
+  createProgress,
+  verifyAlgorithm,
+  preserveAttrs,
+  methodOptions,
+  abortSignal,
+  isSymbolicMode,
+  resolveMode,
+  hashFile,
+  globToRegExp,
+  globFilter,
+  pathFilter,
+  splitGlob,
 } = require('./utils');
-const { errorCode } = require('./constants');
+const { errorCode, sftpExtensions } = require('./constants');
+const {
+  SftpError,
+  PathNotFoundError,
+  PermissionDeniedError,
+  NotADirectoryError,
+  AbortError,
+  errorClass,
+} = require('./errors');
+const { BandwidthLimiter, bandwidthLimiter, throttleStream } = require('./bandwidth');
+const {
+  ExtendedChannel,
+  sftpString,
+  uint32,
+  uint64,
+  readString,
+} = require('./extended-channel');
+
+// hash algorithms supported by the check-file extension
+const checkFileAlgorithms = new Set([
+  'md5',
+  'sha1',
+  'sha224',
+  'sha256',
+  'sha384',
+  'sha512',
+]);
 
 class SftpClient {
-  constructor(clientName) {
+  constructor(clientName, callbacks) {
     this.version = '10.0.3';
     this.client = new Client();
     this.sftp = undefined;
@@ -29,10 +75,22 @@ class SftpClient {
     this.remotePlatform = 'unix';
     this.debug = undefined;
     this.promiseLimit = 10;
+    this.autoReconnect = false;
+    this.reconnectOnClose = false;
+    this.reconnecting = undefined;
+    this.connectCount = 0;
+    this.socketClosed = true;
+    this.remoteCopy = undefined;
+    this.capabilities = undefined;
+    this.serverIdent = undefined;
+    this.extendedChannel = undefined;
+    this.reverseSymlinkArgs = undefined;
+    this.bandwidthLimiter = new BandwidthLimiter();
     this.eventCallbacks = {
       error: (err) => console.error(`Global error listener: ${err.message}`),
       end: () => console.log('Global end listener: end event raised'),
       close: () => console.log('Global close listener: close event raised'),
+      ...callbacks,
     };
     this.client.on('close', globalListener(this, 'close', this.eventCallbacks));
     this.client.on('end', globalListener(this, 'end', this.eventCallbacks));
@@ -51,7 +109,23 @@ class SftpClient {
     }
   }
 
-  fmtError(err, name = 'sftp', eCode, retryCount) {
+  /**
+   * Create an error object. The class of the error is chosen from the error
+   * code and name of the operation (see errors.js). When 'err' is an error
+   * object, it becomes the cause of the new error.
+   *
+   * @param {Error|String} err - error or error message
+   * @param {String} name - name of the operation raising the error
+   * @param {String|Number} eCode - error code for string messages
+   * @param {Number|Object} info - (Optional) number of attempts made or an
+   * object with 'retryCount', 'remotePath', 'localPath', 'cause' and
+   * 'errorClass' properties. The 'errorClass' property overrides the class
+   * selected from the error code.
+   * @returns {SftpError}
+   */
+  fmtError(err, name = 'sftp', eCode, info) {
+    const details = typeof info === 'object' ? info : { retryCount: info };
+    const retryCount = details.retryCount;
     let msg = '';
     let code = '';
     const retry = retryCount
@@ -87,8 +161,27 @@ class SftpClient {
       }
       code = err.code || errorCode.generic;
     }
-    const newError = new Error(msg);
-    newError.code = code;
+    const cause = details.cause ?? (typeof err === 'object' ? err : undefined);
+    const operation = name.replace(/^_+/, '');
+    // errors being re-thrown keep their class
+    const ErrorClass =
+      details.errorClass ??
+      (cause instanceof SftpError ? cause.constructor : errorClass(code, operation));
+    let status = cause?.status;
+    if (typeof code === 'number') {
+      status = code;
+    } else if (typeof cause?.code === 'number') {
+      status = cause.code;
+    }
+    const newError = new ErrorClass(msg, {
+      code,
+      operation,
+      remotePath: details.remotePath ?? cause?.remotePath,
+      localPath: details.localPath ?? cause?.localPath,
+      status,
+      retryCount: retryCount ?? cause?.retryCount,
+      cause,
+    });
     newError.custom = true;
     this.debugMsg(`${newError.message} (${newError.code})`);
     return newError;
@@ -135,7 +228,19 @@ class SftpClient {
       };
       this.on('ready', doReady);
       try {
-        this.client.connect(config);
+        // ssh2 only reports the server ident string in its debug output
+        const debug = config.debug;
+        this.serverIdent = undefined;
+        this.client.connect({
+          ...config,
+          debug: (msg) => {
+            const match = /^Remote ident: ["']SSH-(?:2\.0|1\.99)-([^ "']+)/.exec(msg);
+            if (match) {
+              this.serverIdent = match[1];
+            }
+            debug?.(msg);
+          },
+        });
       } catch (err) {
         reject(err);
       }
@@ -152,6 +257,8 @@ class SftpClient {
           reject(this.fmtError(err, 'getSftpChannel', err.code));
         } else {
           this.sftp = sftp;
+          this.capabilities = undefined;
+          this._closeExtendedChannel();
           resolve(sftp);
         }
       });
@@ -187,11 +294,16 @@ class SftpClient {
           errorCode.connect,
         );
       }
+      this.reverseSymlinkArgs = config.reverseSymlinkArgs;
+      if (config.bandwidthLimit !== undefined) {
+        this.setBandwidthLimit(config.bandwidthLimit);
+      }
       const retryOpts = {
         retries: config.retries ?? 1,
         factor: config.retry_factor ?? 2,
         minTimeout: config.retry_minTimeout ?? 25000,
       };
+      this.retryOpts = retryOpts;
       let promiseRetry = async (attempt, retries) => {
         try {
           await this.getConnection(config);
@@ -221,8 +333,14 @@ class SftpClient {
         }
       }
       await promiseRetry(1, retryOpts.retries);
+      this.socketClosed = false;
       const sftp = await this.getSftpChannel();
+      await this._loadCapabilities();
       this.endCalled = false;
+      this.connectCount++;
+      this.autoReconnect = config.autoReconnect ?? false;
+      this.reconnectOnClose = this.autoReconnect;
+      this.config = this.autoReconnect ? config : undefined;
       return sftp;
     } catch (err) {
       this.end();
@@ -232,6 +350,147 @@ class SftpClient {
     }
   }
 
+  /**
+   * @async
+   *
+   * Re-establish the SSH connection and SFTP channel using the config
+   * supplied to the last successful connect() call. Connection attempts are
+   * retried using the 'retries', 'retry_factor' and 'retry_minTimeout'
+   * settings from that config. Concurrent callers share the same attempt.
+   *
+   * @returns {Promise<Boolean>}
+   */
+  _reconnect() {
+    const doReconnect = async () => {
+      const { retries, factor, minTimeout } = this.retryOpts;
+      let attempt = 0;
+      this._closeExtendedChannel();
+      if (!this.socketClosed) {
+        // wait for the dropped connection to finish closing before reusing
+        // the ssh2 client object
+        await new Promise((resolve) => {
+          this.client.once('close', resolve);
+          this.client.end();
+        });
+      }
+      for (;;) {
+        if (this.endCalled) {
+          throw this.fmtError('Connection ended', 'reconnect', errorCode.connect);
+        }
+        try {
+          attempt++;
+          this.debugMsg(`reconnect: Connection attempt ${attempt}`);
+          await this.getConnection(this.config);
+          this.socketClosed = false;
+          break;
+        } catch (err) {
+          if (attempt > retries || this.endCalled) {
+            throw this.fmtError(err, 'reconnect', errorCode.connect, attempt);
+          }
+          await sleep(minTimeout * factor ** (attempt - 1));
+        }
+      }
+      await this.getSftpChannel();
+      await this._loadCapabilities();
+      this._resetEventFlags();
+      this.connectCount++;
+      this.reconnectOnClose = this.autoReconnect;
+      this.debugMsg('reconnect: Connection re-established');
+      return true;
+    };
+
+    if (!this.reconnecting) {
+      this.reconnecting = doReconnect().finally(() => {
+        this.reconnecting = undefined;
+      });
+    }
+    return this.reconnecting;
+  }
+
+  /**
+   * Called by the global close listener. Records the connection has closed
+   * and, if 'autoReconnect' is enabled and end() has not been called, starts
+   * re-establishing the connection.
+   */
+  _onClose() {
+    this.socketClosed = true;
+    if (this.reconnectOnClose && !this.endCalled) {
+      this.reconnectOnClose = false;
+      this.sftp = undefined;
+      this.debugMsg('Connection lost: attempting automatic reconnect');
+      this._reconnect().catch((err) => {
+        this.debugMsg(`Automatic reconnect failed: ${err.message}`);
+        if (this.eventCallbacks?.error) {
+          this.eventCallbacks.error(err);
+        }
+      });
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Call 'fn' and, if it fails because the connection was lost and the
+   * 'autoReconnect' option is enabled, wait for the connection to be
+   * re-established and call 'fn' a second time. Only used for idempotent
+   * operations which are safe to repeat.
+   *
+   * @param {Function} fn - function returning a promise for the operation
+   * @returns {Promise<*>} the value returned by 'fn'
+   */
+  async _retryOnReconnect(fn) {
+    const connectCount = this.connectCount;
+    try {
+      return await fn();
+    } catch (err) {
+      if (
+        !this.autoReconnect ||
+        this.endCalled ||
+        (this.sftp && connectCount === this.connectCount)
+      ) {
+        throw err;
+      }
+      this.debugMsg(`Retrying operation after connection loss: ${err.message}`);
+      if (!this.sftp) {
+        await this._reconnect();
+      }
+      return fn();
+    }
+  }
+
+  /**
+   * Set the bandwidth limit for data transferred by get(), put(), append(),
+   * uploadDir(), downloadDir(), createReadStream() and createWriteStream().
+   * The limit is shared by all concurrent transfers of this client and applies
+   * to transfers already in progress. A BandwidthLimiter object can be
+   * supplied instead of a number to share one limit between several clients.
+   * When the client already uses a shared limiter, setting a number changes
+   * the limit for all clients sharing it.
+   *
+   * @param {Number|BandwidthLimiter} limit - limit in bytes per second, 0 for
+   * no limit, or a BandwidthLimiter object
+   */
+  setBandwidthLimit(limit) {
+    if (limit instanceof BandwidthLimiter) {
+      this.bandwidthLimiter = limit;
+    } else {
+      this.bandwidthLimiter.setLimit(limit);
+    }
+  }
+
+  /**
+   * Select the limiter for a transfer. A 'bandwidthLimit' property in the
+   * options limits the transfer as well as the client limit.
+   *
+   * @param {Object} options - transfer options
+   * @returns {BandwidthLimiter|LimiterGroup}
+   */
+  _bandwidthLimiter(options) {
+    return options?.bandwidthLimit === undefined
+      ? this.bandwidthLimiter
+      : bandwidthLimiter(options.bandwidthLimit, this.bandwidthLimiter);
+  }
+
   /**
    * @async
    *
@@ -241,10 +500,18 @@ class SftpClient {
    * Returns undefined if the path does not exists.
    *
    * @param {String} remotePath - remote path, may be relative
-   * @param {Boolean} addListeners - (Optional) add event listeners. Default = true
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
    * @returns {Promise<String>} - remote absolute path or ''
    */
-  realPath(remotePath, addListeners = true) {
+  realPath(remotePath, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    return this._withAbort('realPath', options, () =>
+      this._retryOnReconnect(() => this._realPath(remotePath, addListeners)),
+    );
+  }
+
+  _realPath(remotePath, addListeners = true) {
     let listeners;
     return new Promise((resolve, reject) => {
       if (addListeners) {
@@ -255,7 +522,12 @@ class SftpClient {
           if (err.code === 2) {
             resolve('');
           } else {
-            reject(this.fmtError(`${err.message} ${remotePath}`, 'realPath', err.code));
+            reject(
+              this.fmtError(`${err.message} ${remotePath}`, 'realPath', err.code, {
+                remotePath,
+                cause: err,
+              }),
+            );
           }
         }
         resolve(absPath);
@@ -272,10 +544,11 @@ class SftpClient {
    *
    * Return the current workding directory path
    *
+   * @param {Object} options - (Optional) object with 'signal' and 'timeout' properties
    * @returns {Promise<String>} - current remote working directory
    */
-  cwd() {
-    return this.realPath('.');
+  cwd(options) {
+    return this.realPath('.', options);
   }
 
   /**
@@ -293,9 +566,18 @@ class SftpClient {
       const cb = (err, stats) => {
         if (err) {
           if (err.code === 2 || err.code === 4) {
-            reject(this.fmtError(`No such file: ${aPath}`, '_xstat', errorCode.notexist));
+            reject(
+              this.fmtError(`No such file: ${aPath}`, '_xstat', errorCode.notexist, {
+                remotePath: aPath,
+              }),
+            );
           } else {
-            reject(this.fmtError(`${err.message} ${aPath}`, '_xstat', err.code));
+            reject(
+              this.fmtError(`${err.message} ${aPath}`, '_xstat', err.code, {
+                remotePath: aPath,
+                cause: err,
+              }),
+            );
           }
         } else {
           const result = {
@@ -339,12 +621,17 @@ class SftpClient {
    * returned.
    *
    * @param {String} remotePath - path to an object on the remote server
+   * @param {Object} options - (Optional) object with 'signal' and 'timeout' properties
    * @return {Promise<Object>} stats - attributes info
    */
-  async stat(remotePath) {
+  async stat(remotePath, options) {
     try {
-      haveConnection(this, 'stat');
-      return await this._xstat('stat', remotePath);
+      return await this._withAbort('stat', options, () =>
+        this._retryOnReconnect(() => {
+          haveConnection(this, 'stat');
+          return this._xstat('stat', remotePath);
+        }),
+      );
     } catch (err) {
       throw err.custom ? err : this.fmtError(err, 'stat', err.code);
     }
@@ -358,17 +645,125 @@ class SftpClient {
    * returned.
    *
    * @param {String} remotePath - path to an object on the remote server
+   * @param {Object} options - (Optional) object with 'signal' and 'timeout' properties
    * @return {Promise<Object>} stats - attributes info
    */
-  async lstat(remotePath) {
+  async lstat(remotePath, options) {
     try {
       haveConnection(this, 'lstat');
-      return await this._xstat('lstat', remotePath);
+      return await this._withAbort('lstat', options, () =>
+        this._xstat('lstat', remotePath),
+      );
     } catch (err) {
       throw err.custom ? err : this.fmtError(err, 'lstat', err.code);
     }
   }
 
+  /**
+   * @async
+   *
+   * Retrieve information about the file system containing a remote path
+   * using the 'statvfs@openssh.com' extension. Sizes are in bytes.
+   *
+   * @param {String} remotePath - remote path on the file system
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
+   * @returns {Promise<Object>} object with blockSize, totalBytes, freeBytes,
+   * availableBytes, totalInodes, freeInodes, availableInodes, readOnly and
+   * maxNameLength properties
+   */
+  statvfs(remotePath, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    return this._withAbort('statvfs', options, () =>
+      this._statvfs(remotePath, addListeners),
+    );
+  }
+
+  _statvfs(remotePath, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'statvfs', reject);
+      }
+      if (!haveConnection(this, 'statvfs', reject)) {
+        return;
+      }
+      if (!this._hasExtension('statvfs@openssh.com')) {
+        return reject(
+          this.fmtError(
+            'Server does not support statvfs@openssh.com extension',
+            'statvfs',
+            errorCode.notSupported,
+            { remotePath },
+          ),
+        );
+      }
+      this.sftp.ext_openssh_statvfs(remotePath, (err, stats) => {
+        if (err) {
+          return reject(
+            this.fmtError(`${err.message} ${remotePath}`, 'statvfs', err.code, {
+              remotePath,
+              cause: err,
+            }),
+          );
+        }
+        const blockSize = Number(stats.f_frsize) || Number(stats.f_bsize);
+        resolve({
+          blockSize,
+          totalBytes: Number(stats.f_blocks) * blockSize,
+          freeBytes: Number(stats.f_bfree) * blockSize,
+          availableBytes: Number(stats.f_bavail) * blockSize,
+          totalInodes: Number(stats.f_files),
+          freeInodes: Number(stats.f_ffree),
+          availableInodes: Number(stats.f_favail),
+          // ST_RDONLY
+          readOnly: (Number(stats.f_flag) & 1) === 1,
+          maxNameLength: Number(stats.f_namemax),
+        });
+      });
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'statvfs');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Check there is enough available space on the remote file system for an
+   * upload. The file system is identified by the nearest existing directory
+   * to 'remotePath'. If the server does not support the statvfs extension, no
+   * check is made.
+   *
+   * @param {String} remotePath - remote upload destination
+   * @param {Number} bytes - number of bytes to be uploaded
+   * @param {Boolean|Number} checkSpace - the 'checkSpace' option. A number is
+   * the number of bytes which must remain available after the upload
+   * @param {String} name - name of calling method for error messages
+   * @throws {Error} with code ERR_NO_SPACE if there is not enough space
+   */
+  async _checkSpace(remotePath, bytes, checkSpace, name) {
+    if (!this._hasExtension('statvfs@openssh.com')) {
+      this.debugMsg(`${name}: checkSpace skipped - statvfs not supported`);
+      return;
+    }
+    let dir = await normalizeRemotePath(this, remotePath);
+    while ((await this.exists(dir)) !== 'd' && parse(dir).dir !== dir) {
+      dir = parse(dir).dir;
+    }
+    const { availableBytes } = await this.statvfs(dir, false);
+    const required = bytes + (typeof checkSpace === 'number' ? checkSpace : 0);
+    if (required > availableBytes) {
+      throw this.fmtError(
+        `Insufficient space for ${remotePath}: ${required} bytes required, ${availableBytes} available`,
+        name,
+        errorCode.noSpace,
+        { remotePath },
+      );
+    }
+  }
+
   /**
    * @async
    *
@@ -376,16 +771,17 @@ class SftpClient {
    * (in the format returned by list). If it does not exist, return false.
    *
    * @param {string} remotePath - path to the object on the sftp server.
+   * @param {Object} options - (Optional) object with 'signal' and 'timeout' properties
    *
    * @return {Promise<Boolean|String>} returns false if object does not exist. Returns type of
    *                   object if it does
    */
-  async exists(remotePath) {
+  async exists(remotePath, options) {
     try {
       if (remotePath === '.') {
         return 'd';
       }
-      const info = await this.lstat(remotePath);
+      const info = await this._retryOnReconnect(() => this.lstat(remotePath, options));
       if (info.isDirectory) {
         return 'd';
       } else if (info.isSymbolicLink) {
@@ -399,25 +795,43 @@ class SftpClient {
       if (err.code === errorCode.notexist) {
         return false;
       }
-      throw err.custom ? err : this.fmtError(err.message, 'exists', err.code);
+      throw err.custom
+        ? err
+        : this.fmtError(err.message, 'exists', err.code, { remotePath, cause: err });
     }
   }
 
   /**
    * @async
    *
-   * List contents of a remote directory. If a pattern is provided,
-   * filter the results to only include files with names that match
-   * the supplied pattern. Return value is an array of file entry
-   * objects that include properties for type, name, size, modifyTime,
-   * accessTime, rights {user, group other}, owner and group.
+   * List contents of a remote directory. If a filter is provided,
+   * filter the results to only include entries selected by the filter. The
+   * filter can be a function, which is called with each entry, or a glob
+   * pattern or array of glob patterns, which are matched against entry
+   * names. Return value is an array of file entry objects that include
+   * properties for type, name, size, modifyTime, accessTime, rights {user,
+   * group other}, owner and group.
    *
    * @param {String} remotePath - path to remote directory
-   * @param {function} filter - a filter function used to select return entries
-   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @param {Function|String|Array} filter - a filter function or glob pattern(s)
+   * used to select return entries
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
    * @returns {Promise<Array>} array of file description objects
    */
-  list(remotePath, filter, addListeners = true) {
+  list(remotePath, filter, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    let listFilter = filter;
+    if (typeof filter === 'string' || Array.isArray(filter)) {
+      const match = globFilter(filter);
+      listFilter = (item) => match(item.name);
+    }
+    return this._withAbort('list', options, () =>
+      this._retryOnReconnect(() => this._list(remotePath, listFilter, addListeners)),
+    );
+  }
+
+  _list(remotePath, filter, addListeners = true) {
     let listeners;
     return new Promise((resolve, reject) => {
       if (addListeners) {
@@ -426,7 +840,12 @@ class SftpClient {
       if (haveConnection(this, 'list', reject)) {
         this.sftp.readdir(remotePath, (err, fileList) => {
           if (err) {
-            reject(this.fmtError(`${err.message} ${remotePath}`, 'list', err.code));
+            reject(
+              this.fmtError(`${err.message} ${remotePath}`, 'list', err.code, {
+                remotePath,
+                cause: err,
+              }),
+            );
           } else {
             const reg = /-/gi;
             const newList = fileList.map((item) => {
@@ -462,926 +881,3563 @@ class SftpClient {
   }
 
   /**
-   * get file
-   *
-   * If a dst argument is provided, it must be either a string, representing the
-   * local path to where the data will be put, a stream, in which case data is
-   * piped into the stream or undefined, in which case the data is returned as
-   * a Buffer object.
-   *
-   * @param {String} remotePath - remote file path
-   * @param {string|stream|undefined} dst - data destination
-   * @param {Object} options - options object with supported properties of readStreamOptions,
-   *                          writeStreamOptions and pipeOptions.
-   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @async
    *
-   * *Important Note*: The ability to set ''autoClose' on read/write streams and 'end' on pipe() calls
-   * is no longer supported. New methods 'createReadStream()' and 'createWriteStream()' have been
-   * added to support low-level access to stream objects.
+   * Search the remote file system for entries matching a glob pattern. The
+   * leading part of the pattern which contains no glob characters is used as
+   * the base directory for the search. A '**' path segment matches any number
+   * of directories. Multiple patterns can be supplied as an array and
+   * patterns starting with '!' exclude matching entries. Relative patterns,
+   * including negated ones, are relative to the current remote directory. Symbolic links to
+   * directories are not followed. Return value is an array of entries in the
+   * same format as walk(), i.e. list() entries with additional 'path' and
+   * 'depth' properties.
    *
-   * @return {Promise<String|Stream|Buffer>}
+   * @param {String|Array} pattern - glob pattern or array of glob patterns
+   * @param {Object} options - (Optional) object with 'signal' and 'timeout' properties
+   * @returns {Promise<Array>} array of matching entries
    */
-  get(remotePath, dst, options, addListeners = true) {
-    let listeners, rdr, wtr;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, 'get', reject);
+  async glob(pattern, options) {
+    const abort = abortSignal(options?.signal, options?.timeout);
+    const signal = abort?.signal;
+    try {
+      haveConnection(this, 'glob');
+      const patterns = Array.isArray(pattern) ? pattern : [pattern];
+      // negated patterns are resolved to absolute paths, like the others
+      const exclude = [];
+      for (const p of patterns.filter((p) => p.startsWith('!'))) {
+        const { base, pattern: rest } = splitGlob(p.slice(1));
+        const baseDir = await normalizeRemotePath(this, base);
+        const absBase = baseDir.replaceAll(/[*?[\\\]{}]/g, String.raw`\$&`);
+        exclude.push(globToRegExp(absBase === '/' ? `/${rest}` : `${absBase}/${rest}`));
       }
-      if (haveConnection(this, 'get', reject)) {
-        options = {
-          readStreamOptions: { ...options?.readStreamOptions, autoClose: true },
-          writeStreamOptions: {
-            ...options?.writeStreamOptions,
-            autoClose: true,
-          },
-          pipeOptions: { ...options?.pipeOptions, end: true },
-        };
-        rdr = this.sftp.createReadStream(remotePath, options.readStreamOptions);
-        rdr.once('error', (err) => {
-          if (dst && typeof dst === 'string' && wtr && !wtr.destroyed) {
-            wtr.destroy();
-          }
-          reject(this.fmtError(`${err.message} ${remotePath}`, 'get', err.code));
-        });
-        if (dst === undefined) {
-          // no dst specified, return buffer of data
-          this.debugMsg('get resolving with buffer of data');
-          wtr = concat((buff) => {
-            resolve(buff);
-          });
-        } else if (typeof dst === 'string') {
-          // dst local file path
-          this.debugMsg(`get called with file path destination ${dst}`);
-          const localCheck = haveLocalCreate(dst);
-          if (localCheck.status) {
-            wtr = fs.createWriteStream(dst, options.writeStreamOptions);
-          } else {
-            reject(
-              this.fmtError(
-                `Bad path: ${dst}: ${localCheck.details}`,
-                'get',
-                localCheck.code,
-              ),
-            );
-          }
-        } else {
-          this.debugMsg('get called with stream destination');
-          wtr = dst;
+      const found = new Map();
+      for (const p of patterns.filter((p) => !p.startsWith('!'))) {
+        const { base, pattern: rest } = splitGlob(p);
+        const baseDir = await normalizeRemotePath(this, base);
+        if ((await this.exists(baseDir, { signal })) !== 'd') {
+          continue;
         }
-        wtr.once('error', (err) => {
-          reject(
-            this.fmtError(
-              `${err.message} ${typeof dst === 'string' ? dst : '<stream>'}`,
-              'get',
-              err.code,
-            ),
-          );
-        });
-        rdr.once('end', () => {
-          if (typeof dst === 'string') {
-            resolve(dst);
-          } else if (dst !== undefined) {
-            resolve(wtr);
+        const accept = globToRegExp(rest);
+        const prefixLength = baseDir === '/' ? 1 : baseDir.length + 1;
+        const depth = rest.split('/').includes('**')
+          ? Number.POSITIVE_INFINITY
+          : rest.split('/').length;
+        for await (const entry of this.walk(baseDir, { depth, signal })) {
+          if (
+            accept.test(entry.path.slice(prefixLength)) &&
+            !exclude.some((re) => re.test(entry.path))
+          ) {
+            found.set(entry.path, entry);
           }
-        });
-        rdr.pipe(wtr, options.pipeOptions);
-      }
-    }).finally(() => {
-      if (rdr && !rdr.destroyed) {
-        rdr.destroy();
-      }
-      if (addListeners) {
-        removeTempListeners(this, listeners, 'get');
+        }
       }
-    });
+      return [...found.values()];
+    } catch (err) {
+      throw err.custom
+        ? err
+        : this.fmtError(`${err.message} ${pattern}`, 'glob', err.code);
+    } finally {
+      abort?.clear();
+    }
   }
 
   /**
-   * Use SSH2 fastGet for downloading the file.
-   * Downloads a file at remotePath to localPath using parallel reads
-   * for faster throughput.
+   * Walk a remote directory tree. Returns an async iterable which yields an
+   * entry for each file, directory and link below 'remotePath'. Entries are in
+   * the same format as list() with additional 'path' (full remote path) and
+   * 'depth' (1 for entries in 'remotePath') properties. A directory is always
+   * yielded before its contents, but the order of entries from different
+   * directories is not defined, as up to 'concurrency' directories are listed
+   * at the same time.
    *
-   * WARNING: The functionality of fastGet is heavily dependent on the capabilities
-   * of the remote SFTP server. Not all sftp server support or fully support this
-   * functionality. See the Platform Quirks & Warnings section of the README.
+   * The 'filter' option has the same semantics as the downloadDir() filter.
+   * Directories excluded by the filter are not walked. A glob filter walks
+   * every directory which does not match a negated pattern, but only yields
+   * the files and directories which match the patterns. If 'followSymlinks' is
+   * true, symbolic links to directories are walked. Links which point to a
+   * directory already being walked are yielded, but not followed, to avoid
+   * walking in circles.
    *
-   * @param {String} remotePath
-   * @param {String} localPath
-   * @param {Object} options
-   * @return {Promise<String>} the result of downloading the file
+   * @param {String} remotePath - remote directory to walk
+   * @param {Object} options - (Optional) object with supported properties
+   * 'depth' (maximum depth to walk, default unlimited), 'followSymlinks'
+   * (default false), 'filter' and 'concurrency' (maximum number of concurrent
+   * directory listings, default is the 'promiseLimit' value). The 'signal' and
+   * 'timeout' options cancel the walk.
+   * @returns {AsyncIterable<Object>} entries in the directory tree
    */
-  _fastGet(rPath, lPath, opts, addListeners = true) {
-    let listeners;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, '_fastGet', reject);
-      }
-      if (haveConnection(this, '_fastGet', reject)) {
-        this.sftp.fastGet(rPath, lPath, opts, (err) => {
-          if (err) {
-            reject(this.fmtError(`${err.message} Remote: ${rPath} Local: ${lPath}`));
-          }
-          resolve(`${rPath} was successfully download to ${lPath}!`);
-        });
-      }
-    }).finally(() => {
-      if (addListeners) {
-        removeTempListeners(this, listeners, '_fastGet');
-      }
-    });
-  }
-
-  async fastGet(remotePath, localPath, options) {
+  async *walk(remotePath, options = {}) {
+    const abort = abortSignal(options.signal, options.timeout);
+    const signal = abort?.signal;
     try {
-      const ftype = await this.exists(remotePath);
-      if (ftype !== '-') {
-        const msg = `${ftype ? 'Not a regular file' : 'No such file '} ${remotePath}`;
-        throw this.fmtError(msg, 'fastGet', errorCode.badPath);
+      haveConnection(this, 'walk');
+      const root = await normalizeRemotePath(this, remotePath);
+      let rootType = await this.exists(root, { signal });
+      if (rootType === 'l' && options.followSymlinks) {
+        const stats = await this.stat(root, { signal });
+        rootType = stats.isDirectory ? 'd' : rootType;
       }
-      const localCheck = haveLocalCreate(localPath);
-      if (!localCheck.status) {
+      if (rootType !== 'd') {
         throw this.fmtError(
-          `Bad path: ${localPath}: ${localCheck.details}`,
-          'fastGet',
+          `Bad path: ${remotePath} not a directory`,
+          'walk',
           errorCode.badPath,
+          { remotePath, errorClass: NotADirectoryError },
         );
       }
-      return await this._fastGet(remotePath, localPath, options);
+      const maxDepth = options.depth ?? Number.POSITIVE_INFINITY;
+      const concurrency = options.concurrency || this.promiseLimit;
+      const filter = pathFilter(options.filter, root);
+      const isLoop = (dir, realPath) => {
+        for (let d = dir; d; d = d.parent) {
+          if (d.realPath === realPath) {
+            return true;
+          }
+        }
+        return false;
+      };
+      const pending = [
+        {
+          path: root,
+          realPath: options.followSymlinks ? await this.realPath(root, { signal }) : root,
+          depth: 1,
+        },
+      ];
+      const running = new Map();
+      while (pending.length > 0 || running.size > 0) {
+        while (pending.length > 0 && running.size < concurrency) {
+          const dir = pending.shift();
+          running.set(
+            dir,
+            this.list(dir.path, undefined, { signal }).then(
+              (listing) => ({ dir, listing }),
+              (error) => ({ dir, error }),
+            ),
+          );
+        }
+        const { dir, listing, error } = await Promise.race(running.values());
+        running.delete(dir);
+        if (error) {
+          throw error;
+        }
+        for (const item of listing) {
+          const path = dir.path === '/' ? `/${item.name}` : `${dir.path}/${item.name}`;
+          let realPath = `${dir.realPath === '/' ? '' : dir.realPath}/${item.name}`;
+          let walkDir = item.type === 'd';
+          if (item.type === 'l' && options.followSymlinks) {
+            const stats = await this.stat(path, { signal }).catch(() => ({}));
+            if (stats.isDirectory) {
+              realPath = await this.realPath(path, { signal });
+              walkDir = !isLoop(dir, realPath);
+              if (!walkDir) {
+                this.debugMsg(`walk: not following ${path}: symbolic link loop`);
+              }
+            }
+          }
+          if (filter && !filter(path, item.type === 'd' || walkDir)) {
+            continue;
+          }
+          // a glob filter descends into directories it does not match
+          if (!filter?.matches || filter.matches(path)) {
+            yield { ...item, path, depth: dir.depth };
+          }
+          if (walkDir && dir.depth < maxDepth) {
+            pending.push({ path, realPath, depth: dir.depth + 1, parent: dir });
+          }
+        }
+      }
     } catch (err) {
-      throw this.fmtError(err, 'fastGet');
+      throw err.custom
+        ? err
+        : this.fmtError(`${err.message} ${remotePath}`, 'walk', err.code, {
+            remotePath,
+            cause: err,
+          });
+    } finally {
+      abort?.clear();
     }
   }
 
   /**
-   * Use SSH2 fastPut for uploading the file.
-   * Uploads a file from localPath to remotePath using parallel reads
-   * for faster throughput.
+   * @async
+   *
+   * Run a transfer, reporting progress via the 'onProgress' callback. The
+   * 'transfer' function is called with a progress reporter, or undefined if
+   * no 'onProgress' callback was supplied. If 'info.totalBytes' is a function,
+   * it is only called when progress is being reported.
+   *
+   * @param {Function} onProgress - (Optional) progress callback
+   * @param {Object} info - operation, source, destination and totalBytes
+   * @param {Function} transfer - async function performing the transfer
+   * @returns {Promise<*>} the value returned by 'transfer'
+   */
+  async _withProgress(onProgress, info, transfer) {
+    if (!onProgress) {
+      return transfer();
+    }
+    const totalBytes =
+      typeof info.totalBytes === 'function' ? await info.totalBytes() : info.totalBytes;
+    const progress = createProgress(onProgress, { ...info, totalBytes });
+    const result = await transfer(progress);
+    progress.done();
+    return result;
+  }
+
+  /**
+   * @async
+   *
+   * Run an operation which can be cancelled by the 'signal' (AbortSignal) and
+   * 'timeout' (milliseconds) properties of 'options'. The 'operation' function
+   * is called with an AbortSignal, or undefined if neither property is set,
+   * which it can use to destroy any streams it creates. Requests already sent
+   * to the server cannot be cancelled, so the returned promise rejects as soon
+   * as the signal fires rather than waiting for 'operation' to finish. If
+   * 'cleanup' is supplied, it is called with the promise returned by
+   * 'operation' before rejecting e.g. to remove a partial local file.
+   *
+   * @param {String} name - name of the operation
+   * @param {Object} options - (Optional) object with signal and timeout properties
+   * @param {Function} operation - function returning a promise for the operation
+   * @param {Function} cleanup - (Optional) async function called after an abort
+   * @returns {Promise<*>} the value returned by 'operation'
+   * @throws {AbortError} if the signal fires or the timeout expires
+   */
+  async _withAbort(name, options, operation, cleanup) {
+    const abort = abortSignal(options?.signal, options?.timeout);
+    if (!abort) {
+      return operation();
+    }
+    const { signal } = abort;
+    let result;
+    try {
+      result = signal.aborted ? Promise.reject(signal.reason) : operation(signal);
+      const aborted = new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      });
+      return await Promise.race([result, aborted]);
+    } catch (err) {
+      if (!signal.aborted) {
+        throw err;
+      }
+      result?.catch(() => {});
+      if (cleanup) {
+        await cleanup(result).catch((e) => {
+          this.debugMsg(`${name}: cleanup after abort failed: ${e.message}`);
+        });
+      }
+      const reason = signal.reason;
+      const msg = reason?.name === 'TimeoutError' ? reason.message : 'Operation aborted';
+      throw this.fmtError(msg, name, errorCode.aborted, {
+        cause: reason,
+        errorClass: AbortError,
+      });
+    } finally {
+      abort.clear();
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Calculate the hash of a remote file. The hash is calculated by the server
+   * when it supports the check-file or md5-hash SFTP extension for the
+   * algorithm. Otherwise, the remote file is read and hashed locally.
+   *
+   * @param {String} remotePath - path to remote file
+   * @param {String} algorithm - hash algorithm e.g. 'sha256'
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<String>} hex encoded digest
+   */
+  async _remoteHash(remotePath, algorithm, addListeners = true) {
+    const digest = await this._serverHash(remotePath, algorithm);
+    return digest ?? this._readHash(remotePath, algorithm, addListeners);
+  }
+
+  /**
+   * Open the channel used for SFTP extended requests which ssh2 does not
+   * support, or return the channel already open. A channel closed by the
+   * server is replaced. See ExtendedChannel.
+   *
+   * @returns {Promise<ExtendedChannel>}
+   */
+  async _extendedChannel() {
+    if (this.extendedChannel) {
+      const channel = await this.extendedChannel;
+      if (!channel.closed) {
+        return channel;
+      }
+    }
+    this.extendedChannel = ExtendedChannel.open(this.client).catch((err) => {
+      this.extendedChannel = undefined;
+      throw err;
+    });
+    return this.extendedChannel;
+  }
+
+  /**
+   * Close the extended request channel, if one is open, and forget it.
+   * Failures are ignored as the channel is no longer wanted.
+   */
+  _closeExtendedChannel() {
+    const channel = this.extendedChannel;
+    this.extendedChannel = undefined;
+    channel?.then(
+      (ch) => ch.close(),
+      () => {},
+    );
+  }
+
+  /**
+   * @async
+   *
+   * Ask the server to calculate the hash of a remote file using the
+   * check-file or md5-hash SFTP extension. Any failure is treated as the
+   * server not being able to calculate the hash.
+   *
+   * @param {String} remotePath - path to remote file
+   * @param {String} algorithm - hash algorithm e.g. 'sha256'
+   * @returns {Promise<String|undefined>} hex encoded digest or undefined if
+   * the server did not calculate the hash
+   */
+  async _serverHash(remotePath, algorithm) {
+    const name = algorithm.toLowerCase();
+    const checkFile = checkFileAlgorithms.has(name) && this._hasExtension('check-file');
+    const md5Hash = name === 'md5' && this._hasExtension('md5-hash');
+    if (!checkFile && !md5Hash) {
+      return;
+    }
+    const attempt = async (ext, fn) => {
+      try {
+        const channel = await this._extendedChannel();
+        return channel.hasExtension(ext) ? await fn(channel) : undefined;
+      } catch (err) {
+        this.debugMsg(`_serverHash: ${ext} ${remotePath}: ${err.message}`);
+      }
+    };
+    let digest;
+    if (checkFile) {
+      digest = await attempt('check-file', async (channel) => {
+        // hash the whole file as a single block
+        const reply = await channel.request('check-file-name', [
+          sftpString(remotePath),
+          sftpString(name),
+          uint64(0),
+          uint64(0),
+          uint32(0),
+        ]);
+        const [, offset] = readString(reply, 0);
+        const [used, hashOffset] = readString(reply, offset);
+        return used.toString() === name
+          ? reply.subarray(hashOffset).toString('hex')
+          : undefined;
+      });
+    }
+    if (!digest && md5Hash) {
+      digest = await attempt('md5-hash', async (channel) => {
+        const reply = await channel.request('md5-hash', [
+          sftpString(remotePath),
+          uint64(0),
+          uint64(0),
+          sftpString(''),
+        ]);
+        const [, offset] = readString(reply, 0);
+        const [hash] = readString(reply, offset);
+        return hash.length > 0 ? hash.toString('hex') : undefined;
+      });
+    }
+    return digest;
+  }
+
+  /**
+   * Calculate the hash of a remote file by reading the file contents.
+   *
+   * @param {String} remotePath - path to remote file
+   * @param {String} algorithm - hash algorithm e.g. 'sha256'
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<String>} hex encoded digest
+   */
+  _readHash(remotePath, algorithm, addListeners = true) {
+    let listeners, rdr;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, '_readHash', reject);
+      }
+      if (haveConnection(this, '_remoteHash', reject)) {
+        const hash = createHash(algorithm);
+        rdr = this.sftp.createReadStream(remotePath);
+        rdr.on('error', (err) => {
+          reject(
+            this.fmtError(`${err.message} ${remotePath}`, '_remoteHash', err.code, {
+              remotePath,
+              cause: err,
+            }),
+          );
+        });
+        rdr.on('data', (chunk) => hash.update(chunk));
+        rdr.once('end', () => resolve(hash.digest('hex')));
+      }
+    }).finally(() => {
+      if (rdr && !rdr.destroyed) {
+        rdr.destroy();
+      }
+      if (addListeners) {
+        removeTempListeners(this, listeners, '_readHash');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Compare the hash of a remote file with the hash of the local data
+   * transferred. Throws an error with code ERR_CHECKSUM_MISMATCH if the hash
+   * values are different.
+   *
+   * @param {String} remotePath - path to remote file
+   * @param {String} localDigest - hex encoded digest of the local data
+   * @param {String} algorithm - hash algorithm used to create localDigest
+   * @param {String} name - name of the method performing the transfer
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<Boolean>}
+   */
+  async _verifyHash(remotePath, localDigest, algorithm, name, addListeners = true) {
+    const remoteDigest = await this._remoteHash(remotePath, algorithm, addListeners);
+    if (remoteDigest !== localDigest) {
+      throw this.fmtError(
+        `Checksum mismatch: ${remotePath} ${algorithm} ${remoteDigest} local ${localDigest}`,
+        name,
+        errorCode.checksumMismatch,
+        { remotePath },
+      );
+    }
+    this.debugMsg(`${name}: ${algorithm} checksum verified for ${remotePath}`);
+    return true;
+  }
+
+  /**
+   * get file
+   *
+   * If a dst argument is provided, it must be either a string, representing the
+   * local path to where the data will be put, a stream, in which case data is
+   * piped into the stream or undefined, in which case the data is returned as
+   * a Buffer object.
+   *
+   * @param {String} remotePath - remote file path
+   * @param {string|stream|undefined} dst - data destination
+   * @param {Object} options - options object with supported properties of readStreamOptions,
+   *                          writeStreamOptions, pipeOptions, resume, onProgress, verify
+   *                          and preserve.
+   *                          If resume is true and dst is a local file path, an existing
+   *                          partial local file is completed rather than downloaded again.
+   *                          The onProgress function is called with progress data as the file
+   *                          downloads. If verify is set, the data received is verified
+   *                          against a hash of the remote file. If preserve is set and dst
+   *                          is a local file path, the mode and/or times of the remote file
+   *                          are copied to the local file. The bandwidthLimit property
+   *                          (bytes per second or a BandwidthLimiter) limits the
+   *                          download as well as the client bandwidth limit.
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   *
+   * *Important Note*: The ability to set ''autoClose' on read/write streams and 'end' on pipe() calls
+   * is no longer supported. New methods 'createReadStream()' and 'createWriteStream()' have been
+   * added to support low-level access to stream objects.
+   *
+   * @return {Promise<String|Stream|Buffer>}
+   */
+  get(remotePath, dst, options, addListeners = true) {
+    const info = {
+      operation: 'get',
+      source: remotePath,
+      destination: typeof dst === 'string' ? dst : dst ? '<stream>' : '<buffer>',
+      totalBytes: async () => {
+        const stats = await this.stat(remotePath);
+        return stats.size;
+      },
+    };
+    const algorithm = verifyAlgorithm(options?.verify);
+    const preserve =
+      typeof dst === 'string' ? preserveAttrs(options?.preserve) : undefined;
+    let download;
+    const cleanup = async () => {
+      // a partial file from a resumed download is kept for the next attempt
+      if (download && typeof dst === 'string' && !options?.resume) {
+        await download.catch(() => {});
+        await fs.promises.rm(dst, { force: true });
+      }
+    };
+    return this._withAbort(
+      'get',
+      options,
+      (signal) => {
+        const opts = signal ? { ...options, signal } : options;
+        const transfer = () =>
+          this._withProgress(opts?.onProgress, info, async (progress) => {
+            if (opts?.resume && typeof dst === 'string') {
+              await this._resumeGet(remotePath, dst, opts, false, addListeners, progress);
+              if (algorithm) {
+                const digest = await hashFile(dst, algorithm);
+                await this._verifyHash(
+                  remotePath,
+                  digest,
+                  algorithm,
+                  'get',
+                  addListeners,
+                );
+              }
+              if (preserve) {
+                await this._preserveLocal(remotePath, dst, preserve, addListeners);
+              }
+              return dst;
+            }
+            const hash = algorithm ? createHash(algorithm) : undefined;
+            download = this._get(remotePath, dst, opts, addListeners, progress, hash);
+            const result = await download;
+            if (hash) {
+              const digest = hash.digest('hex');
+              await this._verifyHash(remotePath, digest, algorithm, 'get', addListeners);
+            }
+            if (preserve) {
+              await this._preserveLocal(remotePath, dst, preserve, addListeners);
+            }
+            return result;
+          });
+        if (dst === undefined || typeof dst === 'string') {
+          // data already piped into a stream destination cannot be replayed
+          return this._retryOnReconnect(transfer);
+        }
+        return transfer();
+      },
+      cleanup,
+    );
+  }
+
+  _get(remotePath, dst, options, addListeners = true, progress, hash) {
+    let listeners, rdr, wtr, onAbort;
+    const signal = options?.signal;
+    const limiter = this._bandwidthLimiter(options);
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'get', reject);
+      }
+      if (haveConnection(this, 'get', reject)) {
+        options = {
+          readStreamOptions: { ...options?.readStreamOptions, autoClose: true },
+          writeStreamOptions: {
+            ...options?.writeStreamOptions,
+            autoClose: true,
+          },
+          pipeOptions: { ...options?.pipeOptions, end: true },
+        };
+        rdr = throttleStream(
+          this.sftp.createReadStream(remotePath, options.readStreamOptions),
+          limiter,
+        );
+        rdr.on('error', (err) => {
+          if (dst && typeof dst === 'string' && wtr && !wtr.destroyed) {
+            wtr.destroy();
+          }
+          reject(
+            this.fmtError(`${err.message} ${remotePath}`, 'get', err.code, {
+              remotePath,
+              cause: err,
+            }),
+          );
+        });
+        if (progress) {
+          let bytesTransferred = 0;
+          rdr.on('data', (chunk) => {
+            bytesTransferred += chunk.length;
+            progress.update(bytesTransferred);
+          });
+        }
+        if (hash) {
+          rdr.on('data', (chunk) => hash.update(chunk));
+        }
+        if (dst === undefined) {
+          // no dst specified, return buffer of data
+          this.debugMsg('get resolving with buffer of data');
+          wtr = concat((buff) => {
+            resolve(buff);
+          });
+        } else if (typeof dst === 'string') {
+          // dst local file path
+          this.debugMsg(`get called with file path destination ${dst}`);
+          const localCheck = haveLocalCreate(dst);
+          if (localCheck.status) {
+            wtr = fs.createWriteStream(dst, options.writeStreamOptions);
+          } else {
+            reject(
+              this.fmtError(
+                `Bad path: ${dst}: ${localCheck.details}`,
+                'get',
+                localCheck.code,
+                { remotePath, localPath: dst },
+              ),
+            );
+          }
+        } else {
+          this.debugMsg('get called with stream destination');
+          wtr = dst;
+        }
+        wtr.once('error', (err) => {
+          reject(
+            this.fmtError(
+              `${err.message} ${typeof dst === 'string' ? dst : '<stream>'}`,
+              'get',
+              err.code,
+              {
+                remotePath,
+                localPath: typeof dst === 'string' ? dst : undefined,
+                cause: err,
+              },
+            ),
+          );
+        });
+        rdr.once('end', () => {
+          if (typeof dst === 'string') {
+            resolve(dst);
+          } else if (dst !== undefined) {
+            resolve(wtr);
+          }
+        });
+        rdr.pipe(wtr, options.pipeOptions);
+        if (signal) {
+          onAbort = () => {
+            rdr.unpipe(wtr);
+            rdr.destroy();
+            if (typeof dst === 'string' && !wtr.closed) {
+              // wait for the local file to be closed so it can be removed
+              wtr.once('close', () => reject(signal.reason));
+              wtr.destroy();
+            } else {
+              reject(signal.reason);
+            }
+          };
+          if (signal.aborted) {
+            onAbort();
+          } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+        }
+      }
+    }).finally(() => {
+      signal?.removeEventListener('abort', onAbort);
+      if (rdr && !rdr.destroyed) {
+        rdr.destroy();
+      }
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'get');
+      }
+    });
+  }
+
+  /**
+   * Use SSH2 fastGet for downloading the file.
+   * Downloads a file at remotePath to localPath using parallel reads
+   * for faster throughput.
+   *
+   * WARNING: The functionality of fastGet is heavily dependent on the capabilities
+   * of the remote SFTP server. Not all sftp server support or fully support this
+   * functionality. See the Platform Quirks & Warnings section of the README.
+   *
+   * An ssh2 fastGet cannot be stopped once started, so if options has a
+   * 'signal' property, the file is downloaded using streams instead.
+   *
+   * @param {String} remotePath
+   * @param {String} localPath
+   * @param {Object} options
+   * @return {Promise<String>} the result of downloading the file
+   */
+  _fastGet(rPath, lPath, opts, addListeners = true, progress) {
+    if (opts?.signal) {
+      return this._get(rPath, lPath, opts, addListeners, progress).then(
+        () => `${rPath} was successfully download to ${lPath}!`,
+      );
+    }
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, '_fastGet', reject);
+      }
+      if (progress) {
+        const step = opts?.step;
+        opts = {
+          ...opts,
+          step: (transferred, chunk, total) => {
+            step?.(transferred, chunk, total);
+            progress.update(transferred, total);
+          },
+        };
+      }
+      if (haveConnection(this, '_fastGet', reject)) {
+        this.sftp.fastGet(rPath, lPath, opts, (err) => {
+          if (err) {
+            reject(
+              this.fmtError(
+                `${err.message} Remote: ${rPath} Local: ${lPath}`,
+                '_fastGet',
+                errorCode.generic,
+                { remotePath: rPath, localPath: lPath, cause: err },
+              ),
+            );
+          }
+          resolve(`${rPath} was successfully download to ${lPath}!`);
+        });
+      }
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, '_fastGet');
+      }
+    });
+  }
+
+  async fastGet(remotePath, localPath, options) {
+    let download;
+    const cleanup = async () => {
+      // a partial file from a resumed download is kept for the next attempt
+      if (download && !options?.resume) {
+        await download.catch(() => {});
+        await fs.promises.rm(localPath, { force: true });
+      }
+    };
+    return this._withAbort(
+      'fastGet',
+      options,
+      async (signal) => {
+        const opts = signal ? { ...options, signal } : options;
+        try {
+          const ftype = await this.exists(remotePath);
+          if (ftype !== '-') {
+            const msg = `${ftype ? 'Not a regular file' : 'No such file '} ${remotePath}`;
+            throw this.fmtError(msg, 'fastGet', errorCode.badPath, {
+              remotePath,
+              errorClass: ftype ? SftpError : PathNotFoundError,
+            });
+          }
+          const localCheck = haveLocalCreate(localPath);
+          if (!localCheck.status) {
+            throw this.fmtError(
+              `Bad path: ${localPath}: ${localCheck.details}`,
+              'fastGet',
+              errorCode.badPath,
+              { remotePath, localPath },
+            );
+          }
+          const info = {
+            operation: 'fastGet',
+            source: remotePath,
+            destination: localPath,
+            totalBytes: async () => {
+              const stats = await this.stat(remotePath);
+              return stats.size;
+            },
+          };
+          const algorithm = verifyAlgorithm(options?.verify);
+          const preserve = preserveAttrs(options?.preserve);
+          await this._withProgress(options?.onProgress, info, async (progress) => {
+            download = options?.resume
+              ? this._resumeGet(remotePath, localPath, opts, true, true, progress)
+              : this._fastGet(remotePath, localPath, opts, true, progress);
+            await download;
+            if (algorithm) {
+              const digest = await hashFile(localPath, algorithm);
+              await this._verifyHash(remotePath, digest, algorithm, 'fastGet');
+            }
+            if (preserve) {
+              await this._preserveLocal(remotePath, localPath, preserve);
+            }
+          });
+          return `${remotePath} was successfully download to ${localPath}!`;
+        } catch (err) {
+          throw this.fmtError(err, 'fastGet');
+        }
+      },
+      cleanup,
+    );
+  }
+
+  /**
+   * @async
+   *
+   * Download a remote file to a local file, continuing from the end of any
+   * partial local file left by an earlier failed download. If the local file
+   * does not exist or is larger than the remote file, the whole file is
+   * downloaded. Once the transfer is complete, the local file size is verified
+   * against the remote file size.
+   *
+   * @param {String} remotePath - path to remote file
+   * @param {String} localPath - path to local file
+   * @param {Object} options - get() or fastGet() options
+   * @param {Boolean} useFastget - if true, use fastGet() when there is no
+   *                               partial local file to resume from
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @param {Object} progress - (Optional) progress reporter
+   * @returns {Promise<String>} local file path
+   */
+  async _resumeGet(
+    remotePath,
+    localPath,
+    options,
+    useFastget,
+    addListeners = true,
+    progress,
+  ) {
+    const { size } = await this.stat(remotePath);
+    const localCheck = haveLocalCreate(localPath);
+    if (!localCheck.status) {
+      throw this.fmtError(
+        `Bad path: ${localPath}: ${localCheck.details}`,
+        'get',
+        errorCode.badPath,
+        { remotePath, localPath },
+      );
+    }
+    let offset = localCheck.type === '-' ? fs.statSync(localPath).size : 0;
+    if (offset > size) {
+      this.debugMsg(`get: ${localPath} larger than ${remotePath} - restarting download`);
+      offset = 0;
+    }
+    const opts = options ?? {};
+    if (offset === 0 && useFastget) {
+      await this._fastGet(remotePath, localPath, opts, addListeners, progress);
+    } else if (offset < size || localCheck.type !== '-') {
+      this.debugMsg(`get: resuming download of ${remotePath} at byte ${offset}`);
+      progress?.update(offset);
+      await this._get(
+        remotePath,
+        localPath,
+        {
+          ...opts,
+          readStreamOptions: { ...opts.readStreamOptions, start: offset },
+          writeStreamOptions: { ...opts.writeStreamOptions, flags: offset ? 'a' : 'w' },
+        },
+        addListeners,
+        progress && { update: (bytes) => progress.update(offset + bytes) },
+      );
+    } else {
+      progress?.update(offset);
+    }
+    const localSize = fs.statSync(localPath).size;
+    if (localSize !== size) {
+      throw this.fmtError(
+        `Size mismatch: ${remotePath} is ${size} bytes but ${localPath} is ${localSize} bytes`,
+        'get',
+        errorCode.sizeMismatch,
+        { remotePath, localPath },
+      );
+    }
+    return localPath;
+  }
+
+  /**
+   * Use SSH2 fastPut for uploading the file.
+   * Uploads a file from localPath to remotePath using parallel reads
+   * for faster throughput.
    *
    * See 'fastPut' at
    * https://github.com/mscdex/ssh2-streams/blob/master/SFTPStream.md
    *
-   * WARNING: The fastPut functionality is heavily dependent on the capabilities of
-   * the remote sftp server. Many sftp servers do not support or do not fully support this
-   * functionality. See the Platform Quirks & Warnings section of the README for more details.
+   * WARNING: The fastPut functionality is heavily dependent on the capabilities of
+   * the remote sftp server. Many sftp servers do not support or do not fully support this
+   * functionality. See the Platform Quirks & Warnings section of the README for more details.
+   *
+   * An ssh2 fastPut cannot be stopped once started, so if options has a
+   * 'signal' property, the file is uploaded using streams instead.
+   *
+   * @param {String} localPath - path to local file to put
+   * @param {String} remotePath - destination path for put file
+   * @param {Object} options - additonal fastPut options
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true.
+   * @return {Promise<String>} the result of downloading the file
+   */
+  _fastPut(lPath, rPath, opts, addListeners = true, progress) {
+    if (opts?.signal) {
+      return this._put(lPath, rPath, opts, addListeners, progress).then(
+        () => `${lPath} was successfully uploaded to ${rPath}!`,
+      );
+    }
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, '_fastPut', reject);
+      }
+      if (progress) {
+        const step = opts?.step;
+        opts = {
+          ...opts,
+          step: (transferred, chunk, total) => {
+            step?.(transferred, chunk, total);
+            progress.update(transferred, total);
+          },
+        };
+      }
+      if (haveConnection(this, '_fastPut', reject)) {
+        this.sftp.fastPut(lPath, rPath, opts, (err) => {
+          if (err) {
+            reject(
+              this.fmtError(
+                `${err.message} Local: ${lPath} Remote: ${rPath}`,
+                'fastPut',
+                err.code,
+                { remotePath: rPath, localPath: lPath, cause: err },
+              ),
+            );
+          }
+          resolve(`${lPath} was successfully uploaded to ${rPath}!`);
+        });
+      }
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, '_fastPut');
+      }
+    });
+  }
+
+  fastPut(localPath, remotePath, options) {
+    let transfer;
+    const cleanup = async () => {
+      // a partial file from a resumed upload is kept for the next attempt and
+      // _atomicPut() removes its own temporary file
+      if (transfer && !options?.resume && !options?.atomic) {
+        await transfer.catch(() => {});
+        await this._delete(remotePath, true, false);
+      }
+    };
+    return this._withAbort(
+      'fastPut',
+      options,
+      async (signal) => {
+        const opts = signal ? { ...options, signal } : options;
+        try {
+          if (options?.resume && options.atomic) {
+            throw this.fmtError(
+              'The resume and atomic options cannot be used together',
+              'fastPut',
+              errorCode.generic,
+              { remotePath, localPath },
+            );
+          }
+          const localCheck = haveLocalAccess(localPath);
+          if (!localCheck.status) {
+            throw this.fmtError(
+              `Bad path: ${localPath}: ${localCheck.details}`,
+              'fastPut',
+              localCheck.code,
+              { remotePath, localPath },
+            );
+          } else if (localCheck.status && localExists(localPath) === 'd') {
+            throw this.fmtError(
+              `Bad path: ${localPath} not a regular file`,
+              'fastgPut',
+              errorCode.badPath,
+              { remotePath, localPath },
+            );
+          }
+          const info = {
+            operation: 'fastPut',
+            source: localPath,
+            destination: remotePath,
+            totalBytes: () => fs.statSync(localPath).size,
+          };
+          if (options?.checkSpace) {
+            await this._checkSpace(
+              remotePath,
+              info.totalBytes(),
+              options.checkSpace,
+              'fastPut',
+            );
+          }
+          const algorithm = verifyAlgorithm(options?.verify);
+          const preserve = preserveAttrs(options?.preserve);
+          const upload = async (rPath, progress) => {
+            transfer = options?.resume
+              ? this._resumePut(localPath, rPath, opts, true, true, progress)
+              : this._fastPut(localPath, rPath, opts, true, progress);
+            await transfer;
+            if (algorithm) {
+              const digest = await hashFile(localPath, algorithm);
+              await this._verifyHash(rPath, digest, algorithm, 'fastPut');
+            }
+            if (preserve) {
+              await this._preserveRemote(localPath, rPath, preserve);
+            }
+          };
+          await this._withProgress(options?.onProgress, info, (progress) =>
+            options?.atomic
+              ? this._atomicPut(remotePath, options.atomic, (tmpPath) =>
+                  upload(tmpPath, progress),
+                )
+              : upload(remotePath, progress),
+          );
+          return `${localPath} was successfully uploaded to ${remotePath}!`;
+        } catch (e) {
+          throw e.custom ? e : this.fmtError(e.message, 'fastPut', e.code);
+        }
+      },
+      cleanup,
+    );
+  }
+
+  /**
+   * @async
+   *
+   * Upload a local file to a remote file, continuing from the end of any
+   * partial remote file left by an earlier failed upload. If the remote file
+   * does not exist or is larger than the local file, the whole file is
+   * uploaded. Once the transfer is complete, the remote file size is verified
+   * against the local file size.
+   *
+   * @param {String} localPath - path to local file
+   * @param {String} remotePath - path to remote file
+   * @param {Object} options - put() or fastPut() options
+   * @param {Boolean} useFastput - if true, use fastPut() when there is no
+   *                               partial remote file to resume from
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @param {Object} progress - (Optional) progress reporter
+   * @returns {Promise<String>} remote file path
+   */
+  async _resumePut(
+    localPath,
+    remotePath,
+    options,
+    useFastput,
+    addListeners = true,
+    progress,
+  ) {
+    const { size } = fs.statSync(localPath);
+    const remoteType = await this.exists(remotePath);
+    if (remoteType && remoteType !== '-') {
+      throw this.fmtError(
+        `Bad path: ${remotePath} not a regular file`,
+        'put',
+        errorCode.badPath,
+        { remotePath, localPath },
+      );
+    }
+    let offset = 0;
+    if (remoteType) {
+      const stats = await this.stat(remotePath);
+      offset = stats.size;
+    }
+    if (offset > size) {
+      this.debugMsg(`put: ${remotePath} larger than ${localPath} - restarting upload`);
+      offset = 0;
+    }
+    const opts = options ?? {};
+    if (offset === 0 && useFastput) {
+      await this._fastPut(localPath, remotePath, opts, addListeners, progress);
+    } else if (offset < size || !remoteType) {
+      this.debugMsg(`put: resuming upload of ${localPath} at byte ${offset}`);
+      progress?.update(offset);
+      await this._put(
+        localPath,
+        remotePath,
+        {
+          ...opts,
+          readStreamOptions: { ...opts.readStreamOptions, start: offset },
+          writeStreamOptions: {
+            ...opts.writeStreamOptions,
+            flags: offset ? 'r+' : 'w',
+            start: offset,
+          },
+        },
+        addListeners,
+        progress && { update: (bytes) => progress.update(offset + bytes) },
+      );
+    } else {
+      progress?.update(offset);
+    }
+    const remoteStats = await this.stat(remotePath);
+    if (remoteStats.size !== size) {
+      throw this.fmtError(
+        `Size mismatch: ${localPath} is ${size} bytes but ${remotePath} is ${remoteStats.size} bytes`,
+        'put',
+        errorCode.sizeMismatch,
+        { remotePath, localPath },
+      );
+    }
+    return remotePath;
+  }
+
+  /**
+   * Create a file on the remote server. The 'src' argument
+   * can be a buffer, string or read stream. If 'src' is a string, it
+   * should be the path to a local file.
+   *
+   * @param  {String|Buffer|stream} localSrc - source data to use
+   * @param  {String} remotePath - path to remote file
+   * @param  {Object} options - options used for read, write stream and pipe configuration
+   *                            value supported by node. Allowed properties are readStreamOptions,
+   *                            writeStreamOptions, pipeOptions, resume, atomic, onProgress,
+   *                            verify and preserve.
+   *                            If resume is true and localSrc is a local file path, an
+   *                            existing partial remote file is completed rather than uploaded
+   *                            again. If atomic is set, data is written to a temporary file
+   *                            which is renamed to remotePath once the upload completes.
+   *                            The resume and atomic options cannot be used together. The
+   *                            onProgress function is called with progress data as the data
+   *                            is uploaded. If verify is set, the uploaded file is verified
+   *                            against a hash of the data sent. If preserve is set and
+   *                            localSrc is a local file path, the mode and/or times of the
+   *                            local file are copied to the remote file. The bandwidthLimit
+   *                            property (bytes per second or a BandwidthLimiter) limits
+   *                            the upload as well as the client bandwidth limit.
+   *
+   * *Important Note*: The ability to set ''autoClose' on read/write streams and 'end' on pipe() calls
+   * is no longer supported. New methods 'createReadStream()' and 'createWriteStream()' have been
+   * added to support low-level access to stream objects.
+   *
+   * @return {Promise<String>}
+   */
+  _put(lPath, rPath, opts, addListeners = true, progress, hash) {
+    let listeners, wtr, rdr, onAbort;
+    const signal = opts?.signal;
+    const limiter = this._bandwidthLimiter(opts);
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, '_put', reject);
+      }
+      opts = {
+        readStreamOptions: { ...opts?.readStreamOptions, autoClose: true },
+        writeStreamOptions: { ...opts?.writeStreamOptions, autoClose: true },
+        pipeOptions: { ...opts?.pipeOptions, end: true },
+      };
+      if (haveConnection(this, '_put', reject)) {
+        wtr = throttleStream(
+          this.sftp.createWriteStream(rPath, opts.writeStreamOptions),
+          limiter,
+        );
+        wtr.on('error', (err) => {
+          if (typeof lPath === 'string' && rdr && !rdr.destroyed) {
+            rdr.destroy();
+          }
+          reject(
+            this.fmtError(
+              `Write stream error: ${err.message} ${rPath}`,
+              '_put',
+              err.code,
+              { remotePath: rPath, cause: err },
+            ),
+          );
+        });
+        wtr.once('close', () => {
+          if (signal?.aborted) {
+            reject(signal.reason);
+          } else {
+            resolve(`Uploaded data stream to ${rPath}`);
+          }
+        });
+        if (lPath instanceof Buffer) {
+          this.debugMsg('put source is a buffer');
+          hash?.update(lPath);
+          wtr.end(lPath, () => progress?.update(lPath.length));
+        } else {
+          if (typeof lPath === 'string') {
+            this.debugMsg('put source is string path');
+            rdr = fs.createReadStream(lPath, opts.readStreamOptions);
+          } else {
+            this.debugMsg('put source is a stream');
+            rdr = lPath;
+          }
+          if (progress) {
+            let bytesTransferred = 0;
+            rdr.on('data', (chunk) => {
+              bytesTransferred += chunk.length;
+              progress.update(bytesTransferred);
+            });
+          }
+          if (hash) {
+            rdr.on('data', (chunk) => hash.update(chunk));
+          }
+          rdr.once('error', (err) => {
+            reject(
+              this.fmtError(
+                `Read stream error: ${err.message} ${
+                  typeof lPath === 'string' ? lPath : '<stream>'
+                }`,
+                '_put',
+                err.code,
+                {
+                  remotePath: rPath,
+                  localPath: typeof lPath === 'string' ? lPath : undefined,
+                  cause: err,
+                },
+              ),
+            );
+          });
+          rdr.pipe(wtr, opts.pipeOptions);
+        }
+        if (signal) {
+          // the promise settles once the remote file is closed, so it can be
+          // removed without the pending open re-creating it
+          onAbort = () => {
+            if (rdr) {
+              rdr.unpipe(wtr);
+              if (typeof lPath === 'string') {
+                rdr.destroy();
+              }
+            }
+            wtr.destroy();
+          };
+          if (signal.aborted) {
+            onAbort();
+          } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+        }
+      }
+    }).finally(() => {
+      signal?.removeEventListener('abort', onAbort);
+      if (wtr && !wtr.destroyed) {
+        wtr.destroy();
+      }
+      if (addListeners) {
+        removeTempListeners(this, listeners, '_put');
+      }
+    });
+  }
+
+  put(localSrc, remotePath, options) {
+    return this._withAbort('put', options, async (signal) => {
+      options = signal ? { ...options, signal } : options;
+      try {
+        if (options?.resume && options.atomic) {
+          throw this.fmtError(
+            'The resume and atomic options cannot be used together',
+            'put',
+            errorCode.generic,
+            { remotePath },
+          );
+        }
+        if (typeof localSrc === 'string') {
+          const localCheck = haveLocalAccess(localSrc);
+          if (!localCheck.status) {
+            throw this.fmtError(
+              `Bad path: ${localSrc} ${localCheck.details}`,
+              'put',
+              localCheck.code,
+              { remotePath, localPath: localSrc },
+            );
+          }
+        }
+        const info = {
+          operation: 'put',
+          source:
+            typeof localSrc === 'string'
+              ? localSrc
+              : localSrc instanceof Buffer
+                ? '<buffer>'
+                : '<stream>',
+          destination: remotePath,
+          totalBytes: () => {
+            if (typeof localSrc === 'string') {
+              return fs.statSync(localSrc).size;
+            }
+            return localSrc instanceof Buffer ? localSrc.length : undefined;
+          },
+        };
+        const size = options?.checkSpace ? info.totalBytes() : undefined;
+        if (size !== undefined) {
+          await this._checkSpace(remotePath, size, options.checkSpace, 'put');
+        }
+        const algorithm = verifyAlgorithm(options?.verify);
+        const preserve =
+          typeof localSrc === 'string' ? preserveAttrs(options?.preserve) : undefined;
+        const upload = async (rPath, progress) => {
+          if (options?.resume && typeof localSrc === 'string') {
+            await this._resumePut(localSrc, rPath, options, false, true, progress);
+            if (algorithm) {
+              const digest = await hashFile(localSrc, algorithm);
+              await this._verifyHash(rPath, digest, algorithm, 'put');
+            }
+          } else {
+            const hash = algorithm ? createHash(algorithm) : undefined;
+            await this._put(localSrc, rPath, options, true, progress, hash);
+            if (hash) {
+              await this._verifyHash(rPath, hash.digest('hex'), algorithm, 'put');
+            }
+          }
+          if (preserve) {
+            await this._preserveRemote(localSrc, rPath, preserve);
+          }
+        };
+        await this._withProgress(options?.onProgress, info, (progress) =>
+          options?.atomic
+            ? this._atomicPut(remotePath, options.atomic, (tmpPath) =>
+                upload(tmpPath, progress),
+              )
+            : upload(remotePath, progress),
+        );
+        return `Uploaded data stream to ${remotePath}`;
+      } catch (e) {
+        throw e.custom ? e : this.fmtError(`Re-thrown: ${e.message}`, 'put', e.code);
+      }
+    });
+  }
+
+  /**
+   * Append to an existing remote file
+   *
+   * @param  {Buffer|stream} input
+   * @param  {String} remotePath
+   * @param  {Object} options
+   * @return {Promise<String>}
+   */
+  _append(input, rPath, opts, addListeners = true, progress) {
+    let listeners, onAbort;
+    const signal = opts.signal;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, '_append', reject);
+      }
+      if (haveConnection(this, '_append', reject)) {
+        // the signal is handled below, rather than by the stream itself
+        const stream = throttleStream(
+          this.sftp.createWriteStream(rPath, {
+            ...opts,
+            flags: 'a',
+            signal: undefined,
+            bandwidthLimit: undefined,
+          }),
+          this._bandwidthLimiter(opts),
+        );
+        stream.on('error', (err) => {
+          reject(
+            this.fmtError(`${err.message} ${rPath}`, 'append', err.code, {
+              remotePath: rPath,
+              cause: err,
+            }),
+          );
+        });
+        stream.on('close', () => {
+          resolve(`Appended data to ${rPath}`);
+        });
+        if (input instanceof Buffer) {
+          stream.write(input);
+          stream.end(() => progress?.update(input.length));
+        } else {
+          if (progress) {
+            let bytesTransferred = 0;
+            input.on('data', (chunk) => {
+              bytesTransferred += chunk.length;
+              progress.update(bytesTransferred);
+            });
+          }
+          input.pipe(stream);
+        }
+        if (signal) {
+          onAbort = () => {
+            reject(signal.reason);
+            if (!(input instanceof Buffer)) {
+              input.unpipe(stream);
+            }
+            stream.destroy();
+          };
+          if (signal.aborted) {
+            onAbort();
+          } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+        }
+      }
+    }).finally(() => {
+      signal?.removeEventListener('abort', onAbort);
+      if (addListeners) {
+        removeTempListeners(this, listeners, '_append');
+      }
+    });
+  }
+
+  append(input, remotePath, options = {}) {
+    return this._withAbort('append', options, async (signal) => {
+      try {
+        if (typeof input === 'string') {
+          throw this.fmtError(
+            'Cannot append one file to another',
+            'append',
+            errorCode.badPath,
+          );
+        }
+        const fileType = await this.exists(remotePath);
+        if (fileType && fileType === 'd') {
+          throw this.fmtError(
+            `Bad path: ${remotePath}: cannot append to a directory`,
+            'append',
+            errorCode.badPath,
+            { remotePath },
+          );
+        }
+        const info = {
+          operation: 'append',
+          source: input instanceof Buffer ? '<buffer>' : '<stream>',
+          destination: remotePath,
+          totalBytes: input instanceof Buffer ? input.length : undefined,
+        };
+        return await this._withProgress(options.onProgress, info, (progress) =>
+          this._append(input, remotePath, { ...options, signal }, true, progress),
+        );
+      } catch (e) {
+        throw e.custom ? e : this.fmtError(e.message, 'append', e.code);
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Make a directory on remote server
+   *
+   * @param {string} remotePath - remote directory path.
+   * @param {boolean} recursive - if true, recursively create directories
+   * @return {Promise<String>}
+   */
+  _doMkdir(p, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, '_doMkdir', reject);
+      }
+      this.sftp.mkdir(p, (err) => {
+        if (err) {
+          if (err.code === 4) {
+            //fix for windows dodgy error messages
+            reject(
+              this.fmtError(
+                `Bad path: ${p} permission denied`,
+                '_doMkdir',
+                errorCode.badPath,
+                { remotePath: p, cause: err, errorClass: PermissionDeniedError },
+              ),
+            );
+          } else if (err.code === 2) {
+            reject(
+              this.fmtError(
+                `Bad path: ${p} parent not a directory or not exist`,
+                '_doMkdir',
+                errorCode.badPath,
+                { remotePath: p, cause: err, errorClass: PathNotFoundError },
+              ),
+            );
+          } else {
+            reject(
+              this.fmtError(`${err.message} ${p}`, '_doMkdir', err.code, {
+                remotePath: p,
+                cause: err,
+              }),
+            );
+          }
+        } else {
+          resolve(`${p} directory created`);
+        }
+      });
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, '_doMkdir');
+      }
+    });
+  }
+
+  async _mkdir(remotePath, recursive) {
+    try {
+      const rPath = await normalizeRemotePath(this, remotePath);
+      const targetExists = await this.exists(rPath);
+      if (targetExists && targetExists !== 'd') {
+        throw this.fmtError(
+          `Bad path: ${rPath} already exists as a file`,
+          '_mkdir',
+          errorCode.badPath,
+          { remotePath: rPath },
+        );
+      } else if (targetExists) {
+        return `${rPath} already exists`;
+      }
+      if (!recursive) {
+        return await this._doMkdir(rPath);
+      }
+      const dir = parse(rPath).dir;
+      if (dir) {
+        const dirExists = await this.exists(dir);
+        if (!dirExists) {
+          await this._mkdir(dir, true);
+        } else if (dirExists !== 'd') {
+          throw this.fmtError(
+            `Bad path: ${dir} not a directory`,
+            '_mkdir',
+            errorCode.badPath,
+            { remotePath: dir, errorClass: NotADirectoryError },
+          );
+        }
+      }
+      return await this._doMkdir(rPath);
+    } catch (err) {
+      throw err.custom
+        ? err
+        : this.fmtError(`${err.message} ${remotePath}`, '_mkdir', err.code, {
+            remotePath,
+            cause: err,
+          });
+    }
+  }
+
+  mkdir(remotePath, recursive = false, options) {
+    return this._withAbort('mkdir', options, async () => {
+      try {
+        haveConnection(this, 'mkdir');
+        return await this._mkdir(remotePath, recursive);
+      } catch (err) {
+        throw err.custom
+          ? err
+          : this.fmtError(`${err.message}`, 'mkdir', err.code, {
+              remotePath,
+              cause: err,
+            });
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Remove directory on remote server
+   *
+   * @param {string} remotePath - path to directory to be removed
+   * @param {boolean} recursive - if true, remove directories/files in target
+   *                             directory
+   * @param {Object} options - (Optional) object with 'signal', 'timeout' and
+   * 'continueOnError' properties. If 'continueOnError' is true, entries which
+   * cannot be removed are recorded and a recursive removal continues with the
+   * remaining entries. Directories containing such entries are skipped.
+   * @return {Promise<String|Object>} message or, for a recursive removal with
+   * 'continueOnError', a report with 'succeeded', 'failed', 'skipped', 'bytes'
+   * and 'durationMs' properties
+   */
+  rmdir(remoteDir, recursive = false, options) {
+    const _rmdir = (dir) => {
+      let listeners;
+      return new Promise((resolve, reject) => {
+        listeners = addTempListeners(this, '_rmdir', reject);
+        this.sftp.rmdir(dir, (err) => {
+          if (err) {
+            reject(
+              this.fmtError(`${err.message} ${dir}`, 'rmdir', err.code, {
+                remotePath: dir,
+                cause: err,
+              }),
+            );
+          }
+          resolve('Successfully removed directory');
+        });
+      }).finally(() => {
+        removeTempListeners(this, listeners, '_rmdir');
+      });
+    };
+
+    // All directories of the tree are listed and their files deleted by one
+    // work queue. With a report, failed tasks are recorded and the other tasks
+    // continue. Returns the directories, parents before their sub-directories.
+    const _delTree = async (absPath, report, signal) => {
+      const listeners = addTempListeners(this, '_delTree');
+      try {
+        const queue = taskQueue(this.promiseLimit, signal);
+        const dirs = [];
+        // failure of the top directory always fails the whole operation
+        const addDir = (dir, top = false) => {
+          queue.push(() =>
+            collectError(top ? undefined : report, dir, signal, async () => {
+              const listing = await this.list(dir, undefined, { signal });
+              dirs.push(dir);
+              for (const item of listing) {
+                const path = dir === '/' ? `/${item.name}` : `${dir}/${item.name}`;
+                if (item.type === 'd') {
+                  addDir(path);
+                } else {
+                  queue.push(() =>
+                    collectError(report, path, signal, async () => {
+                      await this._delete(path, true, false);
+                      if (report) {
+                        report.succeeded.push(path);
+                        report.bytes += item.size;
+                      }
+                    }),
+                  );
+                }
+              }
+            }),
+          );
+        };
+        addDir(absPath, true);
+        await queue.done();
+        return dirs;
+      } finally {
+        removeTempListeners(this, listeners, '_delTree');
+      }
+    };
+
+    return this._withAbort('rmdir', options, async (signal) => {
+      const started = Date.now();
+      try {
+        const absPath = await normalizeRemotePath(this, remoteDir);
+        const existStatus = await this.exists(absPath, { signal });
+        if (!existStatus) {
+          throw this.fmtError(
+            `Bad Path: ${remoteDir}: No such directory`,
+            'rmdir',
+            errorCode.badPath,
+            { remotePath: remoteDir, errorClass: PathNotFoundError },
+          );
+        }
+        if (existStatus !== 'd') {
+          throw this.fmtError(
+            `Bad Path: ${remoteDir}: Not a directory`,
+            'rmdir',
+            errorCode.badPath,
+            { remotePath: remoteDir, errorClass: NotADirectoryError },
+          );
+        }
+        if (!recursive) {
+          return await _rmdir(absPath);
+        }
+        const report = options?.continueOnError ? createReport() : undefined;
+        const dirs = await _delTree(absPath, report, signal);
+        // sub-directories before their parents
+        for (const d of dirs.reverse()) {
+          signal?.throwIfAborted();
+          if (report?.failed.some((f) => f.path.startsWith(`${d}/`))) {
+            report.skipped.push(d);
+            continue;
+          }
+          await collectError(report, d, signal, async () => {
+            await _rmdir(d);
+            report?.succeeded.push(d);
+          });
+        }
+        if (report) {
+          report.durationMs = Date.now() - started;
+          return report;
+        }
+        return 'Successfully removed directory';
+      } catch (err) {
+        throw err.custom
+          ? err
+          : this.fmtError(`${err.message} ${remoteDir}`, 'rmdir', err.code, {
+              remotePath: remoteDir,
+              cause: err,
+            });
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Delete a file on the remote SFTP server. If the 'glob' option is true,
+   * the path is treated as a glob pattern and all matching files are deleted.
+   * Directories are never deleted by a pattern.
+   *
+   * @param {string} remotePath - path to the file to delete or a glob pattern
+   * @param {boolean} notFoundOK - if true, ignore errors for missing target.
+   *                               Default is false.
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'glob', 'signal' and 'timeout' properties. Default true
+   * @return {Promise<String>} with string 'Successfully deleted file' once resolved
+   */
+  delete(remotePath, notFoundOK = false, options = true) {
+    const { addListeners = true, glob = false } = methodOptions(options);
+    return this._withAbort('delete', options, (signal) =>
+      glob
+        ? this._deleteGlob(remotePath, notFoundOK, addListeners, signal)
+        : this._delete(remotePath, notFoundOK, addListeners),
+    );
+  }
+
+  /**
+   * @async
+   *
+   * Delete all files matching a glob pattern. See delete().
+   *
+   * @param {string} remotePath - glob pattern
+   * @param {boolean} notFoundOK - if true, no error when nothing matches
+   * @param {Boolean} addListeners - if true, add listeners
+   * @param {AbortSignal} signal - (Optional) signal to stop deleting files
+   * @return {Promise<String>}
+   */
+  async _deleteGlob(remotePath, notFoundOK, addListeners, signal) {
+    const matches = await this.glob(remotePath, { signal });
+    const fileList = matches.filter((item) => item.type !== 'd');
+    if (!fileList.length) {
+      if (notFoundOK) {
+        return `No files matching ${remotePath}`;
+      }
+      throw this.fmtError(
+        `No files matching ${remotePath}`,
+        'delete',
+        errorCode.notexist,
+        { remotePath },
+      );
+    }
+    for (const group of partition(fileList, this.promiseLimit)) {
+      signal?.throwIfAborted();
+      await Promise.all(group.map((item) => this._delete(item.path, true, addListeners)));
+    }
+    return `Successfully deleted ${fileList.length} files matching ${remotePath}`;
+  }
+
+  _delete(remotePath, notFoundOK = false, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'delete', reject);
+      }
+      this.sftp.unlink(remotePath, (err) => {
+        if (err) {
+          if (notFoundOK && err.code === 2) {
+            resolve(`Successfully deleted ${remotePath}`);
+          } else {
+            reject(
+              this.fmtError(`${err.message} ${remotePath}`, 'delete', err.code, {
+                remotePath,
+                cause: err,
+              }),
+            );
+          }
+        }
+        resolve(`Successfully deleted ${remotePath}`);
+      });
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'delete');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Rename a file on the remote SFTP repository
+   *
+   * @param {string} fromPath - path to the file to be renamed.
+   * @param {string} toPath - path to the new name.
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
+   *
+   * @return {Promise<String>}
+   */
+  rename(fPath, tPath, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    return this._withAbort('rename', options, () =>
+      this._rename(fPath, tPath, addListeners),
+    );
+  }
+
+  _rename(fPath, tPath, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'rename', reject);
+      }
+      if (haveConnection(this, 'rename', reject)) {
+        this.sftp.rename(fPath, tPath, (err) => {
+          if (err) {
+            reject(
+              this.fmtError(
+                `${err.message} From: ${fPath} To: ${tPath}`,
+                '_rename',
+                err.code,
+                { remotePath: fPath, cause: err },
+              ),
+            );
+          }
+          resolve(`Successfully renamed ${fPath} to ${tPath}`);
+        });
+      }
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'rename');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Rename a file on the remote SFTP repository using the SSH extension
+   * posix-rename@openssh.com using POSIX atomic rename. (Introduced in SSH 4.8)
+   *
+   * @param {string} fromPath - path to the file to be renamed.
+   * @param {string} toPath - path  the new name.
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
+   *
+   * @return {Promise<String>}
+   */
+  posixRename(fPath, tPath, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    return this._withAbort('posixRename', options, () =>
+      this._posixRename(fPath, tPath, addListeners),
+    );
+  }
+
+  _posixRename(fPath, tPath, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'posixRename', reject);
+      }
+      if (haveConnection(this, 'posixRename', reject)) {
+        this.sftp.ext_openssh_rename(fPath, tPath, (err) => {
+          if (err) {
+            reject(
+              this.fmtError(
+                `${err.message} From: ${fPath} To: ${tPath}`,
+                '_posixRename',
+                err.code,
+                { remotePath: fPath, cause: err },
+              ),
+            );
+          }
+          resolve(`Successful POSIX rename ${fPath} to ${tPath}`);
+        });
+      }
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'posixRename');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Create a symbolic link on the remote server. OpenSSH implements the
+   * SSH_FXP_SYMLINK request with its arguments in the reverse order to that
+   * given in the SFTP draft. The ssh2 module swaps the arguments when the
+   * server identifies itself as OpenSSH. For servers which use the OpenSSH
+   * sftp-server behind a differently named SSH daemon (or the reverse), set
+   * the 'reverseSymlinkArgs' connect option to true or false to override
+   * this detection.
+   *
+   * @param {String} target - the path the link will point to.
+   * @param {String} linkPath - path of the new symbolic link.
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
+   *
+   * @return {Promise<String>}
+   */
+  symlink(target, linkPath, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    return this._withAbort('symlink', options, () =>
+      this._symlink(target, linkPath, addListeners),
+    );
+  }
+
+  _symlink(target, linkPath, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'symlink', reject);
+      }
+      if (haveConnection(this, 'symlink', reject)) {
+        const swap =
+          this.reverseSymlinkArgs !== undefined &&
+          Boolean(this.reverseSymlinkArgs) !== Boolean(this.sftp._isOpenSSH);
+        const args = swap ? [linkPath, target] : [target, linkPath];
+        this.sftp.symlink(...args, (err) => {
+          if (err) {
+            return reject(
+              this.fmtError(
+                `${err.message} Target: ${target} Link: ${linkPath}`,
+                'symlink',
+                err.code,
+                { remotePath: linkPath, cause: err },
+              ),
+            );
+          }
+          resolve(`Successfully created symlink ${linkPath} to ${target}`);
+        });
+      }
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'symlink');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Return the target of a remote symbolic link. The target is returned as
+   * stored in the link i.e. a relative target is not resolved.
+   *
+   * @param {String} linkPath - path to the symbolic link.
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
+   *
+   * @return {Promise<String>} the link target
+   */
+  readlink(linkPath, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    return this._withAbort('readlink', options, () =>
+      this._readlink(linkPath, addListeners),
+    );
+  }
+
+  _readlink(linkPath, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'readlink', reject);
+      }
+      if (haveConnection(this, 'readlink', reject)) {
+        this.sftp.readlink(linkPath, (err, target) => {
+          if (err) {
+            return reject(
+              this.fmtError(
+                `${err.message} ${linkPath}`,
+                'readlink',
+                err.code === 2 ? errorCode.notexist : err.code,
+                { remotePath: linkPath, cause: err },
+              ),
+            );
+          }
+          resolve(target);
+        });
+      }
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'readlink');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Create a hard link on the remote server using the SSH extension
+   * hardlink@openssh.com (Introduced in SSH 5.7).
+   *
+   * @param {String} target - path to the existing file.
+   * @param {String} linkPath - path of the new hard link.
+   * @param {Boolean|Object} options - (Optional) addListeners flag or object with
+   * 'addListeners', 'signal' and 'timeout' properties. Default true
+   *
+   * @return {Promise<String>}
+   */
+  link(target, linkPath, options = true) {
+    const { addListeners = true } = methodOptions(options);
+    return this._withAbort('link', options, () =>
+      this._link(target, linkPath, addListeners),
+    );
+  }
+
+  _link(target, linkPath, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'link', reject);
+      }
+      if (!haveConnection(this, 'link', reject)) {
+        return;
+      }
+      if (!this._hasExtension('hardlink@openssh.com')) {
+        return reject(
+          this.fmtError(
+            'Server does not support hardlink@openssh.com extension',
+            'link',
+            errorCode.notSupported,
+          ),
+        );
+      }
+      this.sftp.ext_openssh_hardlink(target, linkPath, (err) => {
+        if (err) {
+          return reject(
+            this.fmtError(
+              `${err.message} Target: ${target} Link: ${linkPath}`,
+              'link',
+              err.code,
+              { remotePath: linkPath, cause: err },
+            ),
+          );
+        }
+        resolve(`Successfully created hard link ${linkPath} to ${target}`);
+      });
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'link');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Report the capabilities of the remote server. The returned object has
+   * the following properties:
+   *
+   * sftpVersion - the negotiated SFTP protocol version
+   * platform - 'windows' or 'unix'. Also stored in 'remotePlatform'
+   * extensions - all SFTP extensions advertised by the server, keyed by name
+   * supports - an object with a boolean for each well known extension e.g.
+   *   'posixRename', 'statvfs', 'hardlink', 'fsync', 'limits', 'copyData'
+   * limits - server limits from the 'limits@openssh.com' extension, or
+   *   undefined if not supported
+   *
+   * serverIdent - the software version from the server SSH ident string
+   *
+   * The capabilities are collected by connect() and cached until the SFTP
+   * channel is re-opened.
+   *
+   * @param {Object} options - (Optional) object with 'signal' and 'timeout' properties
+   * @returns {Promise<Object>} server capabilities
+   */
+  async getCapabilities(options) {
+    try {
+      haveConnection(this, 'getCapabilities');
+      if (this.capabilities) {
+        return this.capabilities;
+      }
+      return await this._withAbort('getCapabilities', options, () =>
+        this._loadCapabilities(),
+      );
+    } catch (err) {
+      throw err.custom ? err : this.fmtError(err.message, 'getCapabilities', err.code);
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Collect the capabilities reported by getCapabilities() and cache them.
+   * Also sets 'remotePlatform' and 'remoteCopy'.
+   *
+   * @returns {Promise<Object>} server capabilities
+   */
+  async _loadCapabilities() {
+    const capabilities = await this._probeCapabilities();
+    this.capabilities = capabilities;
+    this.remotePlatform = capabilities.platform;
+    // copy-data is the only copy extension ssh2 supports
+    this.remoteCopy = capabilities.supports.copyData ? 'copy-data' : undefined;
+    this.debugMsg('capabilities', capabilities);
+    return capabilities;
+  }
+
+  /**
+   * @async
+   *
+   * Probe the server capabilities. ssh2 does not make the negotiated version,
+   * extensions or limits public, so they are read from a short lived
+   * ExtendedChannel, which is closed again once the probe is done. If the
+   * channel cannot be opened, no extensions are reported.
+   *
+   * @returns {Promise<Object>} server capabilities
+   */
+  async _probeCapabilities() {
+    const cwd = await this._realPath('.', false).catch(() => '');
+    let channel, limits;
+    // ssh2 only supports SFTP version 3
+    let sftpVersion = 3;
+    let extensions = {};
+    try {
+      channel = await ExtendedChannel.open(this.client);
+      sftpVersion = channel.version;
+      extensions = { ...channel.extensions };
+      if (channel.hasExtension('limits@openssh.com')) {
+        const reply = await channel.request('limits@openssh.com');
+        const value = (i) => Number(reply.readBigUInt64BE(i * 8));
+        limits = {
+          maxPacketLength: value(0),
+          maxReadLength: value(1),
+          maxWriteLength: value(2),
+          maxOpenHandles: value(3),
+        };
+      }
+    } catch (err) {
+      this.debugMsg(`_probeCapabilities: ${err.message}`);
+    } finally {
+      channel?.close();
+    }
+    const supports = {};
+    for (const [key, name] of Object.entries(sftpExtensions)) {
+      supports[key] = Boolean(extensions[name]);
+    }
+    const windows =
+      /windows|bitvise|flowssh|winsshd|cerberus|serv-u|syncplify/i.test(
+        this.serverIdent,
+      ) || /^\/?[a-z]:/i.test(cwd);
+    return {
+      sftpVersion,
+      serverIdent: this.serverIdent,
+      platform: windows ? 'windows' : 'unix',
+      extensions,
+      supports,
+      limits,
+    };
+  }
+
+  /**
+   * Test if the remote server advertised support for the named SFTP
+   * protocol extension. See getCapabilities().
+   *
+   * @param {String} name - extension name e.g. 'posix-rename@openssh.com'
+   * @returns {Boolean}
+   */
+  _hasExtension(name) {
+    return Boolean(this.capabilities?.extensions[name]);
+  }
+
+  /**
+   * @async
+   *
+   * Write a remote file atomically. The 'upload' function is called with the
+   * path of a temporary file in the same directory as 'remotePath'. Once the
+   * upload has completed, the temporary file is renamed to 'remotePath'. If the
+   * server supports the posix-rename@openssh.com extension, the rename replaces
+   * any existing file atomically. Otherwise, any existing file is deleted before
+   * the temporary file is renamed. The temporary file is removed if the upload
+   * or rename fails.
+   *
+   * @param {String} remotePath - final path of the remote file
+   * @param {Boolean|Object} atomic - true or an object with optional 'prefix'
+   *                                  and 'suffix' properties used to build the
+   *                                  temporary file name. Default prefix is '.'
+   *                                  and default suffix is '.tmp'. The process id
+   *                                  and a random value are added before the
+   *                                  suffix, so concurrent uploads to the same
+   *                                  path use different temporary files
+   * @param {Function} upload - async function to write data to temporary path
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<*>} the value returned by 'upload'
+   */
+  async _atomicPut(remotePath, atomic, upload, addListeners = true) {
+    const { prefix = '.', suffix = '.tmp' } = typeof atomic === 'object' ? atomic : {};
+    const idx = remotePath.lastIndexOf('/') + 1;
+    const unique = `${process.pid}-${randomBytes(4).toString('hex')}`;
+    const tmpPath = `${remotePath.slice(0, idx)}${prefix}${remotePath.slice(idx)}.${unique}${suffix}`;
+    try {
+      const result = await upload(tmpPath);
+      if (this._hasExtension('posix-rename@openssh.com')) {
+        await this.posixRename(tmpPath, remotePath, addListeners);
+      } else {
+        await this.delete(remotePath, true, addListeners);
+        await this.rename(tmpPath, remotePath, addListeners);
+      }
+      return result;
+    } catch (err) {
+      try {
+        await this.delete(tmpPath, true, addListeners);
+      } catch (e) {
+        this.debugMsg(`_atomicPut: failed to remove ${tmpPath}: ${e.message}`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Change the mode of a remote file or directory on the SFTP repository. The
+   * mode can be a number, an octal string or a symbolic mode such as
+   * 'u+rwX,go-w'.
+   *
+   * The 'options' argument supports the properties 'recursive', 'fileMode',
+   * 'dirMode' and 'filter'. When 'recursive' is true and remotePath is a
+   * directory, the mode of every file and directory below it is also changed.
+   * The 'fileMode' and 'dirMode' properties override 'mode' for files and
+   * directories respectively. The 'filter' property is a function or glob
+   * pattern(s), as for walk(), selecting the entries to change. Symbolic links
+   * are skipped. A recursive chmod does not stop at the first error. Instead,
+   * it resolves to an object with a 'succeeded' array of objects with 'path'
+   * and 'mode' properties and a 'failed' array of objects with 'path' and
+   * 'error' properties.
+   *
+   * For backwards compatibility, a boolean 'options' argument is treated as
+   * the 'addListeners' option.
+   *
+   * @param {string} remotePath - path to the remote target object.
+   * @param {number | string} mode - the new mode to set
+   * @param {Object} options - (Optional) 'recursive', 'fileMode', 'dirMode',
+   * 'filter' and 'addListeners' properties.
+   *
+   * @return {Promise<String|Object>}
+   */
+  chmod(remotePath, mode, options = {}) {
+    const opts = methodOptions(options);
+    const addListeners = opts.addListeners ?? true;
+    return this._withAbort('chmod', opts, (signal) => {
+      if (opts.recursive) {
+        return this._chmodTree(remotePath, mode, { ...opts, signal });
+      }
+      if (isSymbolicMode(mode)) {
+        return this._chmodSymbolic(remotePath, mode, addListeners);
+      }
+      return this._chmod(remotePath, mode, addListeners);
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Change the mode of a single remote file or directory.
+   *
+   * @param {string} rPath - path to the remote target object.
+   * @param {number | string} mode - the new octal mode to set
+   * @param {boolean} addListeners - (Optional) if true, add listeners. Default true.
+   *
+   * @return {Promise<String>}
+   */
+  _chmod(rPath, mode, addListeners = true) {
+    let listeners;
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, 'chmod', reject);
+      }
+      if (haveConnection(this, 'chmod', reject)) {
+        this.sftp.chmod(rPath, mode, (err) => {
+          if (err) {
+            reject(
+              this.fmtError(`${err.message} ${rPath}`, '_chmod', err.code, {
+                remotePath: rPath,
+                cause: err,
+              }),
+            );
+          }
+          resolve('Successfully change file mode');
+        });
+      }
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, 'chmod');
+      }
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Apply a symbolic mode to a single remote file or directory.
+   *
+   * @param {string} rPath - path to the remote target object.
+   * @param {string} mode - symbolic mode e.g. 'u+rwX,go-w'
+   * @param {boolean} addListeners - (Optional) if true, add listeners. Default true.
+   *
+   * @return {Promise<String>}
+   */
+  async _chmodSymbolic(rPath, mode, addListeners = true) {
+    try {
+      if (resolveMode(mode) === undefined) {
+        throw this.fmtError(`Invalid mode: ${mode}`, 'chmod', errorCode.badMode, {
+          remotePath: rPath,
+        });
+      }
+      const stats = await this._xstat('stat', rPath, addListeners);
+      const newMode = resolveMode(mode, stats.mode, stats.isDirectory);
+      return await this._chmod(rPath, newMode, addListeners);
+    } catch (err) {
+      throw err.custom
+        ? err
+        : this.fmtError(`${err.message} ${rPath}`, 'chmod', err.code, {
+            remotePath: rPath,
+            cause: err,
+          });
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Change the mode of a remote directory tree. Files are changed first and
+   * then directories, deepest first, so that removing permissions from a
+   * directory does not prevent changes to its contents.
+   *
+   * @param {string} remotePath - path to the remote target object.
+   * @param {number | string} mode - the new mode to set
+   * @param {Object} options - chmod() options
+   *
+   * @return {Promise<Object>} object with 'succeeded' and 'failed' arrays
+   */
+  async _chmodTree(remotePath, mode, options) {
+    let listeners;
+    try {
+      listeners = addTempListeners(this, 'chmod');
+      haveConnection(this, 'chmod');
+      const fileMode = options.fileMode ?? mode;
+      const dirMode = options.dirMode ?? mode;
+      for (const m of [fileMode, dirMode]) {
+        if (m !== undefined && resolveMode(m) === undefined) {
+          throw this.fmtError(`Invalid mode: ${m}`, 'chmod', errorCode.badMode);
+        }
+      }
+      const { signal } = options;
+      const absPath = await normalizeRemotePath(this, remotePath);
+      const rootType = await this.exists(absPath, { signal });
+      if (!rootType) {
+        throw this.fmtError(`No such file: ${remotePath}`, 'chmod', errorCode.notexist);
+      }
+      const files = [];
+      const dirs = [];
+      if (rootType === 'd') {
+        for await (const entry of this.walk(absPath, {
+          filter: options.filter,
+          signal,
+        })) {
+          if (entry.type === 'd') {
+            dirs.push(entry);
+          } else if (entry.type !== 'l') {
+            files.push(entry.path);
+          }
+        }
+        dirs.push({ path: absPath, depth: 0 });
+      } else {
+        files.push(absPath);
+      }
+      const result = { succeeded: [], failed: [] };
+      const change = async (path, spec, isDir) => {
+        try {
+          let newMode = resolveMode(spec);
+          if (isSymbolicMode(spec)) {
+            const stats = await this._xstat('stat', path, false);
+            newMode = resolveMode(spec, stats.mode, isDir);
+          }
+          await this._chmod(path, newMode, false);
+          result.succeeded.push({ path, mode: newMode });
+        } catch (err) {
+          result.failed.push({ path, error: err });
+        }
+      };
+      const applyAll = (paths, spec, isDir) =>
+        mapLimit(paths, this.promiseLimit, (p) => change(p, spec, isDir), signal);
+      if (fileMode !== undefined) {
+        await applyAll(files, fileMode, false);
+      }
+      if (dirMode !== undefined) {
+        const levels = [];
+        for (const d of dirs) {
+          (levels[d.depth] ??= []).push(d.path);
+        }
+        for (let depth = levels.length - 1; depth >= 0; depth--) {
+          await applyAll(levels[depth] ?? [], dirMode, true);
+        }
+      }
+      return result;
+    } catch (err) {
+      throw err.custom
+        ? err
+        : this.fmtError(`${err.message} ${remotePath}`, 'chmod', err.code, {
+            remotePath,
+            cause: err,
+          });
+    } finally {
+      removeTempListeners(this, listeners, 'chmod');
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Change the owner and group of a remote file or directory. Both uid and
+   * gid must be supplied as the SFTP protocol sets them together.
+   *
+   * @param {String} remotePath - path to the remote target object.
+   * @param {Number} uid - numeric user id of the new owner
+   * @param {Number} gid - numeric group id of the new group
+   * @param {Object} options - (Optional) supports 'recursive' and 'filter'
+   * properties. See setstat()
+   *
+   * @return {Promise<String>}
+   */
+  chown(remotePath, uid, gid, options = {}) {
+    return this._withAbort('chown', options, (signal) =>
+      this._applyAttrs('chown', remotePath, { uid, gid }, { ...options, signal }),
+    );
+  }
+
+  /**
+   * @async
+   *
+   * Set the access and modification times of a remote file or directory.
+   *
+   * @param {String} remotePath - path to the remote target object.
+   * @param {Number|Date} atime - access time in seconds or a Date object
+   * @param {Number|Date} mtime - modification time in seconds or a Date object
+   * @param {Object} options - (Optional) supports 'recursive' and 'filter'
+   * properties. See setstat()
+   *
+   * @return {Promise<String>}
+   */
+  utimes(remotePath, atime, mtime, options = {}) {
+    return this._withAbort('utimes', options, (signal) =>
+      this._applyAttrs('utimes', remotePath, { atime, mtime }, { ...options, signal }),
+    );
+  }
+
+  /**
+   * @async
+   *
+   * Set attributes of a remote file or directory. The 'attrs' object can
+   * include 'mode', 'uid', 'gid', 'atime' and 'mtime' properties. The 'uid'
+   * and 'gid' properties must be given together, as must 'atime' and
+   * 'mtime'. Times are in seconds or Date objects.
+   *
+   * When the 'recursive' option is true and remotePath is a directory, the
+   * attributes are also set on all files and directories below it. Symbolic
+   * links are skipped as setting attributes on a link changes its target. The
+   * 'filter' option is a function or glob pattern(s), as for walk(), which
+   * selects the entries below remotePath to modify.
+   *
+   * @param {String} remotePath - path to the remote target object.
+   * @param {Object} attrs - attributes to set
+   * @param {Object} options - (Optional) supports 'recursive' and 'filter'
+   * properties
+   *
+   * @return {Promise<String>}
+   */
+  setstat(remotePath, attrs, options = {}) {
+    return this._withAbort('setstat', options, (signal) =>
+      this._applyAttrs('setstat', remotePath, attrs, { ...options, signal }),
+    );
+  }
+
+  /**
+   * Common implementation for chown(), utimes() and setstat().
+   *
+   * @param {String} name - name of the calling method
+   * @param {String} remotePath - path to the remote target object.
+   * @param {Object} attrs - attributes to set
+   * @param {Object} options - 'recursive', 'filter' and 'signal' properties
+   * @returns {Promise<String>}
+   */
+  async _applyAttrs(name, remotePath, attrs, options) {
+    let listeners;
+    try {
+      listeners = addTempListeners(this, name);
+      haveConnection(this, name);
+      if ((attrs.uid === undefined) !== (attrs.gid === undefined)) {
+        throw this.fmtError('uid and gid must be specified together', name);
+      }
+      if ((attrs.atime === undefined) !== (attrs.mtime === undefined)) {
+        throw this.fmtError('atime and mtime must be specified together', name);
+      }
+      const absPath = await normalizeRemotePath(this, remotePath);
+      const paths = [absPath];
+      const signal = options?.signal;
+      if (options?.recursive && (await this.exists(absPath, { signal })) === 'd') {
+        for await (const entry of this.walk(absPath, {
+          filter: options.filter,
+          signal,
+        })) {
+          if (entry.type !== 'l') {
+            paths.push(entry.path);
+          }
+        }
+      }
+      const queue = taskQueue(this.promiseLimit, signal);
+      for (const p of paths) {
+        queue.push(() => this._setstat(p, attrs, false));
+      }
+      await queue.done();
+      return paths.length > 1
+        ? `Successfully set attributes for ${paths.length} paths in ${remotePath}`
+        : `Successfully set attributes for ${remotePath}`;
+    } catch (err) {
+      throw err.custom
+        ? err
+        : this.fmtError(`${err.message} ${remotePath}`, name, err.code, {
+            remotePath,
+            cause: err,
+          });
+    } finally {
+      removeTempListeners(this, listeners, name);
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Set the access and modification times of a remote file.
    *
-   * @param {String} localPath - path to local file to put
-   * @param {String} remotePath - destination path for put file
-   * @param {Object} options - additonal fastPut options
+   * @param {String} rPath - path to the remote file
+   * @param {Number|Date} atime - access time in seconds or a Date object
+   * @param {Number|Date} mtime - modification time in seconds or a Date object
    * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true.
-   * @return {Promise<String>} the result of downloading the file
+   * @return {Promise<String>}
    */
-  _fastPut(lPath, rPath, opts, addListeners = true) {
+  _utimes(rPath, atime, mtime, addListeners = true) {
     let listeners;
     return new Promise((resolve, reject) => {
       if (addListeners) {
-        listeners = addTempListeners(this, '_fastPut', reject);
+        listeners = addTempListeners(this, '_utimes', reject);
       }
-      if (haveConnection(this, '_fastPut', reject)) {
-        this.sftp.fastPut(lPath, rPath, opts, (err) => {
+      if (haveConnection(this, '_utimes', reject)) {
+        this.sftp.utimes(rPath, atime, mtime, (err) => {
           if (err) {
             reject(
-              this.fmtError(
-                `${err.message} Local: ${lPath} Remote: ${rPath}`,
-                'fastPut',
-                err.code,
-              ),
+              this.fmtError(`${err.message} ${rPath}`, '_utimes', err.code, {
+                remotePath: rPath,
+                cause: err,
+              }),
             );
           }
-          resolve(`${lPath} was successfully uploaded to ${rPath}!`);
+          resolve(`Successfully set times for ${rPath}`);
         });
       }
     }).finally(() => {
       if (addListeners) {
-        removeTempListeners(this, listeners, '_fastPut');
+        removeTempListeners(this, listeners, '_utimes');
       }
     });
   }
 
-  async fastPut(localPath, remotePath, options) {
-    try {
-      const localCheck = haveLocalAccess(localPath);
-      if (!localCheck.status) {
-        throw this.fmtError(
-          `Bad path: ${localPath}: ${localCheck.details}`,
-          'fastPut',
-          localCheck.code,
-        );
-      } else if (localCheck.status && localExists(localPath) === 'd') {
-        throw this.fmtError(
-          `Bad path: ${localPath} not a regular file`,
-          'fastgPut',
-          errorCode.badPath,
-        );
-      }
-      return await this._fastPut(localPath, remotePath, options);
-    } catch (e) {
-      throw e.custom ? e : this.fmtError(e.message, 'fastPut', e.code);
-    }
-  }
-
   /**
-   * Create a file on the remote server. The 'src' argument
-   * can be a buffer, string or read stream. If 'src' is a string, it
-   * should be the path to a local file.
-   *
-   * @param  {String|Buffer|stream} localSrc - source data to use
-   * @param  {String} remotePath - path to remote file
-   * @param  {Object} options - options used for read, write stream and pipe configuration
-   *                            value supported by node. Allowed properties are readStreamOptions,
-   *                            writeStreamOptions and pipeOptions.
+   * @async
    *
-   * *Important Note*: The ability to set ''autoClose' on read/write streams and 'end' on pipe() calls
-   * is no longer supported. New methods 'createReadStream()' and 'createWriteStream()' have been
-   * added to support low-level access to stream objects.
+   * Set attributes of a remote path. The 'attrs' object can include 'mode',
+   * 'uid', 'gid', 'atime' and 'mtime' properties. Times are in seconds.
    *
-   * @return {Promise<String>}
+   * @param {String} rPath - remote path
+   * @param {Object} attrs - attributes to set
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<String>}
    */
-  _put(lPath, rPath, opts, addListeners = true) {
-    let listeners, wtr, rdr;
+  _setstat(rPath, attrs, addListeners = true) {
+    let listeners;
     return new Promise((resolve, reject) => {
       if (addListeners) {
-        listeners = addTempListeners(this, '_put', reject);
+        listeners = addTempListeners(this, '_setstat', reject);
       }
-      opts = {
-        readStreamOptions: { ...opts?.readStreamOptions, autoClose: true },
-        writeStreamOptions: { ...opts?.writeStreamOptions, autoClose: true },
-        pipeOptions: { ...opts?.pipeOptions, end: true },
-      };
-      if (haveConnection(this, '_put', reject)) {
-        wtr = this.sftp.createWriteStream(rPath, opts.writeStreamOptions);
-        wtr.once('error', (err) => {
-          if (typeof lPath === 'string' && rdr && !rdr.destroyed) {
-            rdr.destroy();
-          }
-          reject(
-            this.fmtError(
-              `Write stream error: ${err.message} ${rPath}`,
-              '_put',
-              err.code,
-            ),
-          );
-        });
-        wtr.once('close', () => {
-          resolve(`Uploaded data stream to ${rPath}`);
-        });
-        if (lPath instanceof Buffer) {
-          this.debugMsg('put source is a buffer');
-          wtr.end(lPath);
-        } else {
-          if (typeof lPath === 'string') {
-            this.debugMsg('put source is string path');
-            rdr = fs.createReadStream(lPath, opts.readStreamOptions);
-          } else {
-            this.debugMsg('put source is a stream');
-            rdr = lPath;
-          }
-          rdr.once('error', (err) => {
+      if (haveConnection(this, '_setstat', reject)) {
+        this.sftp.setstat(rPath, attrs, (err) => {
+          if (err) {
             reject(
-              this.fmtError(
-                `Read stream error: ${err.message} ${
-                  typeof lPath === 'string' ? lPath : '<stream>'
-                }`,
-                '_put',
-                err.code,
-              ),
+              this.fmtError(`${err.message} ${rPath}`, '_setstat', err.code, {
+                remotePath: rPath,
+                cause: err,
+              }),
             );
-          });
-          rdr.pipe(wtr, opts.pipeOptions);
-        }
+          }
+          resolve(`Successfully set attributes for ${rPath}`);
+        });
       }
     }).finally(() => {
-      if (wtr && !wtr.destroyed) {
-        wtr.destroy();
-      }
       if (addListeners) {
-        removeTempListeners(this, listeners, '_put');
+        removeTempListeners(this, listeners, '_setstat');
       }
     });
   }
 
-  async put(localSrc, remotePath, options) {
-    try {
-      if (typeof localSrc === 'string') {
-        const localCheck = haveLocalAccess(localSrc);
-        if (!localCheck.status) {
-          throw this.fmtError(
-            `Bad path: ${localSrc} ${localCheck.details}`,
-            'put',
-            localCheck.code,
-          );
-        }
-      }
-      return await this._put(localSrc, remotePath, options);
-    } catch (e) {
-      throw e.custom ? e : this.fmtError(`Re-thrown: ${e.message}`, 'put', e.code);
+  /**
+   * Copy the mode and/or access and modification times of a local file or
+   * directory to a remote path.
+   *
+   * @param {String} localPath - local source path
+   * @param {String} remotePath - remote destination path
+   * @param {Object} preserve - object with boolean 'mode' and 'times' properties
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<String>}
+   */
+  _preserveRemote(localPath, remotePath, preserve, addListeners = true) {
+    const stats = fs.statSync(localPath);
+    const attrs = {};
+    if (preserve.mode) {
+      attrs.mode = stats.mode & 0o7777;
     }
+    if (preserve.times) {
+      attrs.atime = Math.floor(stats.atimeMs / 1000);
+      attrs.mtime = Math.floor(stats.mtimeMs / 1000);
+    }
+    return this._setstat(remotePath, attrs, addListeners);
   }
 
   /**
-   * Append to an existing remote file
+   * Copy the mode and/or access and modification times of a remote file or
+   * directory to a local path.
    *
-   * @param  {Buffer|stream} input
-   * @param  {String} remotePath
-   * @param  {Object} options
-   * @return {Promise<String>}
+   * @param {String} remotePath - remote source path
+   * @param {String} localPath - local destination path
+   * @param {Object} preserve - object with boolean 'mode' and 'times' properties
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<undefined>}
    */
-  _append(input, rPath, opts, addListeners = true) {
-    let listeners;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, '_append', reject);
-      }
-      if (haveConnection(this, '_append', reject)) {
-        opts.flags = 'a';
-        const stream = this.sftp.createWriteStream(rPath, opts);
-        stream.on('error', (err) => {
-          reject(this.fmtError(`${err.message} ${rPath}`, 'append', err.code));
-        });
-        stream.on('close', () => {
-          resolve(`Appended data to ${rPath}`);
-        });
-        if (input instanceof Buffer) {
-          stream.write(input);
-          stream.end();
-        } else {
-          input.pipe(stream);
-        }
-      }
-    }).finally(() => {
-      if (addListeners) {
-        removeTempListeners(this, listeners, '_append');
-      }
-    });
+  async _preserveLocal(remotePath, localPath, preserve, addListeners = true) {
+    const stats = await this._xstat('stat', remotePath, addListeners);
+    if (preserve.mode) {
+      fs.chmodSync(localPath, stats.mode & 0o7777);
+    }
+    if (preserve.times) {
+      fs.utimesSync(localPath, stats.accessTime / 1000, stats.modifyTime / 1000);
+    }
   }
 
-  async append(input, remotePath, options = {}) {
-    try {
-      if (typeof input === 'string') {
+  /**
+   * @async
+   *
+   * Upload the specified source directory to the specified destination
+   * directory. All regular files and sub-directories are uploaded to the remote
+   * server.
+   * @param {String} srcDir - local source directory
+   * @param {String} dstDir - remote destination directory
+   * @param {Object} options - (Optional) An object with supported properties
+   * 'filter', 'useFastput', 'atomic', 'onProgress', 'verify', 'checkSpace' and
+   * 'preserve'.
+   * Filter is a function of two arguments. The first argument is the full path
+   * of a directory entry from the directory to be uploaded and the second
+   * argument is a boolean, which will be true if the target path is for a
+   * directory. If the function returns true, this item will be uploaded and
+   * excluded when it returns false. The filter can also be a glob pattern or
+   * array of glob patterns, matched against paths relative to 'srcDir'. The
+   * 'useFastput' property is a boolean value. When true, the 'fastPut()' method
+   * will be used to upload files. Default is to use the slower, but more
+   * supported 'put()' method. The 'atomic' property has the same meaning as the
+   * 'atomic' option of 'put()'. The 'onProgress' property is a function called
+   * with progress data for the whole upload. If the 'verify' property is set,
+   * each uploaded file is verified against a hash of the local file. If
+   * 'checkSpace' is set, the upload fails with code ERR_NO_SPACE before any
+   * files are uploaded when the remote file system does not have enough space.
+   * If 'preserve' is set, the mode and/or times of local files and directories
+   * are copied to the uploaded files and directories. The 'signal' and
+   * 'timeout' properties cancel the upload. The 'bandwidthLimit' property
+   * applies as well as the client bandwidth limit and is shared by all files
+   * of the upload. It has no effect when 'useFastput' is true. If 'continueOnError'
+   * is true, files and directories which fail are recorded and the upload
+   * continues with the remaining entries.
+   *
+   * @returns {Promise<String|Object>} message or, if 'continueOnError' is
+   * true, a report with 'succeeded', 'failed', 'skipped', 'bytes' and
+   * 'durationMs' properties. Paths in the report are local paths
+   */
+  uploadDir(srcDir, dstDir, options) {
+    const filter = pathFilter(options?.filter, join(srcDir));
+    const preserve = preserveAttrs(options?.preserve);
+    const report = options?.continueOnError ? createReport() : undefined;
+    // one limiter shared by all files of the upload
+    const bandwidthLimit = this._bandwidthLimiter(options);
+    const getRemoteStatus = async (dstDir) => {
+      const absDstDir = await normalizeRemotePath(this, dstDir);
+      const status = await this.exists(absDstDir);
+      if (status && status !== 'd') {
         throw this.fmtError(
-          'Cannot append one file to another',
-          'append',
+          `Bad path ${absDstDir} Not a directory`,
+          'getRemoteStatus',
           errorCode.badPath,
+          { remotePath: absDstDir, errorClass: NotADirectoryError },
         );
       }
-      const fileType = await this.exists(remotePath);
-      if (fileType && fileType === 'd') {
+      return { remoteDir: absDstDir, remoteStatus: status };
+    };
+
+    const checkLocalStatus = (srcDir) => {
+      const srcType = localExists(srcDir);
+      if (!srcType) {
         throw this.fmtError(
-          `Bad path: ${remotePath}: cannot append to a directory`,
-          'append',
+          `Bad path: ${srcDir} not exist`,
+          'getLocalStatus',
           errorCode.badPath,
+          { localPath: srcDir, errorClass: PathNotFoundError },
         );
       }
-      return await this._append(input, remotePath, options);
-    } catch (e) {
-      throw e.custom ? e : this.fmtError(e.message, 'append', e.code);
-    }
-  }
-
-  /**
-   * @async
-   *
-   * Make a directory on remote server
-   *
-   * @param {string} remotePath - remote directory path.
-   * @param {boolean} recursive - if true, recursively create directories
-   * @return {Promise<String>}
-   */
-  _doMkdir(p, addListeners = true) {
-    let listeners;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, '_doMkdir', reject);
+      if (srcType !== 'd') {
+        throw this.fmtError(
+          `Bad path: ${srcDir}: not a directory`,
+          'getLocalStatus',
+          errorCode.badPath,
+          { localPath: srcDir, errorClass: NotADirectoryError },
+        );
       }
-      this.sftp.mkdir(p, (err) => {
-        if (err) {
-          if (err.code === 4) {
-            //fix for windows dodgy error messages
-            reject(
-              this.fmtError(
-                `Bad path: ${p} permission denied`,
-                '_doMkdir',
-                errorCode.badPath,
-              ),
-            );
-          } else if (err.code === 2) {
-            reject(
-              this.fmtError(
-                `Bad path: ${p} parent not a directory or not exist`,
-                '_doMkdir',
-                errorCode.badPath,
-              ),
-            );
-          } else {
-            reject(this.fmtError(`${err.message} ${p}`, '_doMkdir', err.code));
+      return srcType;
+    };
+
+    const getLocalEntries = (srcDir, skipped) => {
+      const dirEntries = fs.readdirSync(srcDir, {
+        encoding: 'utf8',
+        withFileTypes: true,
+      });
+      if (filter) {
+        return dirEntries.filter((item) => {
+          const src = join(srcDir, item.name);
+          const include = filter(src, item.isDirectory());
+          if (!include) {
+            skipped?.push(src);
           }
+          return include;
+        });
+      }
+      return dirEntries;
+    };
+
+    const getUploadSize = (srcDir) => {
+      const size = { files: 0, bytes: 0 };
+      for (const item of getLocalEntries(srcDir)) {
+        const src = join(srcDir, item.name);
+        if (item.isDirectory()) {
+          const subSize = getUploadSize(src);
+          size.files += subSize.files;
+          size.bytes += subSize.bytes;
         } else {
-          resolve(`${p} directory created`);
+          size.files++;
+          size.bytes += fs.statSync(src).size;
         }
-      });
-    }).finally(() => {
-      if (addListeners) {
-        removeTempListeners(this, listeners, '_doMkdir');
       }
-    });
-  }
+      return size;
+    };
 
-  async _mkdir(remotePath, recursive) {
-    try {
-      const rPath = await normalizeRemotePath(this, remotePath);
-      const targetExists = await this.exists(rPath);
-      if (targetExists && targetExists !== 'd') {
-        throw this.fmtError(
-          `Bad path: ${rPath} already exists as a file`,
-          '_mkdir',
-          errorCode.badPath,
-        );
-      } else if (targetExists) {
-        return `${rPath} already exists`;
+    const algorithm = verifyAlgorithm(options?.verify);
+    const upload = options?.useFastput ? this._fastPut.bind(this) : this._put.bind(this);
+
+    const putFile = async (src, dst, opts, fileProgress) => {
+      if (!algorithm) {
+        return upload(src, dst, opts, false, fileProgress);
       }
-      if (!recursive) {
-        return await this._doMkdir(rPath);
+      if (options?.useFastput) {
+        const result = await upload(src, dst, opts, false, fileProgress);
+        const digest = await hashFile(src, algorithm);
+        await this._verifyHash(dst, digest, algorithm, 'uploadDir', false);
+        return result;
       }
-      const dir = parse(rPath).dir;
-      if (dir) {
-        const dirExists = await this.exists(dir);
-        if (!dirExists) {
-          await this._mkdir(dir, true);
-        } else if (dirExists !== 'd') {
-          throw this.fmtError(
-            `Bad path: ${dir} not a directory`,
-            '_mkdir',
-            errorCode.badPath,
+      const hash = createHash(algorithm);
+      const result = await this._put(src, dst, opts, false, fileProgress, hash);
+      await this._verifyHash(dst, hash.digest('hex'), algorithm, 'uploadDir', false);
+      return result;
+    };
+
+    const uploadFile = async (src, dst, progress, signal) => {
+      try {
+        this.client.emit('upload', { source: src, destination: dst });
+        const opts = { signal, bandwidthLimit };
+        const fileProgress = progress?.file();
+        const result = options?.atomic
+          ? await this._atomicPut(
+              dst,
+              options.atomic,
+              (tmpPath) => putFile(src, tmpPath, opts, fileProgress),
+              false,
+            )
+          : await putFile(src, dst, opts, fileProgress);
+        if (preserve) {
+          await this._preserveRemote(src, dst, preserve, false);
+        }
+        fileProgress?.done();
+        if (report) {
+          report.succeeded.push(src);
+          report.bytes += fs.statSync(src).size;
+        }
+        return result;
+      } catch (e) {
+        throw this.fmtError(`${e.message} ${src} to ${dst}`, 'uploadFile', e.code, {
+          localPath: src,
+          remotePath: dst,
+          cause: e,
+        });
+      }
+    };
+
+    // All directories and files of the tree are processed by one work queue
+    // with up to promiseLimit tasks in progress. A directory task creates the
+    // remote directory and then queues its files and sub-directories. With a
+    // report, failed tasks are recorded and the other tasks continue.
+    const uploadTree = async (srcDir, dstDir, progress, signal) => {
+      const listeners = addTempListeners(this, 'uploadTree');
+      try {
+        const queue = taskQueue(this.promiseLimit, signal);
+        const dirs = [];
+        // failure of the top directory always fails the whole operation
+        const addDir = (srcDir, dstDir, top = false) => {
+          queue.push(() =>
+            collectError(top ? undefined : report, srcDir, signal, async () => {
+              const { remoteDir, remoteStatus } = await getRemoteStatus(dstDir);
+              if (!remoteStatus) {
+                await this._mkdir(remoteDir, true);
+              }
+              const entries = getLocalEntries(srcDir, report?.skipped);
+              dirs.push([srcDir, remoteDir]);
+              for (const item of entries) {
+                const src = join(srcDir, item.name);
+                const dst = `${remoteDir}/${item.name}`;
+                if (item.isDirectory()) {
+                  addDir(src, dst);
+                } else {
+                  queue.push(() =>
+                    collectError(report, src, signal, () =>
+                      uploadFile(src, dst, progress, signal),
+                    ),
+                  );
+                }
+              }
+            }),
           );
+        };
+        addDir(srcDir, dstDir, true);
+        await queue.done();
+        // set after the contents are uploaded, which would change the times,
+        // sub-directories before their parents
+        if (preserve) {
+          for (const [src, dst] of dirs.reverse()) {
+            await collectError(report, src, signal, () =>
+              this._preserveRemote(src, dst, preserve, false),
+            );
+          }
         }
+      } finally {
+        removeTempListeners(this, listeners, 'uploadTree');
       }
-      return await this._doMkdir(rPath);
-    } catch (err) {
-      throw err.custom
-        ? err
-        : this.fmtError(`${err.message} ${remotePath}`, '_mkdir', err.code);
-    }
-  }
+    };
 
-  async mkdir(remotePath, recursive = false) {
-    try {
-      haveConnection(this, 'mkdir');
-      return await this._mkdir(remotePath, recursive);
-    } catch (err) {
-      throw this.fmtError(`${err.message}`, 'mkdir', err.code);
-    }
+    return this._withAbort('uploadDir', options, async (signal) => {
+      const started = Date.now();
+      try {
+        haveConnection(this, 'uploadDir');
+        await getRemoteStatus(dstDir);
+        checkLocalStatus(srcDir);
+        if (options?.checkSpace) {
+          const size = getUploadSize(srcDir);
+          await this._checkSpace(dstDir, size.bytes, options.checkSpace, 'uploadDir');
+        }
+        let progress;
+        if (options?.onProgress) {
+          const size = getUploadSize(srcDir);
+          progress = createProgress(options.onProgress, {
+            operation: 'uploadDir',
+            source: srcDir,
+            destination: dstDir,
+            totalBytes: size.bytes,
+            filesTotal: size.files,
+          });
+        }
+        await uploadTree(srcDir, dstDir, progress, signal);
+        if (report) {
+          report.durationMs = Date.now() - started;
+          return report;
+        }
+        return `${srcDir} uploaded to ${dstDir}`;
+      } catch (err) {
+        throw err.custom
+          ? err
+          : this.fmtError(`${err.message} ${srcDir}`, 'uploadDir', err.code, {
+              localPath: srcDir,
+              remotePath: dstDir,
+              cause: err,
+            });
+      }
+    });
   }
 
   /**
    * @async
    *
-   * Remove directory on remote server
+   * Download the specified source directory to the specified destination
+   * directory. All regular files and sub-directories are downloaded to the local
+   * file system.
+   * @param {String} srcDir - remote source directory
+   * @param {String} dstDir - local destination directory
+   * @param {Object} options - (Optional) Object with supported properties
+   * 'filter', 'useFastget', 'onProgress', 'verify' and 'preserve'. The filter property is a
+   * function of two arguments. The first argument is the full path of the item to be downloaded
+   * and the second argument is a boolean, which will be true if the target path
+   * is for a directory. If the function returns true, the item will be
+   * downloaded and excluded if teh function returns false. The filter can also
+   * be a glob pattern or array of glob patterns, matched against paths
+   * relative to 'srcDir'. The 'onProgress'
+   * property is a function called with progress data for the whole download. If
+   * the 'verify' property is set, each downloaded file is verified against a hash
+   * of the remote file. If 'preserve' is set, the mode and/or times of remote
+   * files and directories are copied to the downloaded files and directories.
+   * The 'signal' and 'timeout' properties cancel the download. Partially
+   * downloaded files are removed. The 'bandwidthLimit' property applies as well
+   * as the client bandwidth limit and is shared by all files of the download. It has
+   * no effect when 'useFastget' is true. If 'continueOnError' is true, files
+   * and directories which fail are recorded and the download continues with
+   * the remaining entries.
    *
-   * @param {string} remotePath - path to directory to be removed
-   * @param {boolean} recursive - if true, remove directories/files in target
-   *                             directory
-   * @return {Promise<String>}
+   * @returns {Promise<String|Object>} message or, if 'continueOnError' is
+   * true, a report with 'succeeded', 'failed', 'skipped', 'bytes' and
+   * 'durationMs' properties. Paths in the report are remote paths
    */
-  async rmdir(remoteDir, recursive = false) {
-    const _rmdir = (dir) => {
-      let listeners;
-      return new Promise((resolve, reject) => {
-        listeners = addTempListeners(this, '_rmdir', reject);
-        this.sftp.rmdir(dir, (err) => {
-          if (err) {
-            reject(this.fmtError(`${err.message} ${dir}`, 'rmdir', err.code));
-          }
-          resolve('Successfully removed directory');
-        });
-      }).finally(() => {
-        removeTempListeners(this, listeners, '_rmdir');
-      });
+  downloadDir(srcDir, dstDir, options = { filter: null, useFastget: false }) {
+    const filter = pathFilter(options.filter, srcDir);
+    const preserve = preserveAttrs(options.preserve);
+    const report = options.continueOnError ? createReport() : undefined;
+    // one limiter shared by all files of the download
+    const bandwidthLimit = this._bandwidthLimiter(options);
+    const getDownloadList = async (srcDir, filter, signal) => {
+      try {
+        const listing = await this.list(srcDir, undefined, { signal });
+        if (filter) {
+          return listing.filter((item) => {
+            const src = `${srcDir}/${item.name}`;
+            const include = filter(src, item.type === 'd');
+            if (!include) {
+              report?.skipped.push(src);
+            }
+            return include;
+          });
+        }
+        return listing;
+      } catch (err) {
+        throw err.custom
+          ? err
+          : this.fmtError(err.message, '_getDownloadList', err.code, {
+              remotePath: srcDir,
+              cause: err,
+            });
+      }
     };
 
-    const _delFiles = (path, fileList) => {
-      let listeners;
-      return new Promise((resolve, reject) => {
-        listeners = addTempListeners(this, '_delFiles', reject);
-        const pList = [];
-        for (const f of fileList) {
-          pList.push(this.delete(`${path}/${f.name}`, true, false));
-        }
-        resolve(pList);
-      })
-        .then((p) => {
-          return Promise.all(p);
-        })
-        .finally(() => {
-          removeTempListeners(this, listeners, '_delFiles');
-        });
+    const prepareDestination = (dst) => {
+      try {
+        const localCheck = haveLocalCreate(dst);
+        if (!localCheck.status && localCheck.details === 'permission denied') {
+          throw this.fmtError(
+            `Bad path: ${dst}: ${localCheck.details}`,
+            'prepareDestination',
+            localCheck.code,
+            { localPath: dst },
+          );
+        } else if (localCheck.status && !localCheck.type) {
+          fs.mkdirSync(dst, { recursive: true });
+        } else if (localCheck.status && localCheck.type !== 'd') {
+          throw this.fmtError(
+            `Bad path: ${dstDir}: not a directory`,
+            '_prepareDestination',
+            errorCode.badPath,
+            { localPath: dstDir, errorClass: NotADirectoryError },
+          );
+        }
+      } catch (err) {
+        throw err.custom
+          ? err
+          : this.fmtError(err.message, '_prepareDestination', err.code, {
+              localPath: dst,
+              cause: err,
+            });
+      }
     };
 
-    try {
-      const absPath = await normalizeRemotePath(this, remoteDir);
-      const existStatus = await this.exists(absPath);
-      if (!existStatus) {
-        throw this.fmtError(
-          `Bad Path: ${remoteDir}: No such directory`,
-          'rmdir',
-          errorCode.badPath,
-        );
+    const getDownloadSize = async (srcDir, signal) => {
+      const size = { files: 0, bytes: 0 };
+      for await (const item of this.walk(srcDir, { filter: options.filter, signal })) {
+        if (item.type !== 'd') {
+          size.files++;
+          size.bytes += item.size;
+        }
       }
-      if (existStatus !== 'd') {
-        throw this.fmtError(
-          `Bad Path: ${remoteDir}: Not a directory`,
-          'rmdir',
-          errorCode.badPath,
-        );
+      return size;
+    };
+
+    const algorithm = verifyAlgorithm(options.verify);
+
+    const download = async (src, dst, opts, fileProgress) => {
+      if (options.useFastget) {
+        const result = await this._fastGet(src, dst, opts, false, fileProgress);
+        if (algorithm) {
+          const digest = await hashFile(dst, algorithm);
+          await this._verifyHash(src, digest, algorithm, 'downloadDir', false);
+        }
+        return result;
       }
-      if (!recursive) {
-        return await _rmdir(absPath);
+      let hash;
+      const result = await this._retryOnReconnect(() => {
+        hash = algorithm ? createHash(algorithm) : undefined;
+        return this._get(src, dst, opts, false, fileProgress, hash);
+      });
+      if (hash) {
+        const digest = hash.digest('hex');
+        await this._verifyHash(src, digest, algorithm, 'downloadDir', false);
+      }
+      return result;
+    };
+
+    const downloadFile = async (src, dst, progress, signal) => {
+      try {
+        this.client.emit('download', { source: src, destination: dst });
+        const opts = { signal, bandwidthLimit };
+        const fileProgress = progress?.file();
+        const result = await download(src, dst, opts, fileProgress).catch(async (err) => {
+          if (signal?.aborted) {
+            await fs.promises.rm(dst, { force: true });
+          }
+          throw err;
+        });
+        if (preserve) {
+          await this._preserveLocal(src, dst, preserve, false);
+        }
+        fileProgress?.done();
+        if (report) {
+          report.succeeded.push(src);
+          report.bytes += fs.statSync(dst).size;
+        }
+        return result;
+      } catch (e) {
+        throw this.fmtError(`${e.message} ${src} to ${dst}`, 'downloadFile', e.code, {
+          remotePath: src,
+          localPath: dst,
+          cause: e,
+        });
       }
-      const listing = await this.list(absPath);
-      if (!listing.length) {
-        return await _rmdir(absPath);
+    };
+
+    // All directories and files of the tree are processed by one work queue
+    // with up to promiseLimit tasks in progress. A directory task lists the
+    // remote directory, creates the local directory and then queues its files
+    // and sub-directories. With a report, failed tasks are recorded and the
+    // other tasks continue.
+    const downloadTree = async (srcDir, dstDir, progress, signal) => {
+      const listeners = addTempListeners(this, 'downloadTree');
+      try {
+        const queue = taskQueue(this.promiseLimit, signal);
+        const dirs = [];
+        // failure of the top directory always fails the whole operation
+        const addDir = (srcDir, dstDir, top = false) => {
+          queue.push(() =>
+            collectError(top ? undefined : report, srcDir, signal, async () => {
+              const downloadList = await getDownloadList(srcDir, filter, signal);
+              prepareDestination(dstDir);
+              dirs.push([srcDir, dstDir]);
+              for (const item of downloadList) {
+                const src = `${srcDir}/${item.name}`;
+                const dst = join(dstDir, item.name);
+                if (item.type === 'd') {
+                  addDir(src, dst);
+                } else {
+                  queue.push(() =>
+                    collectError(report, src, signal, () =>
+                      downloadFile(src, dst, progress, signal),
+                    ),
+                  );
+                }
+              }
+            }),
+          );
+        };
+        addDir(srcDir, dstDir, true);
+        await queue.done();
+        // set after the contents are downloaded, which would change the times,
+        // sub-directories before their parents
+        if (preserve) {
+          for (const [src, dst] of dirs.reverse()) {
+            await collectError(report, src, signal, () =>
+              this._preserveLocal(src, dst, preserve, false),
+            );
+          }
+        }
+      } finally {
+        removeTempListeners(this, listeners, 'downloadTree');
       }
-      const fileList = listing.filter((i) => i.type !== 'd');
-      const dirList = listing.filter((i) => i.type === 'd');
-      await _delFiles(absPath, fileList);
-      for (const d of dirList) {
-        await this.rmdir(`${absPath}/${d.name}`, true);
+    };
+
+    return this._withAbort('downloadDir', options, async (signal) => {
+      const started = Date.now();
+      try {
+        haveConnection(this, 'downloadDir');
+        let progress;
+        if (options.onProgress) {
+          const size = await getDownloadSize(srcDir, signal);
+          progress = createProgress(options.onProgress, {
+            operation: 'downloadDir',
+            source: srcDir,
+            destination: dstDir,
+            totalBytes: size.bytes,
+            filesTotal: size.files,
+          });
+        }
+        await downloadTree(srcDir, dstDir, progress, signal);
+        if (report) {
+          report.durationMs = Date.now() - started;
+          return report;
+        }
+        return `${srcDir} downloaded to ${dstDir}`;
+      } catch (err) {
+        throw err.custom
+          ? err
+          : this.fmtError(`${err.message}: ${srcDir}`, 'downloadDir', err.code, {
+              remotePath: srcDir,
+              localPath: dstDir,
+              cause: err,
+            });
       }
-      await _rmdir(absPath);
-      return 'Successfully removed directory';
-    } catch (err) {
-      throw err.custom
-        ? err
-        : this.fmtError(`${err.message} ${remoteDir}`, 'rmdir', err.code);
-    }
+    });
   }
 
   /**
    * @async
    *
-   * Delete a file on the remote SFTP server
+   * Run an operation for each item of a bulk request, keeping up to
+   * 'concurrency' operations in progress. Failed items do not stop the
+   * remaining items.
    *
-   * @param {string} remotePath - path to the file to delete
-   * @param {boolean} notFoundOK - if true, ignore errors for missing target.
-   *                               Default is false.
-   * @return {Promise<String>} with string 'Successfully deleted file' once resolved
+   * @param {String} name - name of the bulk method
+   * @param {Array} items - items to process
+   * @param {Object} options - bulk options. The 'concurrency', 'signal' and
+   * 'timeout' properties are used here, other properties are passed to 'run'
+   * @param {Function} run - function called with an item, the item options
+   * and returning a promise for the result of the item
+   * @param {Function} describe - function returning the properties which
+   * identify an item in the results
+   * @returns {Promise<Object>} object with 'succeeded' and 'failed' arrays
    */
-  delete(remotePath, notFoundOK = false, addListeners = true) {
-    let listeners;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, 'delete', reject);
-      }
-      this.sftp.unlink(remotePath, (err) => {
-        if (err) {
-          if (notFoundOK && err.code === 2) {
-            resolve(`Successfully deleted ${remotePath}`);
-          } else {
-            reject(this.fmtError(`${err.message} ${remotePath}`, 'delete', err.code));
+  _bulk(name, items, options, run, describe) {
+    const { concurrency = this.promiseLimit, timeout, ...itemOptions } = options ?? {};
+    return this._withAbort(
+      name,
+      { signal: itemOptions.signal, timeout },
+      async (signal) => {
+        try {
+          haveConnection(this, name);
+          if (!Array.isArray(items)) {
+            throw this.fmtError(`Expected an array of items, got ${typeof items}`, name);
           }
+          const opts = { ...itemOptions, signal };
+          const outcomes = await mapLimit(
+            items,
+            concurrency,
+            (item) => run(item, opts),
+            signal,
+          );
+          const result = { succeeded: [], failed: [] };
+          for (const [i, outcome] of outcomes.entries()) {
+            if (outcome.status === 'fulfilled') {
+              result.succeeded.push({ ...describe(items[i]), result: outcome.value });
+            } else {
+              result.failed.push({ ...describe(items[i]), error: outcome.reason });
+            }
+          }
+          return result;
+        } catch (err) {
+          throw err.custom
+            ? err
+            : this.fmtError(err.message, name, err.code, { cause: err });
         }
-        resolve(`Successfully deleted ${remotePath}`);
-      });
-    }).finally(() => {
-      if (addListeners) {
-        removeTempListeners(this, listeners, 'delete');
-      }
-    });
+      },
+    );
   }
 
   /**
    * @async
    *
-   * Rename a file on the remote SFTP repository
-   *
-   * @param {string} fromPath - path to the file to be renamed.
-   * @param {string} toPath - path to the new name.
-   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * Download many remote files. Up to 'concurrency' downloads are in progress
+   * at any time and a new download starts as soon as one finishes. A failed
+   * download does not stop the others.
    *
-   * @return {Promise<String>}
+   * @param {Array} items - array of objects with 'remote' and 'local'
+   * properties, which are passed to get() as the remote path and destination
+   * @param {Object} options - (Optional) The 'concurrency' property is the
+   * maximum number of downloads in progress. Default is the 'promiseLimit'
+   * value. The 'signal' and 'timeout' properties cancel the whole operation.
+   * Other properties are options passed to get() for each file.
+   * @returns {Promise<Object>} object with a 'succeeded' array of objects with
+   * 'remote', 'local' and 'result' properties and a 'failed' array of objects
+   * with 'remote', 'local' and 'error' properties, both in item order
    */
-  rename(fPath, tPath, addListeners = true) {
-    let listeners;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, 'rename', reject);
-      }
-      if (haveConnection(this, 'rename', reject)) {
-        this.sftp.rename(fPath, tPath, (err) => {
-          if (err) {
-            reject(
-              this.fmtError(
-                `${err.message} From: ${fPath} To: ${tPath}`,
-                '_rename',
-                err.code,
-              ),
-            );
-          }
-          resolve(`Successfully renamed ${fPath} to ${tPath}`);
-        });
-      }
-    }).finally(() => {
-      if (addListeners) {
-        removeTempListeners(this, listeners, 'rename');
-      }
-    });
+  getMany(items, options) {
+    return this._bulk(
+      'getMany',
+      items,
+      options,
+      ({ remote, local }, opts) => this.get(remote, local, opts),
+      ({ remote, local }) => ({ remote, local }),
+    );
   }
 
   /**
    * @async
    *
-   * Rename a file on the remote SFTP repository using the SSH extension
-   * posix-rename@openssh.com using POSIX atomic rename. (Introduced in SSH 4.8)
-   *
-   * @param {string} fromPath - path to the file to be renamed.
-   * @param {string} toPath - path  the new name.
-   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * Upload many files. Up to 'concurrency' uploads are in progress at any
+   * time and a new upload starts as soon as one finishes. A failed upload
+   * does not stop the others.
    *
-   * @return {Promise<String>}
+   * @param {Array} items - array of objects with 'local' and 'remote'
+   * properties, which are passed to put() as the source and remote path
+   * @param {Object} options - (Optional) The 'concurrency' property is the
+   * maximum number of uploads in progress. Default is the 'promiseLimit'
+   * value. The 'signal' and 'timeout' properties cancel the whole operation.
+   * Other properties are options passed to put() for each file.
+   * @returns {Promise<Object>} object with a 'succeeded' array of objects with
+   * 'local', 'remote' and 'result' properties and a 'failed' array of objects
+   * with 'local', 'remote' and 'error' properties, both in item order
    */
-  posixRename(fPath, tPath, addListeners = true) {
-    let listeners;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, 'posixRename', reject);
-      }
-      if (haveConnection(this, 'posixRename', reject)) {
-        this.sftp.ext_openssh_rename(fPath, tPath, (err) => {
-          if (err) {
-            reject(
-              this.fmtError(
-                `${err.message} From: ${fPath} To: ${tPath}`,
-                '_posixRename',
-                err.code,
-              ),
-            );
-          }
-          resolve(`Successful POSIX rename ${fPath} to ${tPath}`);
-        });
-      }
-    }).finally(() => {
-      removeTempListeners(this, listeners, 'posixRename');
-    });
+  putMany(items, options) {
+    return this._bulk(
+      'putMany',
+      items,
+      options,
+      ({ local, remote }, opts) => this.put(local, remote, opts),
+      ({ local, remote }) => ({ local, remote }),
+    );
   }
 
   /**
    * @async
    *
-   * Change the mode of a remote file on the SFTP repository
+   * Delete many remote files, with up to 'concurrency' deletes in progress.
+   * A failed delete does not stop the others.
    *
-   * @param {string} remotePath - path to the remote target object.
-   * @param {number | string} mode - the new octal mode to set
-   * @param {boolean} addListeners - (Optional) if true, add listeners. Default true.
+   * @param {Array} paths - remote file paths
+   * @param {Object} options - (Optional) object with 'concurrency',
+   * 'notFoundOK', 'signal' and 'timeout' properties. If 'notFoundOK' is true,
+   * paths which don't exist are not reported as failures.
+   * @returns {Promise<Object>} object with a 'succeeded' array of objects with
+   * 'path' and 'result' properties and a 'failed' array of objects with 'path'
+   * and 'error' properties, both in path order
+   */
+  deleteMany(paths, options) {
+    return this._bulk(
+      'deleteMany',
+      paths,
+      options,
+      (path, { notFoundOK = false, signal }) => this.delete(path, notFoundOK, { signal }),
+      (path) => ({ path }),
+    );
+  }
+
+  /**
+   * @async
    *
-   * @return {Promise<String>}
+   * Get the attributes of many remote paths, with up to 'concurrency'
+   * requests in progress. Paths which cannot be stat'ed are reported as
+   * failures.
+   *
+   * @param {Array} paths - remote paths
+   * @param {Object} options - (Optional) object with 'concurrency', 'signal'
+   * and 'timeout' properties
+   * @returns {Promise<Object>} object with a 'succeeded' array of objects with
+   * 'path' and 'result' properties, where 'result' is the object returned by
+   * stat(), and a 'failed' array of objects with 'path' and 'error'
+   * properties, both in path order
    */
-  chmod(rPath, mode, addListeners = true) {
-    let listeners;
-    return new Promise((resolve, reject) => {
-      if (addListeners) {
-        listeners = addTempListeners(this, 'chmod', reject);
-      }
-      if (haveConnection(this, 'chmod', reject)) {
-        this.sftp.chmod(rPath, mode, (err) => {
-          if (err) {
-            reject(this.fmtError(`${err.message} ${rPath}`, '_chmod', err.code));
-          }
-          resolve('Successfully change file mode');
-        });
-      }
-    }).finally(() => {
-      if (addListeners) {
-        removeTempListeners(this, listeners, 'chmod');
-      }
-    });
+  statMany(paths, options) {
+    return this._bulk(
+      'statMany',
+      paths,
+      options,
+      (path, { signal }) => this.stat(path, { signal }),
+      (path) => ({ path }),
+    );
   }
 
   /**
    * @async
    *
-   * Upload the specified source directory to the specified destination
-   * directory. All regular files and sub-directories are uploaded to the remote
-   * server.
-   * @param {String} srcDir - local source directory
-   * @param {String} dstDir - remote destination directory
-   * @param {Object} options - (Optional) An object with 2 supported properties,
-   * 'filter' and 'useFastput'. Filter is a function of two arguments.
-   * The first argument is the full path of a directory entry from the directory
-   * to be uploaded and the second argument is a boolean, which will be true if
-   * the target path is for a directory. If the function returns true, this item
-   * will be uploaded and excluded when it returns false. The 'useFastput' property is a
-   * boolean value. When true, the 'fastPut()' method will be used to upload files. Default
-   * is to use the slower, but more supported 'put()' method.
-   *
-   * @returns {Promise<Array>}
-   */
-  async uploadDir(srcDir, dstDir, options) {
-    const getRemoteStatus = async (dstDir) => {
-      const absDstDir = await normalizeRemotePath(this, dstDir);
-      const status = await this.exists(absDstDir);
-      if (status && status !== 'd') {
-        throw this.fmtError(
-          `Bad path ${absDstDir} Not a directory`,
-          'getRemoteStatus',
-          errorCode.badPath,
-        );
-      }
-      return { remoteDir: absDstDir, remoteStatus: status };
-    };
+   * Compare a source directory tree with a destination directory tree and
+   * build a plan of the changes needed to make the destination match the
+   * source. A file is considered changed when its size or modification time
+   * (to the nearest second) differs. The 'src' and 'dst' arguments are objects
+   * with a 'list' method, which returns entries in the same format as list(),
+   * and a 'join' method to build paths. Destination entries excluded by the
+   * filter are never deleted and source directories with all their contents
+   * excluded are not created.
+   *
+   * @param {String} srcDir - source directory
+   * @param {String} dstDir - destination directory
+   * @param {Boolean} dstExists - true if the destination directory exists
+   * @param {Object} options - sync options with 'filter' and 'delete' properties
+   * @param {Object} src - source directory operations
+   * @param {Object} dst - destination directory operations
+   * @returns {Promise<Object>} plan with mkdir, transfer and delete properties
+   */
+  async _syncPlan(srcDir, dstDir, dstExists, options, src, dst) {
+    const plan = { mkdir: [], transfer: [], delete: [] };
+    const filter = pathFilter(options?.filter, src.join(srcDir, ''));
 
-    const checkLocalStatus = (srcDir) => {
-      const srcType = localExists(srcDir);
-      if (!srcType) {
-        throw this.fmtError(
-          `Bad path: ${srcDir} not exist`,
-          'getLocalStatus',
-          errorCode.badPath,
-        );
+    // Find the deletions needed to remove a destination entry which has no
+    // source. Entries excluded by the filter, and the directories containing
+    // them, are kept. 'all' is true when the whole entry is deleted.
+    const pruneEntry = async (srcPath, dstPath, type) => {
+      const isDir = type === 'd';
+      if (filter && !filter(srcPath, isDir)) {
+        return { all: false, items: [] };
       }
-      if (srcType !== 'd') {
-        throw this.fmtError(
-          `Bad path: ${srcDir}: not a directory`,
-          'getLocalStatus',
-          errorCode.badPath,
+      const whole = { all: true, items: [{ path: dstPath, type }] };
+      if (!isDir || !filter) {
+        return whole;
+      }
+      let all = true;
+      const items = [];
+      for (const item of await dst.list(dstPath)) {
+        const result = await pruneEntry(
+          src.join(srcPath, item.name),
+          dst.join(dstPath, item.name),
+          item.type,
         );
+        all &&= result.all;
+        items.push(...result.items);
       }
-      return srcType;
+      return all ? whole : { all, items };
     };
 
-    const uploadFiles = async (srcDir, dstDir, fileList, useFastput) => {
-      let listeners = addTempListeners(this, 'uploadFiles');
-
-      try {
-        const uploadList = [];
-        for (const f of fileList) {
-          const src = join(srcDir, f.name);
-          const dst = `${dstDir}/${f.name}`;
-          uploadList.push([src, dst]);
-        }
-        const uploadGroups = partition(uploadList, this.promiseLimit);
-        const func = useFastput ? this._fastPut.bind(this) : this._put.bind(this);
-        const uploadResults = [];
-        for (const group of uploadGroups) {
-          const pList = [];
-          for (const [src, dst] of group) {
-            pList.push(func(src, dst, null, false));
-            this.client.emit('upload', { source: src, destination: dst });
-          }
-          const groupResults = await Promise.all(pList);
-          for (const r of groupResults) {
-            uploadResults.push(r);
+    // returns true if the source directory has any entries which are not
+    // excluded by the filter, or is empty
+    const compareDir = async (srcDir, dstDir, dstExists) => {
+      const srcList = await src.list(srcDir);
+      const dstList = dstExists ? await dst.list(dstDir) : [];
+      const dstEntries = new Map(dstList.map((item) => [item.name, item]));
+      if (options?.delete) {
+        const srcNames = new Set(srcList.map((item) => item.name));
+        for (const item of dstList.filter((i) => !srcNames.has(i.name))) {
+          const { items } = await pruneEntry(
+            src.join(srcDir, item.name),
+            dst.join(dstDir, item.name),
+            item.type,
+          );
+          plan.delete.push(...items);
+        }
+      }
+      let wanted = srcList.length === 0;
+      for (const item of srcList) {
+        const srcPath = src.join(srcDir, item.name);
+        const isDir = item.type === 'd';
+        if (filter && !filter(srcPath, isDir)) {
+          continue;
+        }
+        const dstPath = dst.join(dstDir, item.name);
+        let dstItem = dstEntries.get(item.name);
+        if (dstItem && (dstItem.type === 'd') !== isDir) {
+          plan.delete.push({ path: dstPath, type: dstItem.type });
+          dstItem = undefined;
+        }
+        if (isDir) {
+          const idx = plan.mkdir.length;
+          const dirWanted = await compareDir(srcPath, dstPath, Boolean(dstItem));
+          if (!dstItem && dirWanted) {
+            // parent directories are created before their sub directories
+            plan.mkdir.splice(idx, 0, dstPath);
           }
+          wanted ||= dirWanted;
+          continue;
+        }
+        wanted = true;
+        if (
+          !dstItem ||
+          dstItem.size !== item.size ||
+          Math.floor(dstItem.modifyTime / 1000) !== Math.floor(item.modifyTime / 1000)
+        ) {
+          plan.transfer.push({
+            source: srcPath,
+            destination: dstPath,
+            reason: dstItem ? 'changed' : 'new',
+            size: item.size,
+            modifyTime: item.modifyTime,
+            accessTime: item.accessTime,
+          });
         }
-        return uploadResults;
-      } catch (e) {
-        throw this.fmtError(`${e.message} ${srcDir} to ${dstDir}`, 'uploadFiles', e.code);
-      } finally {
-        removeTempListeners(this, listeners, uploadFiles);
       }
+      return wanted;
     };
 
+    await compareDir(srcDir, dstDir, dstExists);
+    return plan;
+  }
+
+  /**
+   * @async
+   *
+   * Synchronise a remote directory with a local directory. Only files which
+   * are new or have changed size or modification time are uploaded. The
+   * modification time of uploaded files is set to match the local file so that
+   * unchanged files are skipped by the next sync.
+   *
+   * @param {String} localDir - local source directory
+   * @param {String} remoteDir - remote destination directory
+   * @param {Object} options - (Optional) object with supported properties
+   * 'filter', 'delete', 'dryRun' and 'useFastput'. The 'filter' property is a
+   * function or glob pattern(s) with the same semantics as the uploadDir()
+   * filter. If 'delete' is true, remote files and directories which do not
+   * exist in the local directory are removed. If 'dryRun' is true, the plan of
+   * changes is returned without making any changes. The 'signal' and 'timeout'
+   * properties cancel the sync.
+   * @returns {Promise<Object>} plan object with mkdir, transfer and delete properties
+   */
+  syncUp(localDir, remoteDir, options = {}) {
+    return this._withAbort('syncUp', options, (signal) =>
+      this._syncUp(localDir, remoteDir, { ...options, signal }),
+    );
+  }
+
+  async _syncUp(localDir, remoteDir, options) {
+    const { signal } = options;
+    let listeners;
     try {
-      haveConnection(this, 'uploadDir');
-      const { remoteDir, remoteStatus } = await getRemoteStatus(dstDir);
-      checkLocalStatus(srcDir);
-      if (!remoteStatus) {
-        await this._mkdir(remoteDir, true);
+      haveConnection(this, 'syncUp');
+      if (localExists(localDir) !== 'd') {
+        throw this.fmtError(
+          `Bad path: ${localDir} not a directory`,
+          'syncUp',
+          errorCode.badPath,
+          { localPath: localDir, errorClass: NotADirectoryError },
+        );
       }
-      let dirEntries = fs.readdirSync(srcDir, {
-        encoding: 'utf8',
-        withFileTypes: true,
-      });
-      if (options?.filter) {
-        dirEntries = dirEntries.filter((item) =>
-          options.filter(join(srcDir, item.name), item.isDirectory()),
+      const absRemoteDir = await normalizeRemotePath(this, remoteDir);
+      const remoteType = await this.exists(absRemoteDir, { signal });
+      if (remoteType && remoteType !== 'd') {
+        throw this.fmtError(
+          `Bad path: ${absRemoteDir} not a directory`,
+          'syncUp',
+          errorCode.badPath,
+          { remotePath: absRemoteDir, errorClass: NotADirectoryError },
         );
       }
-      const dirUploads = dirEntries.filter((item) => item.isDirectory());
-      const fileUploads = dirEntries.filter((item) => !item.isDirectory());
-      await uploadFiles(srcDir, remoteDir, fileUploads, options?.useFastput);
-      for (const d of dirUploads) {
-        const src = join(srcDir, d.name);
-        const dst = `${remoteDir}/${d.name}`;
-        await this.uploadDir(src, dst, options);
+      const plan = await this._syncPlan(
+        localDir,
+        absRemoteDir,
+        Boolean(remoteType),
+        options,
+        { list: localList, join },
+        {
+          list: (p) => this.list(p, undefined, { signal }),
+          join: (p, name) => `${p}/${name}`,
+        },
+      );
+      if (!remoteType) {
+        plan.mkdir.unshift(absRemoteDir);
       }
-      return `${srcDir} uploaded to ${dstDir}`;
+      if (options.dryRun) {
+        return plan;
+      }
+      listeners = addTempListeners(this, 'syncUp');
+      for (const item of plan.delete) {
+        await (item.type === 'd'
+          ? this.rmdir(item.path, true, { signal })
+          : this.delete(item.path, true, { addListeners: false, signal }));
+      }
+      for (const dir of plan.mkdir) {
+        signal?.throwIfAborted();
+        await this._mkdir(dir, true);
+      }
+      const upload = options.useFastput ? this._fastPut.bind(this) : this._put.bind(this);
+      const queue = taskQueue(this.promiseLimit, signal);
+      for (const f of plan.transfer) {
+        queue.push(async () => {
+          await upload(f.source, f.destination, signal ? { signal } : null, false);
+          this.client.emit('upload', { source: f.source, destination: f.destination });
+          await this._utimes(
+            f.destination,
+            Math.floor(f.accessTime / 1000),
+            Math.floor(f.modifyTime / 1000),
+            false,
+          );
+        });
+      }
+      await queue.done();
+      return plan;
     } catch (err) {
       throw err.custom
         ? err
-        : this.fmtError(`${err.message} ${srcDir}`, 'uploadDir', err.code);
+        : this.fmtError(`${err.message} ${localDir}`, 'syncUp', err.code, {
+            localPath: localDir,
+            remotePath: remoteDir,
+            cause: err,
+          });
+    } finally {
+      if (listeners) {
+        removeTempListeners(this, listeners, 'syncUp');
+      }
     }
   }
 
   /**
    * @async
    *
-   * Download the specified source directory to the specified destination
-   * directory. All regular files and sub-directories are downloaded to the local
-   * file system.
-   * @param {String} srcDir - remote source directory
-   * @param {String} dstDir - local destination directory
-   * @param {Object} options - (Optional) Object with 2 supported properties,
-   * 'filter' and 'useFastget'. The filter property is a function of two
-   * arguments. The first argument is the full path of the item to be downloaded
-   * and the second argument is a boolean, which will be true if the target path
-   * is for a directory. If the function returns true, the item will be
-   * downloaded and excluded if teh function returns false.
+   * Synchronise a local directory with a remote directory. Only files which
+   * are new or have changed size or modification time are downloaded. The
+   * modification time of downloaded files is set to match the remote file so
+   * that unchanged files are skipped by the next sync.
    *
-   * @returns {Promise<Array>}
+   * @param {String} remoteDir - remote source directory
+   * @param {String} localDir - local destination directory
+   * @param {Object} options - (Optional) object with supported properties
+   * 'filter', 'delete', 'dryRun' and 'useFastget'. The 'filter' property is a
+   * function or glob pattern(s) with the same semantics as the downloadDir()
+   * filter. If 'delete' is true, local files and directories which do not
+   * exist in the remote directory are removed. If 'dryRun' is true, the plan of
+   * changes is returned without making any changes. The 'signal' and 'timeout'
+   * properties cancel the sync.
+   * @returns {Promise<Object>} plan object with mkdir, transfer and delete properties
    */
-  async downloadDir(srcDir, dstDir, options = { filter: null, useFastget: false }) {
-    const getDownloadList = async (srcDir, filter) => {
-      try {
-        const listing = await this.list(srcDir);
-        if (filter) {
-          return listing.filter((item) =>
-            filter(`${srcDir}/${item.name}`, item.type === 'd'),
-          );
-        }
-        return listing;
-      } catch (err) {
-        throw err.custom ? err : this.fmtError(err.message, '_getDownloadList', err.code);
-      }
-    };
+  syncDown(remoteDir, localDir, options = {}) {
+    return this._withAbort('syncDown', options, (signal) =>
+      this._syncDown(remoteDir, localDir, { ...options, signal }),
+    );
+  }
 
-    const prepareDestination = (dst) => {
-      try {
-        const localCheck = haveLocalCreate(dst);
-        if (!localCheck.status && localCheck.details === 'permission denied') {
-          throw this.fmtError(
-            `Bad path: ${dst}: ${localCheck.details}`,
-            'prepareDestination',
-            localCheck.code,
-          );
-        } else if (localCheck.status && !localCheck.type) {
-          fs.mkdirSync(dst, { recursive: true });
-        } else if (localCheck.status && localCheck.type !== 'd') {
-          throw this.fmtError(
-            `Bad path: ${dstDir}: not a directory`,
-            '_prepareDestination',
-            errorCode.badPath,
-          );
-        }
-      } catch (err) {
-        throw err.custom
-          ? err
-          : this.fmtError(err.message, '_prepareDestination', err.code);
+  async _syncDown(remoteDir, localDir, options) {
+    const { signal } = options;
+    let listeners;
+    try {
+      haveConnection(this, 'syncDown');
+      const absRemoteDir = await normalizeRemotePath(this, remoteDir);
+      const remoteType = await this.exists(absRemoteDir, { signal });
+      if (remoteType !== 'd') {
+        throw this.fmtError(
+          `Bad path: ${absRemoteDir} not a directory`,
+          'syncDown',
+          errorCode.badPath,
+          { remotePath: absRemoteDir, errorClass: NotADirectoryError },
+        );
       }
-    };
-
-    const downloadFiles = async (remotePath, localPath, fileList, useFastget) => {
-      let listeners = addTempListeners(this, 'downloadFIles');
-
-      try {
-        const downloadList = [];
-        for (const f of fileList) {
-          const src = `${remotePath}/${f.name}`;
-          const dst = join(localPath, f.name);
-          downloadList.push([src, dst]);
-        }
-        const downloadGroups = partition(downloadList, this.promiseLimit);
-        const func = useFastget ? this._fastGet.bind(this) : this.get.bind(this);
-        const downloadResults = [];
-        for (const group of downloadGroups) {
-          const pList = [];
-          for (const [src, dst] of group) {
-            pList.push(func(src, dst, null, false));
-            this.client.emit('download', { source: src, destination: dst });
-          }
-          const groupResults = await Promise.all(pList);
-          for (const r of groupResults) {
-            downloadResults.push(r);
-          }
-        }
-        return downloadResults;
-      } catch (e) {
+      const localType = localExists(localDir);
+      if (localType && localType !== 'd') {
         throw this.fmtError(
-          `${e.message} ${srcDir} to ${dstDir}`,
-          'downloadFiles',
-          e.code,
+          `Bad path: ${localDir} not a directory`,
+          'syncDown',
+          errorCode.badPath,
+          { localPath: localDir, errorClass: NotADirectoryError },
         );
-      } finally {
-        removeTempListeners(this, listeners, 'downloadFiles');
       }
-    };
-
-    try {
-      haveConnection(this, 'downloadDir');
-      const downloadList = await getDownloadList(srcDir, options.filter);
-      prepareDestination(dstDir);
-      const fileDownloads = downloadList.filter((i) => i.type !== 'd');
-      if (fileDownloads.length) {
-        await downloadFiles(srcDir, dstDir, fileDownloads, options.useFastget);
-      }
-      const dirDownloads = downloadList.filter((i) => i.type === 'd');
-      for (const d of dirDownloads) {
-        const src = `${srcDir}/${d.name}`;
-        const dst = join(dstDir, d.name);
-        await this.downloadDir(src, dst, options);
-      }
-      return `${srcDir} downloaded to ${dstDir}`;
+      const plan = await this._syncPlan(
+        absRemoteDir,
+        localDir,
+        Boolean(localType),
+        options,
+        {
+          list: (p) => this.list(p, undefined, { signal }),
+          join: (p, name) => `${p}/${name}`,
+        },
+        { list: localList, join },
+      );
+      if (!localType) {
+        plan.mkdir.unshift(localDir);
+      }
+      if (options.dryRun) {
+        return plan;
+      }
+      listeners = addTempListeners(this, 'syncDown');
+      for (const item of plan.delete) {
+        fs.rmSync(item.path, { recursive: true, force: true });
+      }
+      for (const dir of plan.mkdir) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      const opts = signal ? { signal } : null;
+      const download = options.useFastget
+        ? this._fastGet.bind(this)
+        : (src, dst) => this._retryOnReconnect(() => this._get(src, dst, opts, false));
+      const queue = taskQueue(this.promiseLimit, signal);
+      for (const f of plan.transfer) {
+        queue.push(async () => {
+          await download(f.source, f.destination, opts, false).catch(async (err) => {
+            if (signal?.aborted) {
+              await fs.promises.rm(f.destination, { force: true });
+            }
+            throw err;
+          });
+          this.client.emit('download', { source: f.source, destination: f.destination });
+          fs.utimesSync(
+            f.destination,
+            Math.floor(f.accessTime / 1000),
+            Math.floor(f.modifyTime / 1000),
+          );
+        });
+      }
+      await queue.done();
+      return plan;
     } catch (err) {
       throw err.custom
         ? err
-        : this.fmtError(`${err.message}: ${srcDir}`, 'downloadDir', err.code);
+        : this.fmtError(`${err.message} ${remoteDir}`, 'syncDown', err.code, {
+            remotePath: remoteDir,
+            cause: err,
+          });
+    } finally {
+      if (listeners) {
+        removeTempListeners(this, listeners, 'syncDown');
+      }
     }
   }
 
@@ -1390,6 +4446,9 @@ class SftpClient {
    * connected to the remote file object specified as an argument. Client code is fully responsible
    * for managing this stream object i.e. adding any necessary listeners and disposing of the object etc.
    * See the SSH2 sftp documentation for details on possible options which can be used.
+   * If the 'signal' option fires or the 'timeout' option (milliseconds) expires,
+   * the stream is destroyed with an AbortError (code 'ABORT_ERR').
+   * The 'bandwidthLimit' option limits the stream as well as the client bandwidth limit.
    *
    * @param {String} remotePath - path to remote file to attach stream to
    * @param {Object} options - options to pass to the create stream process
@@ -1401,10 +4460,24 @@ class SftpClient {
     try {
       listeners = addTempListeners(this, 'createReadStream');
       haveConnection(this, 'createReadStream');
-      const stream = this.sftp.createReadStream(remotePath, options);
+      const { signal, timeout, bandwidthLimit, ...streamOptions } = options ?? {};
+      const stream = throttleStream(
+        this.sftp.createReadStream(remotePath, streamOptions),
+        this._bandwidthLimiter({ bandwidthLimit }),
+      );
+      const abort = abortSignal(signal, timeout);
+      if (abort) {
+        addAbortSignal(abort.signal, stream);
+        stream.once('close', abort.clear);
+      }
       return stream;
     } catch (err) {
-      throw err.custom ? err : this.fmtError(err.message, 'createReadStream', err.code);
+      throw err.custom
+        ? err
+        : this.fmtError(err.message, 'createReadStream', err.code, {
+            remotePath,
+            cause: err,
+          });
     } finally {
       removeTempListeners(this, listeners, 'createReadStreame');
     }
@@ -1415,6 +4488,9 @@ class SftpClient {
    * This is a low level method which will return a write stream for the remote file specified
    * in the 'remotePath' argument. Client code to responsible for managing this object once created.
    * This includes disposing of file handles, setting up any necessary event listeners etc.
+   * If the 'signal' option fires or the 'timeout' option (milliseconds) expires,
+   * the stream is destroyed with an AbortError (code 'ABORT_ERR').
+   * The 'bandwidthLimit' option limits the stream as well as the client bandwidth limit.
    *
    * @param {String} remotePath - path to the remote file on the sftp server
    * @param (Object} options - options to pass to the create write stream process)
@@ -1426,10 +4502,24 @@ class SftpClient {
     try {
       listeners = addTempListeners(this, 'createWriteStream');
       haveConnection(this, 'createWriteStream');
-      const stream = this.sftp.createWriteStream(remotePath, options);
+      const { signal, timeout, bandwidthLimit, ...streamOptions } = options ?? {};
+      const stream = throttleStream(
+        this.sftp.createWriteStream(remotePath, streamOptions),
+        this._bandwidthLimiter({ bandwidthLimit }),
+      );
+      const abort = abortSignal(signal, timeout);
+      if (abort) {
+        addAbortSignal(abort.signal, stream);
+        stream.once('close', abort.clear);
+      }
       return stream;
     } catch (err) {
-      throw err.custom ? err : this.fmtError(err.message, 'createWriteStream', err.code);
+      throw err.custom
+        ? err
+        : this.fmtError(err.message, 'createWriteStream', err.code, {
+            remotePath,
+            cause: err,
+          });
     } finally {
       removeTempListeners(this, listeners, 'createWriteStream');
     }
@@ -1440,63 +4530,312 @@ class SftpClient {
    *
    * Make a remote copy of a remote file. Create a copy of a remote file on the remote
    * server. It is assumed the directory where the copy will be placed already exists.
-   * The destination file must not already exist.
+   * The data is streamed through the client.
    *
    * @param {String} srcPath - path to the remote file to be copied
    * @param {String} dstPath - destination path for the copy.
+   * @param {AbortSignal} signal - (Optional) signal to stop the copy
    *
    * @returns {String}.
    */
-  _rcopy(srcPath, dstPath) {
+  _rcopy(srcPath, dstPath, signal) {
+    let onAbort;
     return new Promise((resolve, reject) => {
       const ws = this.sftp.createWriteStream(dstPath);
       const rs = this.sftp.createReadStream(srcPath);
       ws.on('error', (err) => {
-        reject(this.fmtError(`${err.message} ${dstPath}`, '_rcopy'));
+        reject(
+          this.fmtError(`${err.message} ${dstPath}`, '_rcopy', errorCode.generic, {
+            remotePath: dstPath,
+            cause: err,
+          }),
+        );
       });
       rs.on('error', (err) => {
-        reject(this.fmtError(`${err.message} ${srcPath}`, '_rcopy'));
+        reject(
+          this.fmtError(`${err.message} ${srcPath}`, '_rcopy', errorCode.generic, {
+            remotePath: srcPath,
+            cause: err,
+          }),
+        );
       });
       ws.on('close', () => {
         resolve(`${srcPath} copied to ${dstPath}`);
       });
       rs.pipe(ws);
+      if (signal) {
+        onAbort = () => {
+          reject(signal.reason);
+          rs.unpipe(ws);
+          rs.destroy();
+          ws.destroy();
+        };
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+    }).finally(() => {
+      signal?.removeEventListener('abort', onAbort);
     });
   }
 
-  async rcopy(src, dst) {
+  /**
+   * @async
+   *
+   * Make a remote copy of a remote file using the 'copy-data' SFTP extension.
+   * The server copies the data, so it is not transferred to the client.
+   *
+   * @param {String} srcPath - path to the remote file to be copied
+   * @param {String} dstPath - destination path for the copy
+   * @param {Boolean} addListeners - (Optional) if true, add listeners. Default true
+   * @returns {Promise<String>}
+   */
+  _copyData(srcPath, dstPath, addListeners = true) {
     let listeners;
-    try {
-      listeners = addTempListeners(this, 'rcopy');
-      haveConnection(this, 'rcopy');
-      const srcPath = await normalizeRemotePath(this, src);
-      const srcExists = await this.exists(srcPath);
-      if (!srcExists) {
-        throw this.fmtError(
-          `Source does not exist ${srcPath}`,
-          'rcopy',
-          errorCode.badPath,
-        );
+    return new Promise((resolve, reject) => {
+      if (addListeners) {
+        listeners = addTempListeners(this, '_copyData', reject);
       }
-      if (srcExists !== '-') {
-        throw this.fmtError(`Source not a file ${srcPath}`, 'rcopy', errorCode.badPath);
+      if (!haveConnection(this, '_copyData', reject)) {
+        return;
       }
-      const dstPath = await normalizeRemotePath(this, dst);
-      const dstExists = await this.exists(dstPath);
-      if (dstExists) {
-        throw this.fmtError(
-          `Destination already exists ${dstPath}`,
-          'rcopy',
-          errorCode.badPath,
+      const fail = (err, path) => {
+        reject(
+          this.fmtError(`${err.message} ${path}`, '_copyData', err.code, {
+            remotePath: path,
+            cause: err,
+          }),
         );
+      };
+      this.sftp.open(srcPath, 'r', (err, srcHandle) => {
+        if (err) {
+          return fail(err, srcPath);
+        }
+        this.sftp.open(dstPath, 'w', (err, dstHandle) => {
+          if (err) {
+            this.sftp.close(srcHandle, () => fail(err, dstPath));
+            return;
+          }
+          // a length of 0 copies all data up to the end of the source file
+          this.sftp.ext_copy_data(srcHandle, 0, 0, dstHandle, 0, (copyErr) => {
+            this.sftp.close(srcHandle, () => {
+              this.sftp.close(dstHandle, (closeErr) => {
+                if (copyErr || closeErr) {
+                  return fail(copyErr || closeErr, dstPath);
+                }
+                resolve(`${srcPath} copied to ${dstPath}`);
+              });
+            });
+          });
+        });
+      });
+    }).finally(() => {
+      if (addListeners) {
+        removeTempListeners(this, listeners, '_copyData');
       }
-      return this._rcopy(srcPath, dstPath);
-    } catch (err) {
-      throw err.custom ? err : this.fmtError(err, 'rcopy');
-    } finally {
-      removeTempListeners(this, listeners, 'rcopy');
+    });
+  }
+
+  /**
+   * @async
+   *
+   * Copy a remote file to another remote location. Uses the server-side copy
+   * extension detected when the SFTP channel was opened ('remoteCopy'), falling
+   * back to streaming the data through the client. If 'preserve' is set, the
+   * mode and/or times of the copy are set to match the source.
+   *
+   * @param {String} srcPath - path to the remote file to be copied
+   * @param {String} dstPath - destination path for the copy
+   * @param {Object} preserve - (Optional) object with boolean 'mode' and 'times'
+   * properties
+   * @param {AbortSignal} signal - (Optional) signal to stop the copy
+   * @returns {Promise<String>}
+   */
+  async _copyFile(srcPath, dstPath, preserve, signal) {
+    const result =
+      this.remoteCopy === 'copy-data'
+        ? await this._copyData(srcPath, dstPath, false)
+        : await this._rcopy(srcPath, dstPath, signal);
+    if (preserve) {
+      signal?.throwIfAborted();
+      await this._copyAttrs(srcPath, dstPath, preserve);
     }
+    return result;
   }
+
+  /**
+   * @async
+   *
+   * Set the mode and/or access and modification times of a remote path to
+   * match those of another remote path.
+   *
+   * @param {String} srcPath - remote path to copy attributes from
+   * @param {String} dstPath - remote path to set attributes on
+   * @param {Object} preserve - object with boolean 'mode' and 'times' properties
+   * @returns {Promise<String>}
+   */
+  async _copyAttrs(srcPath, dstPath, preserve) {
+    const stats = await this._xstat('stat', srcPath, false);
+    const attrs = {};
+    if (preserve.mode) {
+      attrs.mode = stats.mode & 0o7777;
+    }
+    if (preserve.times) {
+      attrs.atime = Math.floor(stats.accessTime / 1000);
+      attrs.mtime = Math.floor(stats.modifyTime / 1000);
+    }
+    return this._setstat(dstPath, attrs, false);
+  }
+
+  /**
+   * @async
+   *
+   * Copy a remote directory tree to another remote location. Directories are
+   * created first, then files are copied with up to 'promiseLimit' copies in
+   * progress at any time. If 'preserve' is set, the mode and/or times of each
+   * directory are set to match the source directory last. Symbolic links to
+   * files are copied as regular files. Other symbolic links are skipped.
+   *
+   * @param {String} srcPath - absolute path of the source directory
+   * @param {String} dstPath - absolute path of the destination directory
+   * @param {Object} preserve - (Optional) object with boolean 'mode' and 'times'
+   * properties
+   * @param {AbortSignal} signal - (Optional) signal to stop the copy
+   * @returns {Promise<String>}
+   */
+  async _rcopyDir(srcPath, dstPath, preserve, signal) {
+    if (dstPath === srcPath || dstPath.startsWith(`${srcPath}/`)) {
+      throw this.fmtError(
+        `Destination ${dstPath} is inside source ${srcPath}`,
+        'rcopy',
+        errorCode.badPath,
+        { remotePath: dstPath },
+      );
+    }
+    const dirs = [srcPath];
+    const files = [];
+    for await (const entry of this.walk(srcPath, { signal })) {
+      switch (entry.type) {
+        case 'd': {
+          dirs.push(entry.path);
+          break;
+        }
+        case '-': {
+          files.push(entry.path);
+          break;
+        }
+        case 'l': {
+          const stats = await this._xstat('stat', entry.path, false).catch(() => ({}));
+          if (stats.isFile) {
+            files.push(entry.path);
+          } else {
+            this.debugMsg(`rcopy: skipping symbolic link ${entry.path}`);
+          }
+          break;
+        }
+        default: {
+          this.debugMsg(`rcopy: skipping ${entry.path}`);
+        }
+      }
+    }
+    const target = (p) => `${dstPath}${p.slice(srcPath.length)}`;
+    for (const d of dirs) {
+      signal?.throwIfAborted();
+      await this._mkdir(target(d), false);
+    }
+    const queue = taskQueue(this.promiseLimit, signal);
+    for (const f of files) {
+      queue.push(() => this._copyFile(f, target(f), preserve, signal));
+    }
+    await queue.done();
+    if (preserve) {
+      // set directory attributes last, as copying files changes the mtime
+      for (const d of dirs.reverse()) {
+        signal?.throwIfAborted();
+        await this._copyAttrs(d, target(d), preserve);
+      }
+    }
+    return `${srcPath} copied to ${dstPath}`;
+  }
+
+  /**
+   * @async
+   *
+   * Make a remote copy of a remote file or directory. The directory where the
+   * copy will be placed must already exist.
+   *
+   * @param {String} src - path to the remote file or directory to be copied
+   * @param {String} dst - destination path for the copy
+   * @param {Object} options - (Optional) object with supported properties
+   * 'recursive', 'overwrite' and 'preserve'. If 'recursive' is true, 'src' can
+   * be a directory, which is copied with all its contents. If 'overwrite' is
+   * true, an existing destination file is replaced. If 'preserve' is true, or
+   * an object with boolean 'mode' and 'times' properties, the mode and/or
+   * access and modification times of the copy are set to match the source. When copying a directory to an
+   * existing directory with 'overwrite' set, the source tree is merged into the
+   * destination directory. The 'signal' and 'timeout' properties cancel the
+   * copy.
+   * @returns {Promise<String>}
+   */
+  rcopy(src, dst, options = {}) {
+    return this._withAbort('rcopy', options, async (signal) => {
+      let listeners;
+      try {
+        listeners = addTempListeners(this, 'rcopy');
+        haveConnection(this, 'rcopy');
+        const srcPath = await normalizeRemotePath(this, src);
+        const srcExists = await this.exists(srcPath, { signal });
+        if (!srcExists) {
+          throw this.fmtError(
+            `Source does not exist ${srcPath}`,
+            'rcopy',
+            errorCode.badPath,
+            { remotePath: srcPath, errorClass: PathNotFoundError },
+          );
+        }
+        if (srcExists !== '-' && !(srcExists === 'd' && options.recursive)) {
+          throw this.fmtError(
+            `Source not a file ${srcPath}`,
+            'rcopy',
+            errorCode.badPath,
+            {
+              remotePath: srcPath,
+            },
+          );
+        }
+        const dstPath = await normalizeRemotePath(this, dst);
+        const dstExists = await this.exists(dstPath, { signal });
+        if (dstExists && !options.overwrite) {
+          throw this.fmtError(
+            `Destination already exists ${dstPath}`,
+            'rcopy',
+            errorCode.badPath,
+            { remotePath: dstPath },
+          );
+        }
+        if (dstExists && (dstExists === 'd') !== (srcExists === 'd')) {
+          throw this.fmtError(
+            `Destination ${dstPath} is not a ${srcExists === 'd' ? 'directory' : 'file'}`,
+            'rcopy',
+            errorCode.badPath,
+            { remotePath: dstPath },
+          );
+        }
+        const preserve = preserveAttrs(options.preserve);
+        if (srcExists === 'd') {
+          return await this._rcopyDir(srcPath, dstPath, preserve, signal);
+        }
+        return await this._copyFile(srcPath, dstPath, preserve, signal);
+      } catch (err) {
+        throw err.custom ? err : this.fmtError(err, 'rcopy');
+      } finally {
+        removeTempListeners(this, listeners, 'rcopy');
+      }
+    });
+  }
+
   /**
    * @async
    *
@@ -1515,6 +4854,7 @@ class SftpClient {
         resolve(true);
       };
       this.on('close', endCloseHandler);
+      this._closeExtendedChannel();
       if (this.sftp) {
         this.debugMsg('end: Ending SFTP connection');
         this.client.end();
@@ -0,0 +1,733 @@
+'use strict';
+const { Server, utils } = require('ssh2');
+const fs = require('node:fs');
+const { createHash } = require('node:crypto');
+const os = require('node:os');
+const { join, posix } = require('node:path');
+const { errorCode } = require('./constants');
+const { SftpError } = require('./errors');
+
+const { STATUS_CODE, flagsToString } = utils.sftp;
+
+// extensions advertised by default, as for a recent OpenSSH server
+const defaultExtensions = {
+  'posix-rename@openssh.com': '1',
+  'statvfs@openssh.com': '2',
+  'hardlink@openssh.com': '1',
+  'fsync@openssh.com': '1',
+  'copy-data': '1',
+};
+
+// extensions which can be enabled with the 'extensions' option
+const supportedExtensions = new Set([
+  ...Object.keys(defaultExtensions),
+  'copy-file',
+  'check-file',
+  'md5-hash',
+]);
+
+// extended request names which differ from the extension name
+const requestExtensions = { 'check-file-name': 'check-file' };
+
+// hash algorithms supported by the check-file extension, in order of preference
+const checkFileAlgorithms = ['sha256', 'sha512', 'sha384', 'sha224', 'sha1', 'md5'];
+
+const faultTypes = new Set(['disconnect', 'permission', 'error', 'slow']);
+
+function toAttrs(stats) {
+  return {
+    mode: stats.mode,
+    uid: stats.uid,
+    gid: stats.gid,
+    size: stats.size,
+    atime: Math.floor(stats.atimeMs / 1000),
+    mtime: Math.floor(stats.mtimeMs / 1000),
+  };
+}
+
+function longname(name, stats) {
+  let type = '-';
+  if (stats.isDirectory()) {
+    type = 'd';
+  } else if (stats.isSymbolicLink()) {
+    type = 'l';
+  }
+  const bits = 'rwxrwxrwx';
+  let perms = '';
+  for (let i = 0; i < 9; i++) {
+    perms += stats.mode & (1 << (8 - i)) ? bits[i] : '-';
+  }
+  return `${type}${perms} 1 ${stats.uid} ${stats.gid} ${stats.size} Jan 1 00:00 ${name}`;
+}
+
+function errorStatus(err) {
+  switch (err.code) {
+    case 'ENOENT':
+    case 'ENOTDIR': {
+      return STATUS_CODE.NO_SUCH_FILE;
+    }
+    case 'EACCES':
+    case 'EPERM': {
+      return STATUS_CODE.PERMISSION_DENIED;
+    }
+    default: {
+      return STATUS_CODE.FAILURE;
+    }
+  }
+}
+
+function setAttrs(target, attrs, isFd) {
+  if (attrs.mode !== undefined) {
+    (isFd ? fs.fchmodSync : fs.chmodSync)(target, attrs.mode & 0o7777);
+  }
+  if (attrs.uid !== undefined && attrs.gid !== undefined) {
+    (isFd ? fs.fchownSync : fs.chownSync)(target, attrs.uid, attrs.gid);
+  }
+  if (attrs.atime !== undefined && attrs.mtime !== undefined) {
+    (isFd ? fs.futimesSync : fs.utimesSync)(target, attrs.atime, attrs.mtime);
+  }
+  if (attrs.size !== undefined) {
+    (isFd ? fs.ftruncateSync : fs.truncateSync)(target, attrs.size);
+  }
+}
+
+function readString(buf, offset) {
+  const len = buf.readUInt32BE(offset);
+  return [buf.toString('utf8', offset + 4, offset + 4 + len), offset + 4 + len];
+}
+
+function sftpString(value) {
+  const data = Buffer.from(value);
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  return Buffer.concat([len, data]);
+}
+
+/**
+ * Send an SSH_FXP_EXTENDED_REPLY packet, which the ssh2 server API cannot
+ * send.
+ *
+ * @param {Object} sftp - ssh2 server SFTP channel
+ * @param {Number} reqid - request id
+ * @param {Buffer} data - reply data
+ */
+function extendedReply(sftp, reqid, data) {
+  const buf = Buffer.alloc(9 + data.length);
+  buf.writeUInt32BE(buf.length - 4, 0);
+  buf[4] = 201;
+  buf.writeUInt32BE(reqid, 5);
+  data.copy(buf, 9);
+  sftp._protocol.channelData(sftp.outgoing.id, buf);
+}
+
+/**
+ * Hash 'length' bytes of a local file starting at 'offset'. A length of 0
+ * hashes to the end of the file.
+ */
+function hashRange(path, algorithm, offset, length) {
+  const data = fs
+    .readFileSync(path)
+    .subarray(offset, length ? offset + length : undefined);
+  return createHash(algorithm).update(data).digest();
+}
+
+/**
+ * Build an SFTP version 3 VERSION packet which includes extension names and
+ * data. The ssh2 server always sends a VERSION packet without extensions.
+ *
+ * @param {Object} extensions - extension names mapped to extension data
+ * @returns {Buffer}
+ */
+function versionPacket(extensions) {
+  const parts = [Buffer.from([2, 0, 0, 0, 3])];
+  for (const [name, data] of Object.entries(extensions)) {
+    for (const s of [name, data]) {
+      const len = Buffer.alloc(4);
+      len.writeUInt32BE(Buffer.byteLength(s));
+      parts.push(len, Buffer.from(s));
+    }
+  }
+  const body = Buffer.concat(parts);
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(body.length);
+  return Buffer.concat([len, body]);
+}
+
+function mockError(msg, code = errorCode.generic) {
+  const err = new SftpError(`MockSftpServer: ${msg}`, {
+    code,
+    operation: 'MockSftpServer',
+  });
+  err.custom = true;
+  return err;
+}
+
+class MockSftpServer {
+  /**
+   * Create an SFTP server for testing code which uses SftpClient without a
+   * real SFTP server. The server listens on localhost and speaks the SFTP
+   * protocol using the ssh2 server implementation. Remote paths are mapped to
+   * a directory on the local file system, which is a new temporary directory
+   * unless the 'root' option is supplied. Faults can be injected to test
+   * handling of lost connections, permission errors and slow servers.
+   *
+   * @param {Object} options - (Optional) server options. Supported properties
+   * are 'root', 'username', 'password', 'extensions' and 'ident'. The
+   * 'extensions' property is an object mapping SFTP extension names to
+   * extension data, which replaces the default set of extensions advertised
+   * by the server. The 'copy-file', 'check-file' and 'md5-hash' extensions
+   * are supported, but not advertised by default.
+   */
+  constructor(options = {}) {
+    this.tempRoot = !options.root;
+    this.root = options.root ?? fs.mkdtempSync(join(os.tmpdir(), 'sftp-mock-'));
+    this.username = options.username ?? 'test';
+    this.password = options.password ?? 'test';
+    this.extensions = options.extensions ?? defaultExtensions;
+    this.ident = options.ident;
+    this.faults = [];
+    this.connections = new Set();
+    this.server = undefined;
+    this.port = undefined;
+  }
+
+  /**
+   * Map a remote path to the corresponding path on the local file system.
+   * Useful for setting up test data and checking the results of operations.
+   *
+   * @param {String} remotePath - absolute remote path
+   * @returns {String} local path
+   */
+  localPath(remotePath) {
+    return join(this.root, posix.normalize(`/${remotePath}`));
+  }
+
+  /**
+   * @async
+   *
+   * Start listening for connections on localhost.
+   *
+   * @param {Number} port - (Optional) port number. Default is a random free port
+   * @returns {Promise<Object>} connection config for SftpClient.connect()
+   */
+  start(port = 0) {
+    if (this.server) {
+      return Promise.reject(mockError('Server already started'));
+    }
+    const hostKey = utils.generateKeyPairSync('ed25519').private;
+    this.server = new Server({ hostKeys: [hostKey], ident: this.ident }, (conn) =>
+      this._onConnection(conn),
+    );
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (err) =>
+        reject(mockError(`Cannot listen on port ${port}: ${err.message}`, err.code)),
+      );
+      this.server.listen(port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve(this.config());
+      });
+    });
+  }
+
+  /**
+   * Connection config for SftpClient.connect().
+   *
+   * @returns {Object}
+   */
+  config() {
+    return {
+      host: '127.0.0.1',
+      port: this.port,
+      username: this.username,
+      password: this.password,
+    };
+  }
+
+  /**
+   * @async
+   *
+   * Close all connections and stop the server. The root directory is removed
+   * if it is a temporary directory created by the server.
+   *
+   * @returns {Promise<Boolean>}
+   */
+  async stop() {
+    const server = this.server;
+    this.server = undefined;
+    if (server) {
+      this.disconnectAll();
+      await new Promise((resolve) => server.close(resolve));
+    }
+    if (this.tempRoot) {
+      fs.rmSync(this.root, { recursive: true, force: true });
+    }
+    return true;
+  }
+
+  /**
+   * Close all client connections e.g. to test reconnecting. The server
+   * continues to accept new connections.
+   */
+  disconnectAll() {
+    for (const conn of this.connections) {
+      conn.end();
+    }
+  }
+
+  /**
+   * Inject a fault for requests of the type 'op' e.g. 'open', 'read',
+   * 'write', 'stat', 'lstat', 'setstat', 'opendir', 'mkdir', 'rmdir',
+   * 'remove', 'rename', 'realpath', 'readlink', 'symlink' or 'extended'.
+   * The 'type' of fault is one of
+   *
+   * disconnect - the connection is closed
+   * permission - the request fails with a permission denied status
+   * error - the request fails with a failure status and 'message'
+   * slow - the response is delayed by 'delay' milliseconds
+   *
+   * If 'path' is set, only requests for remote paths which include 'path'
+   * are affected. The 'count' property is the number of requests affected.
+   * The default is 1, except for slow faults, which affect all requests
+   * until the faults are cleared.
+   *
+   * @param {Object} fault - object with 'op', 'type', 'path', 'count',
+   * 'message' and 'delay' properties
+   */
+  injectFault(fault) {
+    if (!fault?.op || !faultTypes.has(fault.type)) {
+      throw mockError(
+        `Fault must have an 'op' and a 'type' of ${[...faultTypes].join(', ')}`,
+      );
+    }
+    this.faults.push({ count: fault.type === 'slow' ? Infinity : 1, ...fault });
+  }
+
+  /**
+   * Remove all injected faults.
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  _takeFault(op, path) {
+    const idx = this.faults.findIndex(
+      (f) => f.op === op && (!f.path || path?.includes(f.path)),
+    );
+    if (idx === -1) {
+      return;
+    }
+    const fault = this.faults[idx];
+    fault.count--;
+    if (fault.count <= 0) {
+      this.faults.splice(idx, 1);
+    }
+    return fault;
+  }
+
+  _onConnection(conn) {
+    this.connections.add(conn);
+    conn.on('close', () => this.connections.delete(conn));
+    // errors from clients going away are expected
+    conn.on('error', () => {});
+    conn.on('authentication', (ctx) => {
+      if (
+        ctx.method === 'password' &&
+        ctx.username === this.username &&
+        ctx.password === this.password
+      ) {
+        ctx.accept();
+      } else {
+        ctx.reject(['password']);
+      }
+    });
+    conn.on('ready', () => {
+      conn.on('session', (accept) => {
+        const session = accept();
+        session.on('sftp', (accept) => {
+          const sftp = accept();
+          this._advertiseExtensions(sftp);
+          this._serve(conn, sftp);
+        });
+      });
+    });
+  }
+
+  /**
+   * Replace the VERSION packet sent by the ssh2 server with one listing the
+   * server extensions. This relies on ssh2 internals, as the server API has
+   * no way to advertise extensions.
+   */
+  _advertiseExtensions(sftp) {
+    const protocol = sftp._protocol;
+    const extensions = this.extensions;
+    protocol.channelData = function (id, data) {
+      delete protocol.channelData;
+      if (id === sftp.outgoing.id && data.length === 9 && data[4] === 2) {
+        data = versionPacket(extensions);
+      }
+      return protocol.channelData(id, data);
+    };
+  }
+
+  _serve(conn, sftp) {
+    const handles = new Map();
+    let handleCount = 0;
+    const newHandle = (value) => {
+      const h = Buffer.alloc(4);
+      h.writeUInt32BE(handleCount++);
+      handles.set(h.toString('hex'), value);
+      return h;
+    };
+    const getHandle = (h) => handles.get(h.toString('hex'));
+    const fail = (reqid, err) => sftp.status(reqid, errorStatus(err), err.message);
+
+    // run 'fn' to answer a request, unless a fault has been injected
+    const handle = (op, reqid, path, fn) => {
+      const fault = this._takeFault(op, path);
+      const run = () => {
+        try {
+          fn();
+        } catch (err) {
+          fail(reqid, err);
+        }
+      };
+      switch (fault?.type) {
+        case 'disconnect': {
+          conn.end();
+          break;
+        }
+        case 'permission': {
+          sftp.status(reqid, STATUS_CODE.PERMISSION_DENIED, 'Permission denied');
+          break;
+        }
+        case 'error': {
+          sftp.status(reqid, STATUS_CODE.FAILURE, fault.message ?? 'Failure');
+          break;
+        }
+        case 'slow': {
+          setTimeout(run, fault.delay ?? 0);
+          break;
+        }
+        default: {
+          run();
+        }
+      }
+    };
+    const withHandle = (op, reqid, h, fn) => {
+      const value = getHandle(h);
+      if (value) {
+        handle(op, reqid, value.path, () => fn(value));
+      } else {
+        sftp.status(reqid, STATUS_CODE.FAILURE, 'Invalid handle');
+      }
+    };
+    const ok = (reqid) => sftp.status(reqid, STATUS_CODE.OK);
+
+    sftp.on('OPEN', (reqid, filename, flags, attrs) => {
+      handle('open', reqid, filename, () => {
+        const fd = fs.openSync(
+          this.localPath(filename),
+          flagsToString(flags),
+          attrs?.mode ?? 0o644,
+        );
+        sftp.handle(reqid, newHandle({ fd, path: filename }));
+      });
+    });
+    sftp.on('READ', (reqid, h, offset, length) => {
+      withHandle('read', reqid, h, ({ fd }) => {
+        const buf = Buffer.alloc(length);
+        const n = fs.readSync(fd, buf, 0, length, offset);
+        if (n === 0) {
+          sftp.status(reqid, STATUS_CODE.EOF);
+        } else {
+          sftp.data(reqid, buf.subarray(0, n));
+        }
+      });
+    });
+    sftp.on('WRITE', (reqid, h, offset, data) => {
+      withHandle('write', reqid, h, ({ fd }) => {
+        fs.writeSync(fd, data, 0, data.length, offset);
+        ok(reqid);
+      });
+    });
+    sftp.on('FSTAT', (reqid, h) => {
+      withHandle('stat', reqid, h, ({ fd }) =>
+        sftp.attrs(reqid, toAttrs(fs.fstatSync(fd))),
+      );
+    });
+    sftp.on('FSETSTAT', (reqid, h, attrs) => {
+      withHandle('setstat', reqid, h, ({ fd }) => {
+        setAttrs(fd, attrs, true);
+        ok(reqid);
+      });
+    });
+    sftp.on('SETSTAT', (reqid, path, attrs) => {
+      handle('setstat', reqid, path, () => {
+        setAttrs(this.localPath(path), attrs, false);
+        ok(reqid);
+      });
+    });
+    sftp.on('CLOSE', (reqid, h) => {
+      const value = getHandle(h);
+      if (!value) {
+        sftp.status(reqid, STATUS_CODE.FAILURE, 'Invalid handle');
+        return;
+      }
+      handles.delete(h.toString('hex'));
+      handle('close', reqid, value.path, () => {
+        if (value.fd !== undefined) {
+          fs.closeSync(value.fd);
+        }
+        ok(reqid);
+      });
+    });
+    sftp.on('OPENDIR', (reqid, path) => {
+      handle('opendir', reqid, path, () => {
+        const dir = this.localPath(path);
+        const names = fs.readdirSync(dir);
+        sftp.handle(reqid, newHandle({ dir, names, path }));
+      });
+    });
+    sftp.on('READDIR', (reqid, h) => {
+      withHandle('readdir', reqid, h, (value) => {
+        if (value.done) {
+          sftp.status(reqid, STATUS_CODE.EOF);
+          return;
+        }
+        value.done = true;
+        const entries = [];
+        for (const name of ['.', '..', ...value.names]) {
+          try {
+            const stats = fs.lstatSync(join(value.dir, name));
+            entries.push({
+              filename: name,
+              longname: longname(name, stats),
+              attrs: toAttrs(stats),
+            });
+          } catch {
+            // entry removed since the directory was opened
+          }
+        }
+        sftp.name(reqid, entries);
+      });
+    });
+    sftp.on('STAT', (reqid, path) => {
+      handle('stat', reqid, path, () => {
+        sftp.attrs(reqid, toAttrs(fs.statSync(this.localPath(path))));
+      });
+    });
+    sftp.on('LSTAT', (reqid, path) => {
+      handle('lstat', reqid, path, () => {
+        sftp.attrs(reqid, toAttrs(fs.lstatSync(this.localPath(path))));
+      });
+    });
+    sftp.on('REMOVE', (reqid, path) => {
+      handle('remove', reqid, path, () => {
+        fs.unlinkSync(this.localPath(path));
+        ok(reqid);
+      });
+    });
+    sftp.on('RMDIR', (reqid, path) => {
+      handle('rmdir', reqid, path, () => {
+        fs.rmdirSync(this.localPath(path));
+        ok(reqid);
+      });
+    });
+    sftp.on('MKDIR', (reqid, path, attrs) => {
+      handle('mkdir', reqid, path, () => {
+        fs.mkdirSync(this.localPath(path), attrs?.mode);
+        ok(reqid);
+      });
+    });
+    sftp.on('RENAME', (reqid, from, to) => {
+      handle('rename', reqid, from, () => {
+        const dst = this.localPath(to);
+        // SFTP v3 rename does not overwrite an existing file
+        if (fs.existsSync(dst)) {
+          sftp.status(reqid, STATUS_CODE.FAILURE, 'File exists');
+          return;
+        }
+        fs.renameSync(this.localPath(from), dst);
+        ok(reqid);
+      });
+    });
+    sftp.on('REALPATH', (reqid, path) => {
+      handle('realpath', reqid, path, () => {
+        let p = posix.normalize(posix.join('/', path));
+        try {
+          const real = fs.realpathSync(this.localPath(p));
+          if (real === this.root || real.startsWith(`${this.root}/`)) {
+            p = real.slice(this.root.length) || '/';
+          }
+        } catch {
+          // paths which don't exist are returned normalized
+        }
+        sftp.name(reqid, [{ filename: p, longname: p, attrs: {} }]);
+      });
+    });
+    sftp.on('READLINK', (reqid, path) => {
+      handle('readlink', reqid, path, () => {
+        const target = fs.readlinkSync(this.localPath(path));
+        sftp.name(reqid, [{ filename: target, longname: target, attrs: {} }]);
+      });
+    });
+    sftp.on('SYMLINK', (reqid, linkPath, targetPath) => {
+      handle('symlink', reqid, linkPath, () => {
+        fs.symlinkSync(targetPath, this.localPath(linkPath));
+        ok(reqid);
+      });
+    });
+    sftp.on('EXTENDED', (reqid, name, data) => {
+      const ext = requestExtensions[name] ?? name;
+      if (!this.extensions[ext] || !supportedExtensions.has(ext)) {
+        sftp.status(reqid, STATUS_CODE.OP_UNSUPPORTED);
+        return;
+      }
+      handle('extended', reqid, name, () => {
+        this._extended(sftp, reqid, name, data, getHandle);
+      });
+    });
+  }
+
+  _extended(sftp, reqid, name, data, getHandle) {
+    switch (name) {
+      case 'posix-rename@openssh.com':
+      case 'hardlink@openssh.com': {
+        const [from, offset] = readString(data, 0);
+        const [to] = readString(data, offset);
+        const fn = name === 'hardlink@openssh.com' ? fs.linkSync : fs.renameSync;
+        fn(this.localPath(from), this.localPath(to));
+        sftp.status(reqid, STATUS_CODE.OK);
+        break;
+      }
+      case 'statvfs@openssh.com': {
+        const [path] = readString(data, 0);
+        const s = fs.statfsSync(this.localPath(path));
+        const values = [
+          s.bsize,
+          s.bsize,
+          s.blocks,
+          s.bfree,
+          s.bavail,
+          s.files,
+          s.ffree,
+          s.ffree,
+          0,
+          0,
+          255,
+        ];
+        const buf = Buffer.alloc(values.length * 8);
+        for (const [i, v] of values.entries()) {
+          buf.writeBigUInt64BE(BigInt(v), i * 8);
+        }
+        extendedReply(sftp, reqid, buf);
+        break;
+      }
+      case 'check-file-name': {
+        const [path, offset] = readString(data, 0);
+        const [algorithms, end] = readString(data, offset);
+        const start = Number(data.readBigUInt64BE(end));
+        const length = Number(data.readBigUInt64BE(end + 8));
+        const requested = algorithms.split(',');
+        const advertised = this.extensions['check-file'].split(',');
+        const algorithm = checkFileAlgorithms.find(
+          (a) => requested.includes(a) && advertised.includes(a),
+        );
+        if (!algorithm) {
+          sftp.status(reqid, STATUS_CODE.OP_UNSUPPORTED, 'No supported hash algorithm');
+          return;
+        }
+        const hash = hashRange(this.localPath(path), algorithm, start, length);
+        extendedReply(
+          sftp,
+          reqid,
+          Buffer.concat([sftpString('check-file'), sftpString(algorithm), hash]),
+        );
+        break;
+      }
+      case 'md5-hash': {
+        const [path, offset] = readString(data, 0);
+        const start = Number(data.readBigUInt64BE(offset));
+        const length = Number(data.readBigUInt64BE(offset + 8));
+        const hash = hashRange(this.localPath(path), 'md5', start, length);
+        extendedReply(
+          sftp,
+          reqid,
+          Buffer.concat([sftpString('md5-hash'), sftpString(hash)]),
+        );
+        break;
+      }
+      case 'copy-data': {
+        let offset = 0;
+        const readHandle = () => {
+          const len = data.readUInt32BE(offset);
+          const h = data.subarray(offset + 4, offset + 4 + len);
+          offset += 4 + len;
+          return getHandle(h);
+        };
+        const readUInt64 = () => {
+          const v = Number(data.readBigUInt64BE(offset));
+          offset += 8;
+          return v;
+        };
+        const src = readHandle();
+        let srcOffset = readUInt64();
+        let len = readUInt64();
+        const dst = readHandle();
+        let dstOffset = readUInt64();
+        if (!src || !dst) {
+          sftp.status(reqid, STATUS_CODE.FAILURE, 'Invalid handle');
+          return;
+        }
+        const buf = Buffer.alloc(65_536);
+        // a length of 0 means copy to the end of the source file
+        for (;;) {
+          const want = len === 0 ? buf.length : Math.min(buf.length, len);
+          const n = fs.readSync(src.fd, buf, 0, want, srcOffset);
+          if (!n) {
+            break;
+          }
+          fs.writeSync(dst.fd, buf, 0, n, dstOffset);
+          srcOffset += n;
+          dstOffset += n;
+          if (len !== 0) {
+            len -= n;
+            if (len === 0) {
+              break;
+            }
+          }
+        }
+        sftp.status(reqid, STATUS_CODE.OK);
+        break;
+      }
+      case 'copy-file': {
+        const [from, offset] = readString(data, 0);
+        const [to, end] = readString(data, offset);
+        const overwrite = data[end] === 1;
+        fs.copyFileSync(
+          this.localPath(from),
+          this.localPath(to),
+          overwrite ? 0 : fs.constants.COPYFILE_EXCL,
+        );
+        sftp.status(reqid, STATUS_CODE.OK);
+        break;
+      }
+      case 'fsync@openssh.com': {
+        const len = data.readUInt32BE(0);
+        const value = getHandle(data.subarray(4, 4 + len));
+        if (value?.fd === undefined) {
+          sftp.status(reqid, STATUS_CODE.FAILURE, 'Invalid handle');
+          return;
+        }
+        fs.fsyncSync(value.fd);
+        sftp.status(reqid, STATUS_CODE.OK);
+        break;
+      }
+      default: {
+        sftp.status(reqid, STATUS_CODE.OP_UNSUPPORTED);
+      }
+    }
+  }
+}
+
+module.exports = MockSftpServer;
@@ -0,0 +1,346 @@
+'use strict';
+const SftpClient = require('./index.js');
+const { errorCode } = require('./constants');
+const { SftpError } = require('./errors');
+
+/**
+ * Create a new pool error. Pool errors use the same message/code format
+ * as errors returned by SftpClient.fmtError().
+ *
+ * @param {String} msg - error message
+ * @param {String} name - name of method raising the error
+ * @param {String} code - error code
+ * @returns {SftpError}
+ */
+function poolError(msg, name, code = errorCode.generic) {
+  const err = new SftpError(`${name}: ${msg}`, { code, operation: name });
+  err.custom = true;
+  return err;
+}
+
+class SftpPool {
+  /**
+   * Create a pool of SftpClient connections. Connections are created on demand
+   * up to 'max' connections. A minimum of 'min' connections are kept open once
+   * the pool has been started.
+   *
+   * @param {Object} config - SFTP connection configuration passed to connect()
+   * @param {Object} options - (Optional) pool options. Supported properties are
+   * 'min', 'max', 'acquireTimeout', 'healthCheck' and 'name'.
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.name = options.name ?? 'pool';
+    this.min = options.min ?? 0;
+    this.max = options.max ?? 5;
+    this.acquireTimeout = options.acquireTimeout ?? 0;
+    this.healthCheck = options.healthCheck ?? true;
+    this.debug = config.debug;
+    this.idle = [];
+    this.leased = new Set();
+    this.evicted = new WeakSet();
+    this.waiters = [];
+    this.pending = 0;
+    this.clientCount = 0;
+    this.ended = false;
+    if (this.min > this.max) {
+      throw poolError(
+        `min (${this.min}) cannot be greater than max (${this.max})`,
+        'SftpPool',
+        errorCode.generic,
+      );
+    }
+  }
+
+  debugMsg(msg) {
+    if (this.debug) {
+      this.debug(`POOL[${this.name}]: ${msg}`);
+    }
+  }
+
+  /**
+   * Total number of connections owned by the pool, including connections
+   * still being established.
+   */
+  get size() {
+    return this.idle.length + this.leased.size + this.pending;
+  }
+
+  get available() {
+    return this.idle.length;
+  }
+
+  get borrowed() {
+    return this.leased.size;
+  }
+
+  get waiting() {
+    return this.waiters.length;
+  }
+
+  /**
+   * @async
+   *
+   * Open the minimum number of connections specified by the 'min' option.
+   *
+   * @returns {Promise<Boolean>}
+   */
+  async start() {
+    const pList = [];
+    for (let i = this.size; i < this.min; i++) {
+      pList.push(this._create());
+    }
+    const clients = await Promise.all(pList);
+    this.idle.push(...clients);
+    return true;
+  }
+
+  _evict(client, reason) {
+    if (this.evicted.has(client)) {
+      return;
+    }
+    this.debugMsg(`Evicting ${client.clientName}: ${reason}`);
+    this.evicted.add(client);
+    const idx = this.idle.indexOf(client);
+    if (idx !== -1) {
+      this.idle.splice(idx, 1);
+      this._dispatch();
+      this._replenish();
+    }
+  }
+
+  /**
+   * Open new connections in the background until the pool is back to its
+   * minimum size.
+   */
+  _replenish() {
+    for (let i = this.size; i < this.min && !this.ended; i++) {
+      this._create()
+        .then((client) => {
+          if (this.ended) {
+            return this._destroy(client);
+          }
+          this.idle.push(client);
+          return this._dispatch();
+        })
+        .catch((err) => {
+          this.debugMsg(`Failed to replenish pool: ${err.message}`);
+        });
+    }
+  }
+
+  _isHealthy(client) {
+    return !this.evicted.has(client) && client.sftp !== undefined;
+  }
+
+  async _create() {
+    let client;
+    this.pending++;
+    try {
+      client = new SftpClient(`${this.name}-${++this.clientCount}`, {
+        error: (err) => this.debugMsg(`${client.clientName} error: ${err.message}`),
+        end: () => this._evict(client, 'end event'),
+        close: () => this._evict(client, 'close event'),
+      });
+      await client.connect(this.config);
+      this.debugMsg(`Created ${client.clientName}`);
+      return client;
+    } finally {
+      this.pending--;
+    }
+  }
+
+  async _destroy(client) {
+    this.evicted.add(client);
+    try {
+      await client.end();
+    } catch (err) {
+      this.debugMsg(`Error ending ${client.clientName}: ${err.message}`);
+    }
+  }
+
+  async _validate(client) {
+    if (!this._isHealthy(client)) {
+      return false;
+    }
+    if (!this.healthCheck) {
+      return true;
+    }
+    try {
+      await client.realPath('.');
+      return this._isHealthy(client);
+    } catch (err) {
+      this.debugMsg(`Health check failed for ${client.clientName}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Hand connections to waiting callers while there is spare capacity in the
+   * pool. Called whenever a connection is returned or removed from the pool.
+   */
+  _dispatch() {
+    while (this.waiters.length && this.idle.length) {
+      const waiter = this.waiters.shift();
+      const client = this.idle.pop();
+      this.leased.add(client);
+      waiter.resolve(client);
+    }
+    while (this.waiters.length && this.size < this.max) {
+      const waiter = this.waiters.shift();
+      this._create()
+        .then((client) => {
+          if (this.ended) {
+            this._destroy(client);
+            return waiter.reject(
+              poolError('Pool has been ended', 'acquire', errorCode.poolClosed),
+            );
+          }
+          if (waiter.settled) {
+            // the waiter timed out while the connection was being created
+            this.idle.push(client);
+            return this._dispatch();
+          }
+          this.leased.add(client);
+          return waiter.resolve(client);
+        })
+        .catch((err) => {
+          waiter.reject(err);
+          this._dispatch();
+        });
+    }
+  }
+
+  /**
+   * @async
+   *
+   * Lease a connection from the pool. Idle connections are health checked
+   * before being returned. If no connection is available and the pool is at
+   * its maximum size, wait until a connection is released or the
+   * 'acquireTimeout' expires.
+   *
+   * @returns {Promise<SftpClient>} connected client object
+   */
+  async acquire() {
+    if (this.ended) {
+      throw poolError('Pool has been ended', 'acquire', errorCode.poolClosed);
+    }
+    while (this.idle.length) {
+      const client = this.idle.pop();
+      this.leased.add(client);
+      if (await this._validate(client)) {
+        return client;
+      }
+      this.leased.delete(client);
+      await this._destroy(client);
+      this._replenish();
+    }
+    if (this.size < this.max) {
+      const client = await this._create();
+      if (this.ended) {
+        await this._destroy(client);
+        throw poolError('Pool has been ended', 'acquire', errorCode.poolClosed);
+      }
+      this.leased.add(client);
+      return client;
+    }
+    return new Promise((resolve, reject) => {
+      let timer;
+      const waiter = {
+        settled: false,
+        resolve: (client) => {
+          clearTimeout(timer);
+          waiter.settled = true;
+          resolve(client);
+        },
+        reject: (err) => {
+          clearTimeout(timer);
+          waiter.settled = true;
+          reject(err);
+        },
+      };
+      if (this.acquireTimeout > 0) {
+        timer = setTimeout(() => {
+          // the waiter is no longer queued if a connection is being created for it
+          const idx = this.waiters.indexOf(waiter);
+          if (idx !== -1) {
+            this.waiters.splice(idx, 1);
+          }
+          waiter.settled = true;
+          reject(
+            poolError(
+              `Timed out after ${this.acquireTimeout}ms waiting for a connection`,
+              'acquire',
+              errorCode.poolTimeout,
+            ),
+          );
+        }, this.acquireTimeout);
+      }
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Return a leased connection to the pool. Connections which have been
+   * closed or ended are discarded rather than returned to the idle list.
+   *
+   * @param {SftpClient} client - client previously returned by acquire()
+   */
+  release(client) {
+    if (!this.leased.has(client)) {
+      throw poolError(
+        `${client?.clientName} is not leased from this pool`,
+        'release',
+        errorCode.generic,
+      );
+    }
+    this.leased.delete(client);
+    if (this.ended || !this._isHealthy(client)) {
+      this._destroy(client);
+      this._replenish();
+    } else {
+      this.idle.push(client);
+    }
+    this._dispatch();
+  }
+
+  /**
+   * @async
+   *
+   * Lease a connection, call 'fn' with it and release the connection once
+   * the promise returned by 'fn' settles.
+   *
+   * @param {Function} fn - async function called with the leased client
+   * @returns {Promise<*>} the value returned by 'fn'
+   */
+  async withClient(fn) {
+    const client = await this.acquire();
+    try {
+      return await fn(client);
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * @async
+   *
+   * End all connections in the pool. Callers waiting for a connection are
+   * rejected. Leased connections are ended immediately, so callers should
+   * release all connections before calling end().
+   *
+   * @returns {Promise<Boolean>}
+   */
+  async end() {
+    this.ended = true;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(poolError('Pool has been ended', 'acquire', errorCode.poolClosed));
+    }
+    const clients = [...this.idle.splice(0), ...this.leased];
+    this.leased.clear();
+    await Promise.all(clients.map((c) => this._destroy(c)));
+    return true;
+  }
+}
+
+module.exports = SftpPool;
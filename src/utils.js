@@ -1,6 +1,14 @@
-const { statSync, constants, accessSync } = require('node:fs');
-const { dirname } = require('node:path');
+const {
+  statSync,
+  constants,
+  accessSync,
+  createReadStream,
+  readdirSync,
+} = require('node:fs');
+const { createHash } = require('node:crypto');
+const { dirname, join } = require('node:path');
 const { errorCode } = require('./constants.js');
+const { ConnectionError } = require('./errors.js');
 
 function eventHandled(client) {
   if (client.errorHandled || client.endHandled || client.closeHandled) {
@@ -47,6 +55,7 @@ function globalListener(client, evt, eventCallbacks) {
         eventCallbacks.close();
       }
     }
+    client._onClose();
   };
 }
 
@@ -66,8 +75,11 @@ function errorListener(client, name, reject) {
     }
     client.debugMsg(`${name} errorListener - handling error ${err.message}`);
     client.errorHandled = true;
-    const newError = new Error(`${name}: ${err.message}`);
-    newError.code = err.code;
+    const newError = new ConnectionError(`${name}: ${err.message}`, {
+      code: err.code,
+      operation: name,
+      cause: err,
+    });
     if (reject) {
       reject(newError);
     } else {
@@ -87,8 +99,9 @@ function endListener(client, name, reject) {
     }
     client.endHandled = true;
     client.debugMsg(`${name} endListener - handling unexpected end event`);
-    const newError = new Error(`${name}: Unexpected end event`);
-    newError.code = errorCode.ERR_GENERIC_CLIENT;
+    const newError = new ConnectionError(`${name}: Unexpected end event`, {
+      operation: name,
+    });
     if (reject) {
       reject(newError);
     } else {
@@ -108,8 +121,9 @@ function closeListener(client, name, reject) {
     }
     client.closeHandled = true;
     client.debugMsg(`${name} closeListener - handling unexpected close event`);
-    const newError = new Error(`${name}: Unexpected close event`);
-    newError.code = errorCode.ERR_GENERIC_CLIENT;
+    const newError = new ConnectionError(`${name}: Unexpected close event`, {
+      operation: name,
+    });
     if (reject) {
       reject(newError);
     } else {
@@ -310,8 +324,10 @@ async function normalizeRemotePath(client, aPath) {
  */
 function haveConnection(client, name, reject) {
   if (!client.sftp) {
-    const newError = new Error(`${name}: No SFTP connection available`);
-    newError.code = errorCode.connect;
+    const newError = new ConnectionError(`${name}: No SFTP connection available`, {
+      code: errorCode.connect,
+      operation: name,
+    });
     if (reject) {
       reject(newError);
       return false;
@@ -351,6 +367,557 @@ function partition(input, size) {
   return output;
 }
 
+/**
+ * Call 'fn' for each item with at most 'limit' calls in progress at any time.
+ * A new call is started as soon as one finishes, rather than waiting for a
+ * whole batch to finish as with partition(). Failed calls do not stop the
+ * remaining calls. The result has one outcome per item, in item order, with
+ * the same format as Promise.allSettled() i.e. 'status' is 'fulfilled' with a
+ * 'value' or 'rejected' with a 'reason'. If 'signal' fires, no new calls are
+ * started and the promise rejects with the abort reason.
+ *
+ * @param {Array} items - items to process
+ * @param {Number} limit - maximum number of calls in progress
+ * @param {Function} fn - async function called with an item and its index
+ * @param {AbortSignal} signal - (Optional) signal to stop processing
+ * @returns {Promise<Array>} outcome for each item
+ */
+async function mapLimit(items, limit, fn, signal) {
+  if (!(limit >= 1)) {
+    throw new Error('Concurrency limit must be greater than zero');
+  }
+  const outcomes = Array.from({ length: items.length });
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const i = next++;
+      try {
+        outcomes[i] = { status: 'fulfilled', value: await fn(items[i], i) };
+      } catch (err) {
+        outcomes[i] = { status: 'rejected', reason: err };
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.min(limit, items.length) }, () => worker());
+  await Promise.all(workers);
+  return outcomes;
+}
+
+/**
+ * Create a work queue which runs tasks with at most 'limit' tasks in progress
+ * at any time. A new task is started as soon as one finishes. Tasks can add
+ * further tasks while they run e.g. a task which lists a directory can add a
+ * task for each directory entry, so that a whole directory tree is processed
+ * by one queue. If a task fails or 'signal' fires, no new tasks are started
+ * and done() rejects with the error or abort reason once the tasks in
+ * progress have finished.
+ *
+ * @param {Number} limit - maximum number of tasks in progress
+ * @param {AbortSignal} signal - (Optional) signal to stop processing
+ * @returns {Object} queue with push(task) and done() methods. A task is an
+ * async function called without arguments
+ */
+function taskQueue(limit, signal) {
+  if (!(limit >= 1)) {
+    throw new Error('Concurrency limit must be greater than zero');
+  }
+  const tasks = [];
+  let running = 0;
+  let failed = false;
+  let error;
+  let settle;
+  const finished = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  // a task can fail before done() is called
+  finished.catch(() => {});
+  const fail = (err) => {
+    if (!failed) {
+      failed = true;
+      error = err;
+    }
+  };
+  const next = () => {
+    if (signal?.aborted) {
+      fail(signal.reason);
+    }
+    while (!failed && running < limit && tasks.length > 0) {
+      run(tasks.shift());
+    }
+    if (running === 0) {
+      if (failed) {
+        settle.reject(error);
+      } else if (tasks.length === 0) {
+        settle.resolve();
+      }
+    }
+  };
+  const run = async (task) => {
+    running++;
+    try {
+      await task();
+    } catch (err) {
+      fail(err);
+    }
+    running--;
+    next();
+  };
+  return {
+    push(task) {
+      tasks.push(task);
+      next();
+    },
+    done() {
+      next();
+      return finished;
+    },
+  };
+}
+
+/**
+ * Create the report returned by directory operations when the
+ * 'continueOnError' option is set. The 'succeeded' and 'skipped' arrays hold
+ * paths, 'failed' holds objects with 'path' and 'error' properties, 'bytes' is
+ * the number of bytes transferred or removed and 'durationMs' is set when the
+ * operation finishes.
+ *
+ * @returns {Object} empty report
+ */
+function createReport() {
+  return { succeeded: [], failed: [], skipped: [], bytes: 0, durationMs: 0 };
+}
+
+/**
+ * Run 'task' and add its error to the 'failed' array of 'report' instead of
+ * rejecting. Without a report, or once 'signal' has fired, the error is
+ * thrown as usual.
+ *
+ * @param {Object} report - (Optional) report created by createReport()
+ * @param {String} path - path the task operates on
+ * @param {AbortSignal} signal - (Optional) signal of the operation
+ * @param {Function} task - async function to run
+ * @returns {Promise<*>} result of the task or undefined if it failed
+ */
+async function collectError(report, path, signal, task) {
+  try {
+    return await task();
+  } catch (err) {
+    if (!report || signal?.aborted) {
+      throw err;
+    }
+    report.failed.push({ path, error: err });
+  }
+}
+
+/**
+ * Create a progress reporter which calls 'onProgress' with an object
+ * describing the current state of a transfer. The reporter's update() method
+ * is called with the number of bytes transferred so far and done() is called
+ * when a file transfer completes. For directory transfers, file() returns a
+ * reporter for a single file whose progress is added to the overall totals.
+ *
+ * @param {Function} onProgress - callback called with progress data
+ * @param {Object} info - object with operation, source, destination,
+ *                        totalBytes and filesTotal properties
+ * @returns {Object} progress reporter
+ */
+function createProgress(onProgress, info) {
+  const state = {
+    operation: info.operation,
+    source: info.source,
+    destination: info.destination,
+    bytesTransferred: 0,
+    totalBytes: info.totalBytes,
+    filesDone: 0,
+    filesTotal: info.filesTotal ?? 1,
+  };
+  const report = () => onProgress({ ...state });
+  return {
+    update(bytesTransferred, totalBytes) {
+      state.bytesTransferred = bytesTransferred;
+      if (totalBytes !== undefined) {
+        state.totalBytes = totalBytes;
+      }
+      report();
+    },
+    done() {
+      state.filesDone++;
+      report();
+    },
+    file() {
+      let fileBytes = 0;
+      return {
+        update(bytesTransferred) {
+          state.bytesTransferred += bytesTransferred - fileBytes;
+          fileBytes = bytesTransferred;
+          report();
+        },
+        done() {
+          state.filesDone++;
+          report();
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Map the value of a 'verify' option to a hash algorithm name. A value of
+ * true selects the default 'sha256' algorithm. Any other truthy value is
+ * assumed to be the name of a hash algorithm supported by node:crypto.
+ *
+ * @param {Boolean|String} verify - value of the verify option
+ * @returns {String|undefined} hash algorithm or undefined if not verifying
+ */
+function verifyAlgorithm(verify) {
+  if (verify) {
+    return verify === true ? 'sha256' : verify;
+  }
+}
+
+/**
+ * Map the value of a 'preserve' option to an object with boolean 'mode' and
+ * 'times' properties. A value of true preserves both.
+ *
+ * @param {Boolean|Object} preserve - value of the preserve option
+ * @returns {Object|undefined} attributes to preserve or undefined if none
+ */
+function preserveAttrs(preserve) {
+  if (preserve === true) {
+    return { mode: true, times: true };
+  }
+  if (preserve?.mode || preserve?.times) {
+    return { mode: Boolean(preserve.mode), times: Boolean(preserve.times) };
+  }
+}
+
+/**
+ * Map the trailing argument of methods which accept either an 'addListeners'
+ * boolean or an options object to an options object.
+ *
+ * @param {Boolean|Object} options - addListeners flag or options object
+ * @returns {Object} options object
+ */
+function methodOptions(options) {
+  if (typeof options === 'boolean') {
+    return { addListeners: options };
+  }
+  return options ?? {};
+}
+
+/**
+ * Create an AbortSignal which fires when 'signal' fires or 'timeout'
+ * milliseconds have elapsed. When the timeout expires, the signal reason is
+ * a DOMException with the name 'TimeoutError', as for AbortSignal.timeout().
+ * The clear() function must be called once the operation completes to
+ * cancel the timer and remove the listener on 'signal'.
+ *
+ * @param {AbortSignal} signal - (Optional) signal supplied by the caller
+ * @param {Number} timeout - (Optional) timeout in milliseconds
+ * @returns {Object|undefined} object with 'signal' and 'clear' properties or
+ * undefined if neither a signal nor a timeout was supplied
+ */
+function abortSignal(signal, timeout) {
+  if (!signal && !timeout) {
+    return;
+  }
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  let timer;
+  if (signal?.aborted) {
+    abort();
+  } else {
+    signal?.addEventListener('abort', abort, { once: true });
+    if (timeout) {
+      timer = setTimeout(() => {
+        controller.abort(
+          new DOMException(`Operation timed out after ${timeout}ms`, 'TimeoutError'),
+        );
+      }, timeout);
+    }
+  }
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    },
+  };
+}
+
+/**
+ * Test if a mode is a symbolic mode e.g. 'u+rwX,go-w', as opposed to a number
+ * or octal string.
+ *
+ * @param {Number|String} mode - file mode
+ * @returns {Boolean}
+ */
+function isSymbolicMode(mode) {
+  return typeof mode === 'string' && !/^[0-7]{1,4}$/.test(mode);
+}
+
+/**
+ * Convert a mode to a number. The mode can be a number, an octal string e.g.
+ * '755' or a symbolic mode using the same syntax as chmod(1) e.g.
+ * 'u+rwX,go-w'. Symbolic modes are applied to the current mode of the file.
+ * As there is no umask on the remote server, a missing 'who' is the same as
+ * 'a'.
+ *
+ * @param {Number|String} mode - file mode
+ * @param {Number} current - current mode of the file. Default 0
+ * @param {Boolean} isDir - true if the file is a directory. Used for 'X'
+ * @returns {Number|undefined} new mode or undefined if mode is not valid
+ */
+function resolveMode(mode, current = 0, isDir = false) {
+  if (typeof mode === 'number') {
+    return mode;
+  }
+  if (typeof mode !== 'string') {
+    return;
+  }
+  if (!isSymbolicMode(mode)) {
+    return Number.parseInt(mode, 8);
+  }
+  const whoMasks = { u: 0o4700, g: 0o2070, o: 0o1007, a: 0o7777 };
+  const permBits = { r: 0o444, w: 0o222, x: 0o111, s: 0o6000, t: 0o1000 };
+  const shifts = { u: 6, g: 3, o: 0 };
+  let result = current & 0o7777;
+  for (const clause of mode.split(',')) {
+    const parts = /^([agou]*)((?:[+=-](?:[gou]|[Xr-twx]*))+)$/.exec(clause);
+    if (!parts) {
+      return;
+    }
+    let mask = 0;
+    for (const w of parts[1] || 'a') {
+      mask |= whoMasks[w];
+    }
+    for (const [, op, perms] of parts[2].matchAll(/([+=-])([gou]|[Xr-twx]*)/g)) {
+      let bits = 0;
+      if (perms in shifts) {
+        const p = (result >> shifts[perms]) & 7;
+        bits = (p << 6) | (p << 3) | p;
+      } else {
+        for (const c of perms) {
+          if (c === 'X') {
+            bits |= isDir || result & 0o111 ? 0o111 : 0;
+          } else {
+            bits |= permBits[c];
+          }
+        }
+      }
+      bits &= mask;
+      if (op === '+') {
+        result |= bits;
+      } else if (op === '-') {
+        result &= ~bits;
+      } else {
+        result = (result & ~mask) | bits;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Calculate the hash of a local file.
+ *
+ * @param {String} filePath - path to local file
+ * @param {String} algorithm - hash algorithm e.g. 'sha256'
+ * @returns {Promise<String>} hex encoded digest
+ */
+function hashFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash(algorithm);
+    const rdr = createReadStream(filePath);
+    rdr.on('error', reject);
+    rdr.on('data', (chunk) => hash.update(chunk));
+    rdr.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * List the contents of a local directory. Entries use the same type, name,
+ * size, modifyTime and accessTime properties as entries returned by list().
+ * Symbolic links are followed. Entries which are not regular files or
+ * directories are ignored, as are broken symbolic links and entries removed
+ * while the directory is being listed.
+ *
+ * @param {String} dirPath - path to local directory
+ * @returns {Array} directory entries
+ */
+function localList(dirPath) {
+  const entries = [];
+  for (const name of readdirSync(dirPath)) {
+    const stats = statSync(join(dirPath, name), { throwIfNoEntry: false });
+    if (stats?.isDirectory() || stats?.isFile()) {
+      entries.push({
+        type: stats.isDirectory() ? 'd' : '-',
+        name,
+        size: stats.size,
+        modifyTime: stats.mtimeMs,
+        accessTime: stats.atimeMs,
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Test if a string contains glob pattern characters.
+ *
+ * @param {String} str - string to test
+ * @returns {Boolean}
+ */
+function hasGlobMagic(str) {
+  return /[*?[{]/.test(str);
+}
+
+/**
+ * Convert a glob pattern to a regular expression. Supported syntax is '*'
+ * (any characters except '/'), '?' (any single character except '/'), '**'
+ * as a complete path segment (zero or more directories), character classes
+ * e.g. '[a-z]' or '[!0-9]' ('[^0-9]' is also accepted), alternatives e.g.
+ * '{csv,json}' and '\' to escape the next character. Wildcards do not match a leading '.' in a file name.
+ *
+ * @param {String} pattern - glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const noDot = i === 0 || pattern[i - 1] === '/' ? String.raw`(?!\.)` : '';
+    if (
+      c === '*' &&
+      pattern[i + 1] === '*' &&
+      noDot &&
+      (i + 2 === pattern.length || pattern[i + 2] === '/')
+    ) {
+      re +=
+        i + 2 === pattern.length
+          ? String.raw`(?:(?!\.)[^/]*(?:/(?!\.)[^/]*)*)?`
+          : String.raw`(?:(?!\.)[^/]*/)*`;
+      i += 2;
+    } else if (c === '*') {
+      re += `${noDot}[^/]*`;
+    } else if (c === '?') {
+      re += `${noDot}[^/]`;
+    } else if (c === '[' && pattern.includes(']', i + 2)) {
+      const end = pattern.indexOf(']', i + 2);
+      let cls = pattern.slice(i + 1, end);
+      const negate = cls.startsWith('!') || cls.startsWith('^');
+      if (negate) {
+        cls = cls.slice(1);
+      }
+      // only '-' keeps its meaning inside the class
+      cls = cls.replaceAll(/[$()*+./?[\\\]^{|}]/g, String.raw`\$&`);
+      re += negate ? `[^${cls}]` : `[${cls}]`;
+      i = end;
+    } else if (c === '{' && pattern.includes('}', i)) {
+      const end = pattern.indexOf('}', i);
+      const alts = pattern
+        .slice(i + 1, end)
+        .split(',')
+        .map((alt) => globToRegExp(alt).source.slice(1, -1));
+      re += `(?:${alts.join('|')})`;
+      i = end;
+    } else if (c === '\\' && i + 1 < pattern.length) {
+      i++;
+      re += pattern[i].replaceAll(/[$()*+.?[\\\]^{|}]/g, String.raw`\$&`);
+    } else {
+      re += c.replaceAll(/[$()*+.?[\\\]^{|}]/g, String.raw`\$&`);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Create a filter function from one or more glob patterns. Patterns starting
+ * with '!' are negated. A path is accepted if it matches at least one
+ * non-negated pattern (or there are no non-negated patterns) and does not
+ * match any negated pattern. Patterns are matched against the path relative to
+ * 'baseDir'. When 'isDir' is true, the filter decides whether a directory is
+ * descended into, so directories are accepted unless they match a negated
+ * pattern and recursive methods look for matching files inside them. The
+ * 'matches' property of the returned function tests whether a path, file or
+ * directory, matches the patterns and is used by methods which return or
+ * change directories as well as files.
+ *
+ * @param {String|Array} patterns - glob pattern or array of glob patterns
+ * @param {String} baseDir - (Optional) directory paths are relative to
+ * @returns {Function} filter function called with a path and an isDir boolean
+ */
+function globFilter(patterns, baseDir) {
+  const include = [];
+  const exclude = [];
+  for (const p of Array.isArray(patterns) ? patterns : [patterns]) {
+    if (p.startsWith('!')) {
+      exclude.push(globToRegExp(p.slice(1)));
+    } else {
+      include.push(globToRegExp(p));
+    }
+  }
+  // '/data' is not a base for '/data2/file'
+  const base = baseDir?.replace(/(?<=.)[/\\]+$/, '');
+  const relative = (filePath) => {
+    let relPath = filePath;
+    if (base && filePath.startsWith(base)) {
+      const rest = filePath.slice(base.length);
+      if (rest === '' || /^[/\\]/.test(rest) || /[/\\]$/.test(base)) {
+        relPath = rest.replace(/^[/\\]+/, '');
+      }
+    }
+    return relPath.replaceAll('\\', '/');
+  };
+  const filter = (filePath, isDir = false) => {
+    const relPath = relative(filePath);
+    if (exclude.some((re) => re.test(relPath))) {
+      return false;
+    }
+    return isDir || include.length === 0 || include.some((re) => re.test(relPath));
+  };
+  filter.matches = (filePath) => filter(filePath, false);
+  return filter;
+}
+
+/**
+ * Convert the filter option used by the directory methods into a filter
+ * function. The option can be a filter function, a glob pattern or an array
+ * of glob patterns. Glob patterns are matched against paths relative to
+ * 'baseDir'.
+ *
+ * @param {Function|String|Array} filter - filter option value
+ * @param {String} baseDir - directory being processed
+ * @returns {Function|undefined} filter function
+ */
+function pathFilter(filter, baseDir) {
+  if (!filter || typeof filter === 'function') {
+    return filter || undefined;
+  }
+  return globFilter(filter, baseDir);
+}
+
+/**
+ * Split a glob pattern into a base directory, which contains no glob
+ * characters, and the remaining pattern.
+ *
+ * @param {String} pattern - glob pattern
+ * @returns {Object} object with 'base' and 'pattern' properties
+ */
+function splitGlob(pattern) {
+  const segments = pattern.split('/');
+  let idx = segments.findIndex((s) => hasGlobMagic(s));
+  if (idx === -1) {
+    idx = segments.length - 1;
+  }
+  let base = segments.slice(0, idx).join('/');
+  if (base === '' && pattern.startsWith('/')) {
+    base = '/';
+  }
+  return { base: base || '.', pattern: segments.slice(idx).join('/') };
+}
+
 module.exports = {
   globalListener,
   errorListener,
@@ -365,4 +932,22 @@ module.exports = {
   haveConnection,
   sleep,
   partition,
+  mapLimit,
+  taskQueue,
+  createReport,
+  collectError,
+  createProgress,
+  verifyAlgorithm,
+  preserveAttrs,
+  methodOptions,
+  abortSignal,
+  isSymbolicMode,
+  resolveMode,
+  hashFile,
+  localList,
+  hasGlobMagic,
+  globToRegExp,
+  globFilter,
+  pathFilter,
+  splitGlob,
 };
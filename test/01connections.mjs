@@ -150,6 +150,23 @@ describe('01connection C: contest-7: Connect and disconnect', function () {
       }),
     ).to.be.rejectedWith(/An existing SFTP connection is already defined/);
   });
+
+  it('rejected connect does not change client settings', async function () {
+    const client = new Client('contest-8a');
+    const baseConfig = { ...config };
+    delete baseConfig.privateKey;
+    delete baseConfig.passphrase;
+    await client.connect(baseConfig);
+    try {
+      await expect(
+        client.connect({ ...config, reverseSymlinkArgs: true, bandwidthLimit: 1000 }),
+      ).to.be.rejectedWith(/An existing SFTP connection is already defined/);
+      expect(client.reverseSymlinkArgs).to.equal(undefined);
+      return expect(client.bandwidthLimiter.limit).to.equal(0);
+    } finally {
+      await client.end();
+    }
+  });
 });
 
 describe('01connection D: end test', function () {
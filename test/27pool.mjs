@@ -0,0 +1,122 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import SftpPool from '../src/pool.js';
+import { config } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+const baseConfig = { ...config };
+delete baseConfig.privateKey;
+delete baseConfig.passphrase;
+
+describe('27pool: SftpPool tests', function () {
+  let pool;
+
+  beforeEach('pool setup hook', async function () {
+    pool = new SftpPool(baseConfig, { name: 'test-pool', min: 1, max: 2 });
+    await pool.start();
+    return true;
+  });
+
+  afterEach('pool cleanup hook', async function () {
+    await pool.end();
+    return true;
+  });
+
+  it('start opens minimum connections', function () {
+    expect(pool.size).to.equal(1);
+    return expect(pool.available).to.equal(1);
+  });
+
+  it('acquire returns a connected client', async function () {
+    const client = await pool.acquire();
+    expect(client.sftp).to.be.an('object');
+    expect(pool.borrowed).to.equal(1);
+    pool.release(client);
+    return expect(pool.available).to.equal(1);
+  });
+
+  it('released client is reused', async function () {
+    const client1 = await pool.acquire();
+    pool.release(client1);
+    const client2 = await pool.acquire();
+    pool.release(client2);
+    return expect(client2).to.equal(client1);
+  });
+
+  it('withClient returns function result and releases client', async function () {
+    const cwd = await pool.withClient((client) => client.cwd());
+    expect(cwd).to.be.a('string');
+    return expect(pool.borrowed).to.equal(0);
+  });
+
+  it('acquire waits when pool is exhausted', async function () {
+    const client1 = await pool.acquire();
+    const client2 = await pool.acquire();
+    expect(pool.size).to.equal(2);
+    const p = pool.acquire();
+    expect(pool.waiting).to.equal(1);
+    pool.release(client1);
+    const client3 = await p;
+    expect(client3).to.equal(client1);
+    pool.release(client2);
+    return pool.release(client3);
+  });
+
+  it('acquire rejects after acquireTimeout', async function () {
+    const timeoutPool = new SftpPool(baseConfig, { max: 1, acquireTimeout: 100 });
+    const client = await timeoutPool.acquire();
+    try {
+      await expect(timeoutPool.acquire()).to.be.rejectedWith(/Timed out/);
+    } finally {
+      timeoutPool.release(client);
+      await timeoutPool.end();
+    }
+  });
+
+  it('timed out waiter does not lose the next waiter', async function () {
+    const timeoutPool = new SftpPool(baseConfig, { max: 1, acquireTimeout: 100 });
+    const client = await timeoutPool.acquire();
+    const create = timeoutPool._create.bind(timeoutPool);
+    timeoutPool._create = async () => {
+      const newClient = await create();
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      return newClient;
+    };
+    try {
+      const first = timeoutPool.acquire();
+      timeoutPool.acquireTimeout = 2000;
+      const second = timeoutPool.acquire();
+      // an unhealthy client is discarded, so a new one is created for 'first'
+      timeoutPool.evicted.add(client);
+      timeoutPool.release(client);
+      await expect(first).to.be.rejectedWith(/Timed out/);
+      const secondClient = await second;
+      expect(timeoutPool.borrowed).to.equal(1);
+      return timeoutPool.release(secondClient);
+    } finally {
+      await timeoutPool.end();
+    }
+  });
+
+  it('closed client is evicted from pool', async function () {
+    const client1 = await pool.acquire();
+    pool.release(client1);
+    client1.client.end();
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    const client2 = await pool.acquire();
+    expect(client2).to.not.equal(client1);
+    expect(client2.sftp).to.be.an('object');
+    return pool.release(client2);
+  });
+
+  it('release of unknown client throws', function () {
+    return expect(() => pool.release({ clientName: 'bogus' })).to.throw(/not leased/);
+  });
+
+  it('acquire after end is rejected', async function () {
+    await pool.end();
+    return expect(pool.acquire()).to.be.rejectedWith(/Pool has been ended/);
+  });
+});
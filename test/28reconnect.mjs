@@ -0,0 +1,92 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import Client from '../src/index.js';
+import { config, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+const baseConfig = { ...config };
+delete baseConfig.privateKey;
+delete baseConfig.passphrase;
+
+const dropConnection = (client) => {
+  return new Promise((resolve) => {
+    client.client.once('close', resolve);
+    client.client.end();
+  });
+};
+
+describe('28reconnect: autoReconnect tests', function () {
+  let sftp;
+
+  before('autoReconnect setup hook', async function () {
+    sftp = new Client('reconnect-test', { close: () => {}, end: () => {} });
+    await sftp.connect({
+      ...baseConfig,
+      autoReconnect: true,
+      retries: 2,
+      retry_minTimeout: 500,
+    });
+    await sftp.fastPut(
+      makeLocalPath(config.localUrl, 'test-file1.txt'),
+      `${config.sftpUrl}/reconnect-large.txt`,
+    );
+    return true;
+  });
+
+  after('autoReconnect cleanup hook', async function () {
+    await sftp.delete(`${config.sftpUrl}/reconnect-large.txt`, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('list succeeds after connection is dropped', async function () {
+    await dropConnection(sftp);
+    const listing = await sftp.list(config.sftpUrl);
+    expect(listing).to.be.an('array');
+    return expect(sftp.sftp).to.be.an('object');
+  });
+
+  it('get in flight when connection drops is retried', async function () {
+    const remotePath = `${config.sftpUrl}/reconnect-large.txt`;
+    const stats = await sftp.stat(remotePath);
+    const p = sftp.get(remotePath);
+    setTimeout(() => sftp.client.end(), 10);
+    const data = await p;
+    return expect(data.length).to.equal(stats.size);
+  });
+
+  it('exists and realPath retried after drop', async function () {
+    await dropConnection(sftp);
+    expect(await sftp.exists(config.sftpUrl)).to.equal('d');
+    return expect(await sftp.realPath(config.sftpUrl)).to.be.a('string');
+  });
+
+  it('non-idempotent methods work once reconnected', async function () {
+    await dropConnection(sftp);
+    await sftp.cwd();
+    const remotePath = `${config.sftpUrl}/reconnect-put.txt`;
+    await sftp.put(Buffer.from('reconnect test'), remotePath);
+    expect(await sftp.get(remotePath)).to.deep.equal(Buffer.from('reconnect test'));
+    return sftp.delete(remotePath);
+  });
+
+  it('no reconnect after end() called', async function () {
+    const client = new Client('no-reconnect', { close: () => {}, end: () => {} });
+    await client.connect({ ...baseConfig, autoReconnect: true });
+    await client.end();
+    return expect(client.list(config.sftpUrl)).to.be.rejectedWith(
+      /No SFTP connection available/,
+    );
+  });
+
+  it('no reconnect without autoReconnect option', async function () {
+    const client = new Client('no-reconnect', { close: () => {}, end: () => {} });
+    await client.connect(baseConfig);
+    await dropConnection(client);
+    return expect(client.list(config.sftpUrl)).to.be.rejectedWith(
+      /No SFTP connection available/,
+    );
+  });
+});
@@ -0,0 +1,80 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { readFileSync, writeFileSync, unlinkSync, statSync } from 'node:fs';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('29resume-get: resumable get() and fastGet() tests', function () {
+  let sftp, remotePath, srcData;
+
+  before('resume get setup hook', async function () {
+    sftp = await getConnection();
+    const srcPath = makeLocalPath(config.localUrl, 'test-file1.txt');
+    srcData = readFileSync(srcPath);
+    remotePath = `${config.sftpUrl}/resume-get.txt`;
+    await sftp.fastPut(srcPath, remotePath);
+    return true;
+  });
+
+  after('resume get cleanup hook', async function () {
+    await sftp.delete(remotePath, true);
+    for (const f of ['resume-get1.txt', 'resume-get2.txt', 'resume-get3.txt']) {
+      try {
+        unlinkSync(makeLocalPath(config.localUrl, f));
+      } catch {
+        // ignore missing files
+      }
+    }
+    await sftp.end();
+    return true;
+  });
+
+  it('get resumes a partial download', async function () {
+    const localPath = makeLocalPath(config.localUrl, 'resume-get1.txt');
+    writeFileSync(localPath, srcData.subarray(0, 1000));
+    const result = await sftp.get(remotePath, localPath, { resume: true });
+    expect(result).to.equal(localPath);
+    return expect(readFileSync(localPath).equals(srcData)).to.equal(true);
+  });
+
+  it('get resume of complete file is a no-op', async function () {
+    const localPath = makeLocalPath(config.localUrl, 'resume-get1.txt');
+    const { mtimeMs } = statSync(localPath);
+    await sftp.get(remotePath, localPath, { resume: true });
+    expect(statSync(localPath).mtimeMs).to.equal(mtimeMs);
+    return expect(readFileSync(localPath).equals(srcData)).to.equal(true);
+  });
+
+  it('get resume restarts when local file is larger', async function () {
+    const localPath = makeLocalPath(config.localUrl, 'resume-get2.txt');
+    writeFileSync(localPath, Buffer.concat([srcData, Buffer.from('extra data')]));
+    await sftp.get(remotePath, localPath, { resume: true });
+    return expect(readFileSync(localPath).equals(srcData)).to.equal(true);
+  });
+
+  it('fastGet resumes a partial download', async function () {
+    const localPath = makeLocalPath(config.localUrl, 'resume-get3.txt');
+    writeFileSync(localPath, srcData.subarray(0, 5000));
+    await sftp.fastGet(remotePath, localPath, { resume: true });
+    return expect(readFileSync(localPath).equals(srcData)).to.equal(true);
+  });
+
+  it('fastGet resume with no local file downloads whole file', async function () {
+    const localPath = makeLocalPath(config.localUrl, 'resume-get3.txt');
+    unlinkSync(localPath);
+    await sftp.fastGet(remotePath, localPath, { resume: true });
+    return expect(readFileSync(localPath).equals(srcData)).to.equal(true);
+  });
+
+  it('get resume of non-existent remote file is rejected', function () {
+    return expect(
+      sftp.get(
+        `${config.sftpUrl}/resume-not-exist.txt`,
+        makeLocalPath(config.localUrl, 'resume-get1.txt'),
+        { resume: true },
+      ),
+    ).to.be.rejectedWith(/No such file/);
+  });
+});
@@ -0,0 +1,73 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { readFileSync } from 'node:fs';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('30resume-put: resumable put() and fastPut() tests', function () {
+  let sftp, srcPath, srcData;
+
+  before('resume put setup hook', async function () {
+    sftp = await getConnection();
+    srcPath = makeLocalPath(config.localUrl, 'test-file1.txt');
+    srcData = readFileSync(srcPath);
+    return true;
+  });
+
+  after('resume put cleanup hook', async function () {
+    for (const f of ['resume-put1.txt', 'resume-put2.txt', 'resume-put3.txt']) {
+      await sftp.delete(`${config.sftpUrl}/${f}`, true);
+    }
+    await sftp.end();
+    return true;
+  });
+
+  it('put resumes a partial upload', async function () {
+    const remotePath = `${config.sftpUrl}/resume-put1.txt`;
+    await sftp.put(srcData.subarray(0, 1000), remotePath);
+    await sftp.put(srcPath, remotePath, { resume: true });
+    const data = await sftp.get(remotePath);
+    return expect(data.equals(srcData)).to.equal(true);
+  });
+
+  it('put resume of complete file is a no-op', async function () {
+    const remotePath = `${config.sftpUrl}/resume-put1.txt`;
+    const { modifyTime } = await sftp.stat(remotePath);
+    await sftp.put(srcPath, remotePath, { resume: true });
+    const stats = await sftp.stat(remotePath);
+    expect(stats.size).to.equal(srcData.length);
+    return expect(stats.modifyTime).to.equal(modifyTime);
+  });
+
+  it('put resume restarts when remote file is larger', async function () {
+    const remotePath = `${config.sftpUrl}/resume-put2.txt`;
+    await sftp.put(Buffer.concat([srcData, Buffer.from('extra data')]), remotePath);
+    await sftp.put(srcPath, remotePath, { resume: true });
+    const data = await sftp.get(remotePath);
+    return expect(data.equals(srcData)).to.equal(true);
+  });
+
+  it('fastPut resumes a partial upload', async function () {
+    const remotePath = `${config.sftpUrl}/resume-put3.txt`;
+    await sftp.put(srcData.subarray(0, 5000), remotePath);
+    await sftp.fastPut(srcPath, remotePath, { resume: true });
+    const data = await sftp.get(remotePath);
+    return expect(data.equals(srcData)).to.equal(true);
+  });
+
+  it('fastPut resume with no remote file uploads whole file', async function () {
+    const remotePath = `${config.sftpUrl}/resume-put3.txt`;
+    await sftp.delete(remotePath);
+    await sftp.fastPut(srcPath, remotePath, { resume: true });
+    const data = await sftp.get(remotePath);
+    return expect(data.equals(srcData)).to.equal(true);
+  });
+
+  it('put resume to a directory is rejected', function () {
+    return expect(sftp.put(srcPath, config.sftpUrl, { resume: true })).to.be.rejectedWith(
+      /not a regular file/,
+    );
+  });
+});
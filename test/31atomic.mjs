@@ -0,0 +1,144 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { Readable } from 'node:stream';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('31atomic: atomic upload tests', function () {
+  let sftp, remoteDir, localDir;
+
+  const remoteNames = async () => {
+    const listing = await sftp.list(remoteDir);
+    return listing.map((e) => e.name).sort();
+  };
+
+  before('atomic upload setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/atomic-dir`;
+    await sftp.mkdir(remoteDir, true);
+    localDir = makeLocalPath(config.localUrl, 'atomic-src');
+    mkdirSync(localDir, { recursive: true });
+    writeFileSync(makeLocalPath(localDir, 'file1.txt'), 'atomic file 1');
+    writeFileSync(makeLocalPath(localDir, 'file2.txt'), 'atomic file 2');
+    return true;
+  });
+
+  after('atomic upload cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('put atomic creates file without leaving temp file', async function () {
+    const remotePath = `${remoteDir}/atomic-put.txt`;
+    await sftp.put(Buffer.from('atomic data'), remotePath, { atomic: true });
+    expect(await sftp.get(remotePath)).to.deep.equal(Buffer.from('atomic data'));
+    return expect(await remoteNames()).to.deep.equal(['atomic-put.txt']);
+  });
+
+  it('put atomic replaces existing file', async function () {
+    const remotePath = `${remoteDir}/atomic-put.txt`;
+    await sftp.put(Buffer.from('new atomic data'), remotePath, { atomic: true });
+    expect(await sftp.get(remotePath)).to.deep.equal(Buffer.from('new atomic data'));
+    return expect(await remoteNames()).to.deep.equal(['atomic-put.txt']);
+  });
+
+  it('put atomic without posix-rename replaces existing file', async function () {
+    const remotePath = `${remoteDir}/atomic-put.txt`;
+    const ext = sftp.capabilities.extensions['posix-rename@openssh.com'];
+    delete sftp.capabilities.extensions['posix-rename@openssh.com'];
+    try {
+      await sftp.put(Buffer.from('fallback data'), remotePath, { atomic: true });
+    } finally {
+      if (ext) {
+        sftp.capabilities.extensions['posix-rename@openssh.com'] = ext;
+      }
+    }
+    expect(await sftp.get(remotePath)).to.deep.equal(Buffer.from('fallback data'));
+    return expect(await remoteNames()).to.deep.equal(['atomic-put.txt']);
+  });
+
+  it('fastPut atomic with custom temp name', async function () {
+    const remotePath = `${remoteDir}/atomic-fastput.txt`;
+    const fastPut = sftp._fastPut;
+    let tmpPath;
+    sftp._fastPut = (lPath, rPath, ...args) => {
+      tmpPath = rPath;
+      return fastPut.call(sftp, lPath, rPath, ...args);
+    };
+    try {
+      await sftp.fastPut(makeLocalPath(localDir, 'file1.txt'), remotePath, {
+        atomic: { prefix: '~', suffix: '.partial' },
+      });
+    } finally {
+      sftp._fastPut = fastPut;
+    }
+    expect(tmpPath).to.match(/\/~atomic-fastput\.txt\.\d+-[\da-f]{8}\.partial$/);
+    expect(await sftp.get(remotePath)).to.deep.equal(Buffer.from('atomic file 1'));
+    await sftp.delete(remotePath);
+    return expect(await remoteNames()).to.deep.equal(['atomic-put.txt']);
+  });
+
+  it('concurrent atomic puts use different temp files', async function () {
+    const remotePath = `${remoteDir}/atomic-put.txt`;
+    const put = sftp._put;
+    const tmpPaths = [];
+    sftp._put = (src, rPath, ...args) => {
+      tmpPaths.push(rPath);
+      return put.call(sftp, src, rPath, ...args);
+    };
+    try {
+      await Promise.all([
+        sftp.put(Buffer.from('first writer'), remotePath, { atomic: true }),
+        sftp.put(Buffer.from('second writer'), remotePath, { atomic: true }),
+      ]);
+    } finally {
+      sftp._put = put;
+    }
+    expect(new Set(tmpPaths).size).to.equal(2);
+    expect((await sftp.get(remotePath)).toString()).to.be.oneOf([
+      'first writer',
+      'second writer',
+    ]);
+    return expect(await remoteNames()).to.deep.equal(['atomic-put.txt']);
+  });
+
+  it('failed atomic put removes temp file', async function () {
+    const remotePath = `${remoteDir}/atomic-fail.txt`;
+    const src = new Readable({
+      read() {
+        this.push('partial data');
+        this.destroy(new Error('source failed'));
+      },
+    });
+    await expect(sftp.put(src, remotePath, { atomic: true })).to.be.rejectedWith(
+      /source failed/,
+    );
+    return expect(await remoteNames()).to.deep.equal(['atomic-put.txt']);
+  });
+
+  it('atomic with resume is rejected', async function () {
+    const remotePath = `${remoteDir}/atomic-resume.txt`;
+    const src = `${localDir}/file1.txt`;
+    const opts = { atomic: true, resume: true };
+    await expect(sftp.put(src, remotePath, opts)).to.be.rejectedWith(/cannot be used/);
+    await expect(sftp.fastPut(src, remotePath, opts)).to.be.rejectedWith(
+      /cannot be used/,
+    );
+    return expect(await remoteNames()).to.deep.equal(['atomic-put.txt']);
+  });
+
+  it('uploadDir atomic uploads all files', async function () {
+    const dst = `${remoteDir}/upload`;
+    await sftp.uploadDir(localDir, dst, { atomic: true });
+    const listing = await sftp.list(dst);
+    return expect(listing.map((e) => e.name).sort()).to.deep.equal([
+      'file1.txt',
+      'file2.txt',
+    ]);
+  });
+});
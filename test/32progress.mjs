@@ -0,0 +1,154 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { mkdirSync, writeFileSync, rmSync, statSync } from 'node:fs';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('32progress: transfer progress tests', function () {
+  let sftp, remoteDir, localDir, srcPath, srcSize;
+
+  const collect = () => {
+    const events = [];
+    const onProgress = (p) => events.push(p);
+    return { events, onProgress };
+  };
+
+  before('progress setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/progress-dir`;
+    await sftp.mkdir(remoteDir, true);
+    localDir = makeLocalPath(config.localUrl, 'progress-src');
+    mkdirSync(makeLocalPath(localDir, 'sub'), { recursive: true });
+    writeFileSync(makeLocalPath(localDir, 'file1.txt'), 'a'.repeat(1000));
+    writeFileSync(makeLocalPath(localDir, 'sub', 'file2.txt'), 'b'.repeat(2000));
+    srcPath = makeLocalPath(config.localUrl, 'test-file1.txt');
+    srcSize = statSync(srcPath).size;
+    return true;
+  });
+
+  after('progress cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    rmSync(makeLocalPath(config.localUrl, 'progress-download'), {
+      recursive: true,
+      force: true,
+    });
+    rmSync(makeLocalPath(config.localUrl, 'progress-fastget.txt'), { force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('put reports progress', async function () {
+    const { events, onProgress } = collect();
+    const remotePath = `${remoteDir}/progress-put.txt`;
+    await sftp.put(srcPath, remotePath, { onProgress });
+    const last = events.at(-1);
+    expect(events.length).to.be.greaterThan(1);
+    return expect(last).to.deep.equal({
+      operation: 'put',
+      source: srcPath,
+      destination: remotePath,
+      bytesTransferred: srcSize,
+      totalBytes: srcSize,
+      filesDone: 1,
+      filesTotal: 1,
+    });
+  });
+
+  it('get reports progress', async function () {
+    const { events, onProgress } = collect();
+    const remotePath = `${remoteDir}/progress-put.txt`;
+    const data = await sftp.get(remotePath, undefined, { onProgress });
+    const last = events.at(-1);
+    expect(data.length).to.equal(srcSize);
+    expect(last).to.include({
+      operation: 'get',
+      destination: '<buffer>',
+      bytesTransferred: srcSize,
+      totalBytes: srcSize,
+      filesDone: 1,
+    });
+    const counts = events.map((e) => e.bytesTransferred);
+    return expect(counts).to.deep.equal([...counts].sort((a, b) => a - b));
+  });
+
+  it('fastPut and fastGet report progress', async function () {
+    const remotePath = `${remoteDir}/progress-fastput.txt`;
+    const localPath = makeLocalPath(config.localUrl, 'progress-fastget.txt');
+    const put = collect();
+    await sftp.fastPut(srcPath, remotePath, { onProgress: put.onProgress });
+    expect(put.events.at(-1)).to.include({
+      operation: 'fastPut',
+      bytesTransferred: srcSize,
+      totalBytes: srcSize,
+      filesDone: 1,
+    });
+    const get = collect();
+    await sftp.fastGet(remotePath, localPath, { onProgress: get.onProgress });
+    return expect(get.events.at(-1)).to.include({
+      operation: 'fastGet',
+      bytesTransferred: srcSize,
+      totalBytes: srcSize,
+      filesDone: 1,
+    });
+  });
+
+  it('append reports progress', async function () {
+    const { events, onProgress } = collect();
+    await sftp.append(Buffer.from('appended'), `${remoteDir}/progress-put.txt`, {
+      onProgress,
+    });
+    return expect(events.at(-1)).to.include({
+      operation: 'append',
+      source: '<buffer>',
+      bytesTransferred: 8,
+      totalBytes: 8,
+      filesDone: 1,
+    });
+  });
+
+  it('uploadDir reports aggregate progress', async function () {
+    const { events, onProgress } = collect();
+    await sftp.uploadDir(localDir, `${remoteDir}/upload`, { onProgress });
+    expect(events.every((e) => e.operation === 'uploadDir')).to.equal(true);
+    return expect(events.at(-1)).to.include({
+      bytesTransferred: 3000,
+      totalBytes: 3000,
+      filesDone: 2,
+      filesTotal: 2,
+    });
+  });
+
+  it('downloadDir reports aggregate progress', async function () {
+    const { events, onProgress } = collect();
+    await sftp.downloadDir(
+      `${remoteDir}/upload`,
+      makeLocalPath(config.localUrl, 'progress-download'),
+      { onProgress },
+    );
+    expect(events.every((e) => e.operation === 'downloadDir')).to.equal(true);
+    return expect(events.at(-1)).to.include({
+      bytesTransferred: 3000,
+      totalBytes: 3000,
+      filesDone: 2,
+      filesTotal: 2,
+    });
+  });
+
+  it('downloadDir progress respects filter', async function () {
+    const { events, onProgress } = collect();
+    await sftp.downloadDir(
+      `${remoteDir}/upload`,
+      makeLocalPath(config.localUrl, 'progress-download'),
+      { onProgress, filter: (p, isDir) => isDir || p.endsWith('file1.txt') },
+    );
+    return expect(events.at(-1)).to.include({
+      bytesTransferred: 1000,
+      totalBytes: 1000,
+      filesDone: 1,
+      filesTotal: 1,
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import Client from '../src/index.js';
+import MockSftpServer from '../src/mock-server.js';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('33verify: checksum verification tests', function () {
+  let sftp, remoteDir, localDir, srcPath;
+
+  const withBadRemoteHash = async (fn) => {
+    const remoteHash = sftp._remoteHash;
+    sftp._remoteHash = async () => 'bad-hash';
+    try {
+      return await fn();
+    } finally {
+      sftp._remoteHash = remoteHash;
+    }
+  };
+
+  before('verify setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/verify-dir`;
+    await sftp.mkdir(remoteDir, true);
+    localDir = makeLocalPath(config.localUrl, 'verify-src');
+    mkdirSync(localDir, { recursive: true });
+    writeFileSync(makeLocalPath(localDir, 'file1.txt'), 'verify file 1');
+    writeFileSync(makeLocalPath(localDir, 'file2.txt'), 'verify file 2');
+    srcPath = makeLocalPath(config.localUrl, 'test-file1.txt');
+    return true;
+  });
+
+  after('verify cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    rmSync(makeLocalPath(config.localUrl, 'verify-download'), {
+      recursive: true,
+      force: true,
+    });
+    rmSync(makeLocalPath(config.localUrl, 'verify-get.txt'), { force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('put and get with verify', async function () {
+    const remotePath = `${remoteDir}/verify-put.txt`;
+    const localPath = makeLocalPath(config.localUrl, 'verify-get.txt');
+    await sftp.put(srcPath, remotePath, { verify: true });
+    expect(await sftp.get(remotePath, localPath, { verify: true })).to.equal(localPath);
+    const data = await sftp.get(remotePath, undefined, { verify: 'md5' });
+    return expect(data).to.be.instanceOf(Buffer);
+  });
+
+  it('put buffer with verify', async function () {
+    const remotePath = `${remoteDir}/verify-buffer.txt`;
+    return expect(
+      sftp.put(Buffer.from('verify buffer'), remotePath, { verify: 'sha1' }),
+    ).to.eventually.equal(`Uploaded data stream to ${remotePath}`);
+  });
+
+  it('fastPut and fastGet with verify', async function () {
+    const remotePath = `${remoteDir}/verify-fastput.txt`;
+    const localPath = makeLocalPath(config.localUrl, 'verify-get.txt');
+    await sftp.fastPut(srcPath, remotePath, { verify: true });
+    return expect(
+      sftp.fastGet(remotePath, localPath, { verify: true }),
+    ).to.eventually.match(/successfully download/);
+  });
+
+  it('put checksum mismatch is rejected', function () {
+    return withBadRemoteHash(() =>
+      expect(
+        sftp.put(srcPath, `${remoteDir}/verify-bad.txt`, { verify: true }),
+      ).to.be.rejected.and.eventually.have.property('code', 'ERR_CHECKSUM_MISMATCH'),
+    );
+  });
+
+  it('get checksum mismatch is rejected', function () {
+    return withBadRemoteHash(() =>
+      expect(
+        sftp.get(`${remoteDir}/verify-put.txt`, undefined, { verify: true }),
+      ).to.be.rejectedWith(/Checksum mismatch/),
+    );
+  });
+
+  it('atomic put checksum mismatch leaves no remote file', async function () {
+    const remotePath = `${remoteDir}/verify-atomic.txt`;
+    await withBadRemoteHash(() =>
+      expect(
+        sftp.put(srcPath, remotePath, { verify: true, atomic: true }),
+      ).to.be.rejectedWith(/Checksum mismatch/),
+    );
+    expect(await sftp.exists(remotePath)).to.equal(false);
+    return expect(await sftp.exists(`${remoteDir}/.verify-atomic.txt.tmp`)).to.equal(
+      false,
+    );
+  });
+
+  it('uploadDir and downloadDir with verify', async function () {
+    const dst = `${remoteDir}/upload`;
+    await sftp.uploadDir(localDir, dst, { verify: true });
+    await sftp.uploadDir(localDir, dst, { verify: true, useFastput: true });
+    const localDst = makeLocalPath(config.localUrl, 'verify-download');
+    await sftp.downloadDir(dst, localDst, { verify: true });
+    return expect(
+      sftp.downloadDir(dst, localDst, { verify: true, useFastget: true }),
+    ).to.eventually.match(/downloaded to/);
+  });
+
+  it('downloadDir checksum mismatch is rejected', function () {
+    return withBadRemoteHash(() =>
+      expect(
+        sftp.downloadDir(
+          `${remoteDir}/upload`,
+          makeLocalPath(config.localUrl, 'verify-download'),
+          { verify: true },
+        ),
+      ).to.be.rejectedWith(/Checksum mismatch/),
+    );
+  });
+});
+
+describe('33verify: server side hash tests', function () {
+  let server, sftp, readHashes;
+  const data = Buffer.from('server side hash data');
+  const digest = (algorithm) => createHash(algorithm).update(data).digest('hex');
+
+  before('server hash setup hook', async function () {
+    server = new MockSftpServer({
+      extensions: { 'check-file': 'md5,sha1,sha256', 'md5-hash': '1' },
+    });
+    sftp = new Client('server-hash');
+    await sftp.connect(await server.start());
+    await sftp.put(data, '/data.txt');
+    const readHash = sftp._readHash.bind(sftp);
+    sftp._readHash = (...args) => {
+      readHashes++;
+      return readHash(...args);
+    };
+    return true;
+  });
+
+  beforeEach('reset counter hook', function () {
+    readHashes = 0;
+  });
+
+  afterEach('clear faults hook', function () {
+    server.clearFaults();
+  });
+
+  after('server hash cleanup hook', async function () {
+    await sftp.end();
+    await server.stop();
+    return true;
+  });
+
+  it('check-file extension calculates the hash', async function () {
+    expect(await sftp._remoteHash('/data.txt', 'sha256')).to.equal(digest('sha256'));
+    await sftp.put(data, '/verified.txt', { verify: true });
+    return expect(readHashes).to.equal(0);
+  });
+
+  it('md5-hash extension calculates md5 hashes', async function () {
+    server.injectFault({ op: 'extended', type: 'error', path: 'check-file' });
+    expect(await sftp._remoteHash('/data.txt', 'md5')).to.equal(digest('md5'));
+    return expect(readHashes).to.equal(0);
+  });
+
+  it('unsupported algorithm falls back to reading the file', async function () {
+    expect(await sftp._remoteHash('/data.txt', 'sha512')).to.equal(digest('sha512'));
+    return expect(readHashes).to.equal(1);
+  });
+
+  it('failed extension request falls back to reading the file', async function () {
+    server.injectFault({ op: 'extended', type: 'error', path: 'check-file' });
+    await sftp.get('/data.txt', undefined, { verify: true });
+    return expect(readHashes).to.equal(1);
+  });
+
+  it('end closes the extended request channel', async function () {
+    const client = new Client('server-hash-end');
+    await client.connect(server.config());
+    await client.put(data, '/closed.txt', { verify: true });
+    const channel = await client.extendedChannel;
+    expect(channel.closed).to.equal(false);
+    await client.end();
+    expect(client.extendedChannel).to.equal(undefined);
+    return expect(channel.closed).to.equal(true);
+  });
+
+  it('no extended request channel without hash extensions', async function () {
+    const plain = new MockSftpServer();
+    const client = new Client('server-hash-plain');
+    try {
+      await client.connect(await plain.start());
+      await client.put(data, '/plain.txt', { verify: true });
+      return expect(client.extendedChannel).to.equal(undefined);
+    } finally {
+      await client.end();
+      await plain.stop();
+    }
+  });
+});
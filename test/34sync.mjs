@@ -0,0 +1,170 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import {
+  mkdirSync,
+  writeFileSync,
+  rmSync,
+  statSync,
+  existsSync,
+  symlinkSync,
+} from 'node:fs';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('34sync: syncUp() and syncDown() tests', function () {
+  let sftp, remoteDir, localDir, downDir;
+
+  const transfers = (plan) => plan.transfer.map((t) => [t.destination, t.reason]);
+
+  before('sync setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/sync-dir`;
+    localDir = makeLocalPath(config.localUrl, 'sync-src');
+    downDir = makeLocalPath(config.localUrl, 'sync-down');
+    mkdirSync(makeLocalPath(localDir, 'sub'), { recursive: true });
+    writeFileSync(makeLocalPath(localDir, 'a.txt'), 'sync file a');
+    writeFileSync(makeLocalPath(localDir, 'sub', 'b.txt'), 'sync file b');
+    return true;
+  });
+
+  after('sync cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    rmSync(downDir, { recursive: true, force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('syncUp dry run returns plan without changes', async function () {
+    const plan = await sftp.syncUp(localDir, remoteDir, { dryRun: true });
+    expect(plan.mkdir).to.deep.equal([remoteDir, `${remoteDir}/sub`]);
+    expect(transfers(plan)).to.have.deep.members([
+      [`${remoteDir}/a.txt`, 'new'],
+      [`${remoteDir}/sub/b.txt`, 'new'],
+    ]);
+    return expect(await sftp.exists(remoteDir)).to.equal(false);
+  });
+
+  it('syncUp uploads new files and preserves mtime', async function () {
+    const plan = await sftp.syncUp(localDir, remoteDir);
+    expect(plan.transfer.length).to.equal(2);
+    const stats = await sftp.stat(`${remoteDir}/sub/b.txt`);
+    const localStats = statSync(makeLocalPath(localDir, 'sub', 'b.txt'));
+    return expect(stats.modifyTime / 1000).to.equal(
+      Math.floor(localStats.mtimeMs / 1000),
+    );
+  });
+
+  it('syncUp skips unchanged files', async function () {
+    const plan = await sftp.syncUp(localDir, remoteDir);
+    expect(plan.mkdir).to.deep.equal([]);
+    return expect(plan.transfer).to.deep.equal([]);
+  });
+
+  it('syncUp uploads changed files only', async function () {
+    writeFileSync(makeLocalPath(localDir, 'a.txt'), 'sync file a changed');
+    const plan = await sftp.syncUp(localDir, remoteDir);
+    expect(transfers(plan)).to.deep.equal([[`${remoteDir}/a.txt`, 'changed']]);
+    const data = await sftp.get(`${remoteDir}/a.txt`);
+    return expect(data.toString()).to.equal('sync file a changed');
+  });
+
+  it('syncUp deletes extraneous files only when requested', async function () {
+    await sftp.put(Buffer.from('extra'), `${remoteDir}/extra.txt`);
+    let plan = await sftp.syncUp(localDir, remoteDir);
+    expect(plan.delete).to.deep.equal([]);
+    expect(await sftp.exists(`${remoteDir}/extra.txt`)).to.equal('-');
+    plan = await sftp.syncUp(localDir, remoteDir, { delete: true });
+    expect(plan.delete).to.deep.equal([{ path: `${remoteDir}/extra.txt`, type: '-' }]);
+    return expect(await sftp.exists(`${remoteDir}/extra.txt`)).to.equal(false);
+  });
+
+  it('syncUp filter excludes files', async function () {
+    writeFileSync(makeLocalPath(localDir, 'skip.log'), 'skip me');
+    const plan = await sftp.syncUp(localDir, remoteDir, {
+      filter: (p) => !p.endsWith('.log'),
+    });
+    expect(plan.transfer).to.deep.equal([]);
+    rmSync(makeLocalPath(localDir, 'skip.log'));
+    return expect(await sftp.exists(`${remoteDir}/skip.log`)).to.equal(false);
+  });
+
+  it('syncUp delete keeps files excluded by filter', async function () {
+    const logDir = makeLocalPath(localDir, 'logs-only');
+    mkdirSync(logDir);
+    writeFileSync(makeLocalPath(logDir, 'new.log'), 'filtered');
+    await sftp.mkdir(`${remoteDir}/logs`);
+    await sftp.put(Buffer.from('keep'), `${remoteDir}/keep.log`);
+    await sftp.put(Buffer.from('keep'), `${remoteDir}/logs/old.log`);
+    await sftp.put(Buffer.from('gone'), `${remoteDir}/logs/old.txt`);
+    await sftp.put(Buffer.from('gone'), `${remoteDir}/gone.txt`);
+    try {
+      const plan = await sftp.syncUp(localDir, remoteDir, {
+        filter: (p) => !p.endsWith('.log'),
+        delete: true,
+      });
+      expect(plan.delete).to.have.deep.members([
+        { path: `${remoteDir}/gone.txt`, type: '-' },
+        { path: `${remoteDir}/logs/old.txt`, type: '-' },
+      ]);
+      expect(plan.mkdir).to.deep.equal([]);
+      expect(await sftp.exists(`${remoteDir}/keep.log`)).to.equal('-');
+      expect(await sftp.exists(`${remoteDir}/logs/old.log`)).to.equal('-');
+      expect(await sftp.exists(`${remoteDir}/logs/old.txt`)).to.equal(false);
+      return expect(await sftp.exists(`${remoteDir}/logs-only`)).to.equal(false);
+    } finally {
+      rmSync(logDir, { recursive: true });
+      await sftp.rmdir(`${remoteDir}/logs`, true);
+      await sftp.delete(`${remoteDir}/keep.log`);
+    }
+  });
+
+  it('syncUp ignores broken symbolic links', async function () {
+    const link = makeLocalPath(localDir, 'broken-link');
+    symlinkSync(makeLocalPath(localDir, 'no-such-file'), link);
+    try {
+      const plan = await sftp.syncUp(localDir, remoteDir, { dryRun: true });
+      return expect(plan.transfer).to.deep.equal([]);
+    } finally {
+      rmSync(link);
+    }
+  });
+
+  it('syncDown downloads tree and preserves mtime', async function () {
+    const plan = await sftp.syncDown(remoteDir, downDir);
+    expect(plan.mkdir).to.deep.equal([downDir, makeLocalPath(downDir, 'sub')]);
+    expect(plan.transfer.length).to.equal(2);
+    const stats = await sftp.stat(`${remoteDir}/a.txt`);
+    const localStats = statSync(makeLocalPath(downDir, 'a.txt'));
+    expect(localStats.mtimeMs).to.equal(stats.modifyTime);
+    const again = await sftp.syncDown(remoteDir, downDir);
+    return expect(again.transfer).to.deep.equal([]);
+  });
+
+  it('syncDown downloads changed files and deletes extraneous files', async function () {
+    await sftp.put(Buffer.from('remote change'), `${remoteDir}/sub/b.txt`);
+    mkdirSync(makeLocalPath(downDir, 'extra-dir'));
+    const plan = await sftp.syncDown(remoteDir, downDir, { delete: true });
+    expect(transfers(plan)).to.deep.equal([
+      [makeLocalPath(downDir, 'sub', 'b.txt'), 'changed'],
+    ]);
+    expect(plan.delete).to.deep.equal([
+      { path: makeLocalPath(downDir, 'extra-dir'), type: 'd' },
+    ]);
+    return expect(existsSync(makeLocalPath(downDir, 'extra-dir'))).to.equal(false);
+  });
+
+  it('syncUp with non-directory local path is rejected', function () {
+    return expect(
+      sftp.syncUp(makeLocalPath(localDir, 'a.txt'), remoteDir),
+    ).to.be.rejectedWith(/not a directory/);
+  });
+
+  it('syncDown with non-existent remote directory is rejected', function () {
+    return expect(
+      sftp.syncDown(`${config.sftpUrl}/sync-not-exist`, downDir),
+    ).to.be.rejectedWith(/not a directory/);
+  });
+});
@@ -0,0 +1,186 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { mkdirSync, writeFileSync, rmSync, readdirSync } from 'node:fs';
+import { globFilter, globToRegExp } from '../src/utils.js';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('35glob: glob pattern tests', function () {
+  let sftp, remoteDir, localDir, downDir;
+
+  const files = [
+    'a.csv',
+    'b.csv',
+    'c.txt',
+    '.hidden.csv',
+    '2024-01/x.json',
+    '2024-01/y.txt',
+    'sub/old.csv',
+    'sub/2024-02/z.json',
+  ];
+
+  const relPaths = (entries) =>
+    entries.map((e) => e.path.slice(remoteDir.length + 1)).sort();
+
+  before('glob setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/glob-dir`;
+    localDir = makeLocalPath(config.localUrl, 'glob-src');
+    downDir = makeLocalPath(config.localUrl, 'glob-down');
+    for (const f of files) {
+      const localPath = makeLocalPath(localDir, ...f.split('/'));
+      mkdirSync(makeLocalPath(localPath, '..'), { recursive: true });
+      writeFileSync(localPath, `glob file ${f}`);
+    }
+    return true;
+  });
+
+  after('glob cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    rmSync(downDir, { recursive: true, force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('uploadDir with glob filter and negation', async function () {
+    await sftp.uploadDir(localDir, `${remoteDir}/partial`, {
+      filter: ['**/*.csv', '!sub/**'],
+    });
+    const listing = await sftp.list(`${remoteDir}/partial`);
+    return expect(listing.map((e) => e.name).sort()).to.deep.equal([
+      '2024-01',
+      'a.csv',
+      'b.csv',
+      'sub',
+    ]);
+  });
+
+  it('uploadDir with no filter uploads all files', async function () {
+    await sftp.uploadDir(localDir, remoteDir);
+    return expect(await sftp.exists(`${remoteDir}/sub/2024-02/z.json`)).to.equal('-');
+  });
+
+  it('list with glob pattern', async function () {
+    const listing = await sftp.list(remoteDir, '*.csv');
+    return expect(listing.map((e) => e.name).sort()).to.deep.equal(['a.csv', 'b.csv']);
+  });
+
+  it('list with array of glob patterns', async function () {
+    const listing = await sftp.list(remoteDir, ['*.{csv,txt}', '!b*']);
+    return expect(listing.map((e) => e.name).sort()).to.deep.equal(['a.csv', 'c.txt']);
+  });
+
+  it('glob matches files in base directory', async function () {
+    const entries = await sftp.glob(`${remoteDir}/*.csv`);
+    expect(entries[0]).to.include.keys('type', 'name', 'size', 'path');
+    return expect(relPaths(entries)).to.deep.equal(['a.csv', 'b.csv']);
+  });
+
+  it('glob with ** matches nested directories', async function () {
+    const entries = await sftp.glob(`${remoteDir}/**/2024-*/*.json`);
+    return expect(relPaths(entries)).to.deep.equal([
+      '2024-01/x.json',
+      'sub/2024-02/z.json',
+    ]);
+  });
+
+  it('glob with negated pattern', async function () {
+    const entries = await sftp.glob([`${remoteDir}/**/*.csv`, `!${remoteDir}/sub/**`]);
+    return expect(relPaths(entries)).to.deep.equal([
+      'a.csv',
+      'b.csv',
+      'partial/a.csv',
+      'partial/b.csv',
+    ]);
+  });
+
+  it('glob negated pattern is not relative to the search base', async function () {
+    const entries = await sftp.glob([`${remoteDir}/**/*.csv`, '!sub/**']);
+    return expect(relPaths(entries)).to.include('sub/old.csv');
+  });
+
+  it('glob with non-existent base returns empty array', function () {
+    return expect(sftp.glob(`${remoteDir}/no-such-dir/*.csv`)).to.eventually.deep.equal(
+      [],
+    );
+  });
+
+  it('downloadDir with glob filter', async function () {
+    await sftp.downloadDir(remoteDir, downDir, { filter: ['*.txt', '2024-*/**'] });
+    expect(readdirSync(downDir).sort()).to.deep.equal([
+      '2024-01',
+      'c.txt',
+      'partial',
+      'sub',
+    ]);
+    return expect(readdirSync(makeLocalPath(downDir, '2024-01')).sort()).to.deep.equal([
+      'x.json',
+      'y.txt',
+    ]);
+  });
+
+  it('delete with glob pattern', async function () {
+    const result = await sftp.delete(`${remoteDir}/partial/*.csv`, false, { glob: true });
+    expect(result).to.match(/deleted 2 files/);
+    const listing = await sftp.list(`${remoteDir}/partial`);
+    return expect(listing.map((e) => e.name).sort()).to.deep.equal(['2024-01', 'sub']);
+  });
+
+  it('delete with unmatched glob pattern is rejected', function () {
+    return expect(
+      sftp.delete(`${remoteDir}/partial/*.csv`, false, { glob: true }),
+    ).to.be.rejected.and.eventually.have.property('code', 'ENOENT');
+  });
+
+  it('delete with unmatched glob pattern and notFoundOK', function () {
+    return expect(
+      sftp.delete(`${remoteDir}/partial/*.csv`, true, { glob: true }),
+    ).to.eventually.match(/No files matching/);
+  });
+
+  it('delete without glob option treats the path literally', async function () {
+    const remotePath = `${remoteDir}/partial/lit1.txt`;
+    await sftp.put(Buffer.from('literal'), remotePath);
+    try {
+      await expect(sftp.delete(`${remoteDir}/partial/lit[1].txt`)).to.be.rejected;
+      expect(await sftp.delete(`${remoteDir}/partial/lit[1].txt`, true)).to.match(
+        /Successfully deleted/,
+      );
+      return expect(await sftp.exists(remotePath)).to.equal('-');
+    } finally {
+      await sftp.delete(remotePath, true);
+    }
+  });
+});
+
+describe('35glob B: glob filter tests', function () {
+  it('character classes match literal characters', function () {
+    const re = globToRegExp('[a.]x');
+    expect(re.test('ax')).to.equal(true);
+    expect(re.test('.x')).to.equal(true);
+    return expect(re.test('bx')).to.equal(false);
+  });
+
+  it('character classes keep ranges and negation', function () {
+    expect(globToRegExp('[a-c]').test('b')).to.equal(true);
+    expect(globToRegExp('[!a-c]').test('b')).to.equal(false);
+    expect(globToRegExp('[^a-c]').test('d')).to.equal(true);
+    return expect(globToRegExp(String.raw`[\w]`).test('a')).to.equal(false);
+  });
+
+  it('base directory is a whole path prefix', function () {
+    const filter = globFilter('*.txt', '/data');
+    expect(filter('/data/a.txt')).to.equal(true);
+    return expect(filter('/data2/a.txt')).to.equal(false);
+  });
+
+  it('directories are descended but only match matching patterns', function () {
+    const filter = globFilter(['**/*.txt', '!tmp'], '/data');
+    expect(filter('/data/sub', true)).to.equal(true);
+    expect(filter.matches('/data/sub')).to.equal(false);
+    return expect(filter('/data/tmp', true)).to.equal(false);
+  });
+});
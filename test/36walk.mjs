@@ -0,0 +1,133 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { config, getConnection } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('36walk: walk() tests', function () {
+  let sftp, remoteDir;
+
+  const collect = async (dir, options) => {
+    const entries = [];
+    for await (const entry of sftp.walk(dir, options)) {
+      entries.push(entry);
+    }
+    return entries;
+  };
+
+  const relPaths = (entries) =>
+    entries.map((e) => e.path.slice(remoteDir.length + 1)).sort();
+
+  before('walk setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/walk-dir`;
+    await sftp.mkdir(`${remoteDir}/sub/deep`, true);
+    await sftp.put(Buffer.from('walk a'), `${remoteDir}/a.txt`);
+    await sftp.put(Buffer.from('walk b'), `${remoteDir}/sub/b.txt`);
+    await sftp.put(Buffer.from('walk c'), `${remoteDir}/sub/deep/c.txt`);
+    await sftp.symlink('sub', `${remoteDir}/link-sub`);
+    await sftp.symlink('..', `${remoteDir}/sub/loop`);
+    return true;
+  });
+
+  after('walk cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('walk yields all entries without following links', async function () {
+    const entries = await collect(remoteDir);
+    expect(relPaths(entries)).to.deep.equal([
+      'a.txt',
+      'link-sub',
+      'sub',
+      'sub/b.txt',
+      'sub/deep',
+      'sub/deep/c.txt',
+      'sub/loop',
+    ]);
+    const c = entries.find((e) => e.name === 'c.txt');
+    expect(c).to.include({ type: '-', size: 6, depth: 3 });
+    return expect(entries.find((e) => e.name === 'link-sub').type).to.equal('l');
+  });
+
+  it('walk yields directories before their contents', async function () {
+    const paths = (await collect(remoteDir)).map((e) => e.path);
+    expect(paths.indexOf(`${remoteDir}/sub`)).to.be.lessThan(
+      paths.indexOf(`${remoteDir}/sub/deep`),
+    );
+    return expect(paths.indexOf(`${remoteDir}/sub/deep`)).to.be.lessThan(
+      paths.indexOf(`${remoteDir}/sub/deep/c.txt`),
+    );
+  });
+
+  it('walk with depth limit', async function () {
+    const entries = await collect(remoteDir, { depth: 1 });
+    return expect(relPaths(entries)).to.deep.equal(['a.txt', 'link-sub', 'sub']);
+  });
+
+  it('walk with filter function', async function () {
+    const entries = await collect(remoteDir, {
+      filter: (p, isDir) => isDir || p.endsWith('.txt'),
+    });
+    return expect(relPaths(entries)).to.deep.equal([
+      'a.txt',
+      'sub',
+      'sub/b.txt',
+      'sub/deep',
+      'sub/deep/c.txt',
+    ]);
+  });
+
+  it('walk with glob filter', async function () {
+    const entries = await collect(remoteDir, { filter: ['**/*.txt', '!sub/deep'] });
+    return expect(relPaths(entries)).to.deep.equal(['a.txt', 'sub/b.txt']);
+  });
+
+  it('walk follows symlinks and detects loops', async function () {
+    const entries = await collect(remoteDir, { followSymlinks: true });
+    return expect(relPaths(entries)).to.deep.equal([
+      'a.txt',
+      'link-sub',
+      'link-sub/b.txt',
+      'link-sub/deep',
+      'link-sub/deep/c.txt',
+      'link-sub/loop',
+      'sub',
+      'sub/b.txt',
+      'sub/deep',
+      'sub/deep/c.txt',
+      'sub/loop',
+    ]);
+  });
+
+  it('walk with concurrency of 1', async function () {
+    const entries = await collect(remoteDir, { concurrency: 1 });
+    return expect(entries.length).to.equal(7);
+  });
+
+  it('walk can be stopped early', async function () {
+    let count = 0;
+    for await (const entry of sftp.walk(remoteDir)) {
+      expect(entry).to.have.property('path');
+      count++;
+      break;
+    }
+    expect(count).to.equal(1);
+    return expect(await sftp.exists(remoteDir)).to.equal('d');
+  });
+
+  it('walk of a file is rejected', function () {
+    return expect(
+      collect(`${remoteDir}/a.txt`),
+    ).to.be.rejected.and.eventually.have.property('code', 'ERR_BAD_PATH');
+  });
+
+  it('walk of non-existent directory is rejected', function () {
+    return expect(collect(`${remoteDir}/no-such-dir`)).to.be.rejectedWith(
+      /not a directory/,
+    );
+  });
+});
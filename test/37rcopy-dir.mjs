@@ -0,0 +1,146 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { config, getConnection } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('37rcopy-dir: recursive rcopy tests', function () {
+  let sftp, remoteDir, srcDir;
+
+  const mtime = 1_600_000_000;
+
+  const countCalls = async (method, fn) => {
+    const original = sftp[method];
+    let count = 0;
+    sftp[method] = (...args) => {
+      count++;
+      return original.apply(sftp, args);
+    };
+    try {
+      await fn();
+    } finally {
+      sftp[method] = original;
+    }
+    return count;
+  };
+
+  before('rcopy dir setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/rcopy-dir`;
+    srcDir = `${remoteDir}/src`;
+    await sftp.mkdir(`${srcDir}/sub/deep`, true);
+    await sftp.put(Buffer.from('rcopy a'), `${srcDir}/a.txt`);
+    await sftp.put(Buffer.from('rcopy b'), `${srcDir}/sub/b.txt`);
+    await sftp.put(Buffer.from('rcopy c'), `${srcDir}/sub/deep/c.txt`);
+    await sftp.chmod(`${srcDir}/a.txt`, 0o600);
+    await sftp.chmod(`${srcDir}/sub`, 0o750);
+    await sftp._utimes(`${srcDir}/a.txt`, mtime, mtime);
+    await sftp._utimes(`${srcDir}/sub`, mtime, mtime);
+    return true;
+  });
+
+  after('rcopy dir cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('rcopy file with preserve sets mode and modification time', async function () {
+    const dst = `${remoteDir}/a-copy.txt`;
+    await sftp.rcopy(`${srcDir}/a.txt`, dst, { preserve: true });
+    const stats = await sftp.stat(dst);
+    expect(stats.mode & 0o777).to.equal(0o600);
+    return expect(stats.modifyTime).to.equal(mtime * 1000);
+  });
+
+  it('rcopy overwrites existing file', async function () {
+    const dst = `${remoteDir}/a-copy.txt`;
+    await sftp.put(Buffer.from('old data which is longer'), dst);
+    await sftp.rcopy(`${srcDir}/sub/b.txt`, dst, { overwrite: true });
+    return expect(await sftp.get(dst)).to.deep.equal(Buffer.from('rcopy b'));
+  });
+
+  it('rcopy directory without recursive is rejected', function () {
+    return expect(sftp.rcopy(srcDir, `${remoteDir}/no-copy`)).to.be.rejectedWith(
+      /Source not a file/,
+    );
+  });
+
+  it('rcopy copies directory tree', async function () {
+    const dst = `${remoteDir}/tree-copy`;
+    const result = await sftp.rcopy(srcDir, dst, { recursive: true, preserve: true });
+    expect(result).to.equal(`${srcDir} copied to ${dst}`);
+    expect(await sftp.get(`${dst}/sub/deep/c.txt`)).to.deep.equal(Buffer.from('rcopy c'));
+    const stats = await sftp.stat(`${dst}/sub`);
+    expect(stats.mode & 0o777).to.equal(0o750);
+    return expect(stats.modifyTime).to.equal(mtime * 1000);
+  });
+
+  it('rcopy without preserve does not set attributes', async function () {
+    const count = await countCalls('_setstat', () =>
+      sftp.rcopy(srcDir, `${remoteDir}/plain-copy`, { recursive: true }),
+    );
+    expect(count).to.equal(0);
+    return expect(await sftp.get(`${remoteDir}/plain-copy/sub/b.txt`)).to.deep.equal(
+      Buffer.from('rcopy b'),
+    );
+  });
+
+  it('rcopy to existing directory without overwrite is rejected', function () {
+    return expect(
+      sftp.rcopy(srcDir, `${remoteDir}/tree-copy`, { recursive: true }),
+    ).to.be.rejectedWith(/Destination already exists/);
+  });
+
+  it('rcopy with overwrite merges into existing directory', async function () {
+    const dst = `${remoteDir}/tree-copy`;
+    await sftp.put(Buffer.from('changed'), `${dst}/a.txt`);
+    await sftp.put(Buffer.from('extra'), `${dst}/extra.txt`);
+    await sftp.rcopy(srcDir, dst, { recursive: true, overwrite: true });
+    expect(await sftp.get(`${dst}/a.txt`)).to.deep.equal(Buffer.from('rcopy a'));
+    return expect(await sftp.exists(`${dst}/extra.txt`)).to.equal('-');
+  });
+
+  it('rcopy directory over a file is rejected', function () {
+    return expect(
+      sftp.rcopy(srcDir, `${remoteDir}/a-copy.txt`, { recursive: true, overwrite: true }),
+    ).to.be.rejectedWith(/is not a directory/);
+  });
+
+  it('rcopy into source directory is rejected', function () {
+    return expect(
+      sftp.rcopy(srcDir, `${srcDir}/sub/copy`, { recursive: true }),
+    ).to.be.rejectedWith(/is inside source/);
+  });
+
+  it('rcopy uses copy-data extension when available', async function () {
+    if (sftp.remoteCopy !== 'copy-data') {
+      return this.skip();
+    }
+    const count = await countCalls('_rcopy', () =>
+      sftp.rcopy(srcDir, `${remoteDir}/ext-copy`, { recursive: true }),
+    );
+    expect(count).to.equal(0);
+    return expect(await sftp.get(`${remoteDir}/ext-copy/sub/b.txt`)).to.deep.equal(
+      Buffer.from('rcopy b'),
+    );
+  });
+
+  it('rcopy streams data without copy-data extension', async function () {
+    const remoteCopy = sftp.remoteCopy;
+    sftp.remoteCopy = undefined;
+    let count;
+    try {
+      count = await countCalls('_rcopy', () =>
+        sftp.rcopy(srcDir, `${remoteDir}/stream-copy`, { recursive: true }),
+      );
+    } finally {
+      sftp.remoteCopy = remoteCopy;
+    }
+    expect(count).to.equal(3);
+    return expect(
+      await sftp.get(`${remoteDir}/stream-copy/sub/deep/c.txt`),
+    ).to.deep.equal(Buffer.from('rcopy c'));
+  });
+});
@@ -0,0 +1,71 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { readFileSync } from 'node:fs';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('38server-copy: server-side copy tests', function () {
+  let sftp, remoteDir, srcPath, srcData;
+
+  const withRemoteCopy = async (remoteCopy, method, fn) => {
+    const saved = sftp.remoteCopy;
+    const original = sftp[method];
+    let count = 0;
+    sftp.remoteCopy = remoteCopy;
+    sftp[method] = (...args) => {
+      count++;
+      return original.apply(sftp, args);
+    };
+    try {
+      await fn();
+    } finally {
+      sftp.remoteCopy = saved;
+      sftp[method] = original;
+    }
+    return count;
+  };
+
+  before('server copy setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/server-copy`;
+    await sftp.mkdir(remoteDir, true);
+    srcData = readFileSync(makeLocalPath(config.localUrl, 'test-file2.txt.gz'));
+    srcPath = `${remoteDir}/source.gz`;
+    await sftp.put(srcData, srcPath);
+    return true;
+  });
+
+  after('server copy cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('copy extension is detected at connect', function () {
+    const expected = sftp._hasExtension('copy-data') ? 'copy-data' : undefined;
+    return expect(sftp.remoteCopy).to.equal(expected);
+  });
+
+  it('rcopy uses copy-data extension', async function () {
+    if (!sftp._hasExtension('copy-data')) {
+      return this.skip();
+    }
+    const dst = `${remoteDir}/copy-data.gz`;
+    const count = await withRemoteCopy('copy-data', '_copyData', () =>
+      sftp.rcopy(srcPath, dst),
+    );
+    expect(count).to.equal(1);
+    return expect((await sftp.get(dst)).equals(srcData)).to.equal(true);
+  });
+
+  it('rcopy streams data when no copy extension is supported', async function () {
+    const dst = `${remoteDir}/stream.gz`;
+    const count = await withRemoteCopy(undefined, '_rcopy', () =>
+      sftp.rcopy(srcPath, dst),
+    );
+    expect(count).to.equal(1);
+    return expect((await sftp.get(dst)).equals(srcData)).to.equal(true);
+  });
+});
@@ -0,0 +1,109 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import Client from '../src/index.js';
+import MockSftpServer from '../src/mock-server.js';
+import { config, getConnection } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('39capabilities: getCapabilities() tests', function () {
+  let sftp;
+
+  before('capabilities setup hook', async function () {
+    sftp = await getConnection();
+    return true;
+  });
+
+  after('capabilities cleanup hook', async function () {
+    await sftp.end();
+    return true;
+  });
+
+  it('connect caches capabilities', async function () {
+    expect(sftp.capabilities).to.be.an('object');
+    expect(sftp.extendedChannel).to.equal(undefined);
+    return expect(await sftp.getCapabilities()).to.equal(sftp.capabilities);
+  });
+
+  it('getCapabilities reports protocol version and server ident', async function () {
+    const caps = await sftp.getCapabilities();
+    expect(caps.sftpVersion).to.equal(3);
+    return expect(caps.serverIdent).to.be.a('string').and.not.equal('');
+  });
+
+  it('getCapabilities reports platform', async function () {
+    const caps = await sftp.getCapabilities();
+    expect(caps.platform).to.be.oneOf(['unix', 'windows']);
+    if (config.testServer) {
+      expect(caps.platform).to.equal(config.testServer);
+    }
+    return expect(sftp.remotePlatform).to.equal(caps.platform);
+  });
+
+  it('getCapabilities reports supported extensions', async function () {
+    const caps = await sftp.getCapabilities();
+    expect(caps.supports).to.include.keys(
+      'posixRename',
+      'statvfs',
+      'hardlink',
+      'fsync',
+      'limits',
+      'homeDirectory',
+      'expandPath',
+      'copyData',
+    );
+    expect(caps.supports.posixRename).to.equal(
+      Boolean(caps.extensions['posix-rename@openssh.com']),
+    );
+    return expect(caps.supports.copyData).to.equal(Boolean(caps.extensions['copy-data']));
+  });
+
+  it('getCapabilities reports limits when supported', async function () {
+    const caps = await sftp.getCapabilities();
+    if (caps.supports.limits) {
+      expect(caps.limits.maxReadLength).to.be.a('number').and.above(0);
+      return expect(caps.limits.maxPacketLength).to.be.above(caps.limits.maxReadLength);
+    }
+    return expect(caps.limits).to.equal(undefined);
+  });
+
+  it('getCapabilities result is cached', async function () {
+    const caps = await sftp.getCapabilities();
+    const realPath = sftp._realPath;
+    let calls = 0;
+    sftp._realPath = (...args) => {
+      calls++;
+      return realPath.apply(sftp, args);
+    };
+    try {
+      expect(await sftp.getCapabilities()).to.equal(caps);
+    } finally {
+      sftp._realPath = realPath;
+    }
+    return expect(calls).to.equal(0);
+  });
+
+  it('windows server ident is detected', async function () {
+    const server = new MockSftpServer({ ident: 'WinSSHD_9.0' });
+    const client = new Client('capabilities-windows');
+    try {
+      await client.connect(await server.start());
+      const caps = await client.getCapabilities();
+      expect(caps.serverIdent).to.equal('WinSSHD_9.0');
+      expect(caps.platform).to.equal('windows');
+      return expect(client.remotePlatform).to.equal('windows');
+    } finally {
+      await client.end();
+      await server.stop();
+    }
+  });
+
+  it('getCapabilities without connection is rejected', function () {
+    const client = new Client();
+    return expect(client.getCapabilities()).to.be.rejected.and.eventually.have.property(
+      'code',
+      'ERR_NOT_CONNECTED',
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('40statvfs: statvfs() and checkSpace tests', function () {
+  let sftp, remoteDir, srcPath;
+
+  const huge = Number.MAX_SAFE_INTEGER;
+
+  const withoutStatvfs = async (fn) => {
+    const ext = sftp.capabilities.extensions['statvfs@openssh.com'];
+    delete sftp.capabilities.extensions['statvfs@openssh.com'];
+    try {
+      return await fn();
+    } finally {
+      if (ext) {
+        sftp.capabilities.extensions['statvfs@openssh.com'] = ext;
+      }
+    }
+  };
+
+  before('statvfs setup hook', async function () {
+    sftp = await getConnection();
+    if (!sftp._hasExtension('statvfs@openssh.com')) {
+      await sftp.end();
+      return this.skip();
+    }
+    remoteDir = `${config.sftpUrl}/statvfs-dir`;
+    await sftp.mkdir(remoteDir, true);
+    srcPath = makeLocalPath(config.localUrl, 'test-file1.txt');
+    return true;
+  });
+
+  after('statvfs cleanup hook', async function () {
+    if (sftp.sftp) {
+      await sftp.rmdir(remoteDir, true);
+      await sftp.end();
+    }
+    return true;
+  });
+
+  it('statvfs returns file system information', async function () {
+    const info = await sftp.statvfs(remoteDir);
+    expect(info).to.include.keys(
+      'blockSize',
+      'totalBytes',
+      'freeBytes',
+      'availableBytes',
+      'totalInodes',
+      'freeInodes',
+      'availableInodes',
+      'readOnly',
+      'maxNameLength',
+    );
+    expect(info.totalBytes).to.be.greaterThan(0);
+    return expect(info.availableBytes).to.be.at.most(info.totalBytes);
+  });
+
+  it('statvfs without extension support is rejected', function () {
+    return withoutStatvfs(() =>
+      expect(sftp.statvfs(remoteDir)).to.be.rejected.and.eventually.have.property(
+        'code',
+        'ERR_NOT_SUPPORTED',
+      ),
+    );
+  });
+
+  it('put with checkSpace succeeds when there is space', function () {
+    return expect(
+      sftp.put(Buffer.from('check space'), `${remoteDir}/space.txt`, {
+        checkSpace: true,
+      }),
+    ).to.eventually.match(/Uploaded data stream/);
+  });
+
+  it('put with checkSpace fails when there is not enough space', async function () {
+    const remotePath = `${remoteDir}/no-space.txt`;
+    await expect(
+      sftp.put(srcPath, remotePath, { checkSpace: huge }),
+    ).to.be.rejected.and.eventually.have.property('code', 'ERR_NO_SPACE');
+    return expect(await sftp.exists(remotePath)).to.equal(false);
+  });
+
+  it('fastPut with checkSpace fails when there is not enough space', function () {
+    return expect(
+      sftp.fastPut(srcPath, `${remoteDir}/no-space.txt`, { checkSpace: huge }),
+    ).to.be.rejectedWith(/Insufficient space/);
+  });
+
+  it('uploadDir with checkSpace to a new directory', async function () {
+    const dst = `${remoteDir}/new/upload`;
+    const src = makeLocalPath(config.localUrl, 'upload-src');
+    await expect(
+      sftp.uploadDir(src, dst, { checkSpace: huge }),
+    ).to.be.rejected.and.eventually.have.property('code', 'ERR_NO_SPACE');
+    expect(await sftp.exists(dst)).to.equal(false);
+    return expect(sftp.uploadDir(src, dst, { checkSpace: true })).to.eventually.match(
+      /uploaded to/,
+    );
+  });
+
+  it('checkSpace is skipped without extension support', function () {
+    return withoutStatvfs(() =>
+      expect(
+        sftp.put(Buffer.from('no check'), `${remoteDir}/skip.txt`, {
+          checkSpace: huge,
+        }),
+      ).to.eventually.match(/Uploaded data stream/),
+    );
+  });
+});
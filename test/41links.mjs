@@ -0,0 +1,106 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { config, getConnection } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('41links: symlink(), readlink() and link() tests', function () {
+  let sftp, remoteDir;
+
+  before('links setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/links-dir`;
+    await sftp.mkdir(remoteDir, true);
+    await sftp.put(Buffer.from('link target'), `${remoteDir}/target.txt`);
+    return true;
+  });
+
+  after('links cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('symlink creates a symbolic link', async function () {
+    const linkPath = `${remoteDir}/sym.txt`;
+    const result = await sftp.symlink('target.txt', linkPath);
+    expect(result).to.equal(`Successfully created symlink ${linkPath} to target.txt`);
+    expect(await sftp.exists(linkPath)).to.equal('l');
+    const stats = await sftp.lstat(linkPath);
+    expect(stats.isSymbolicLink).to.equal(true);
+    return expect(await sftp.get(linkPath)).to.deep.equal(Buffer.from('link target'));
+  });
+
+  it('readlink returns the link target', function () {
+    return expect(sftp.readlink(`${remoteDir}/sym.txt`)).to.eventually.equal(
+      'target.txt',
+    );
+  });
+
+  it('readlink of a regular file is rejected', function () {
+    return expect(sftp.readlink(`${remoteDir}/target.txt`)).to.be.rejectedWith(
+      /target.txt/,
+    );
+  });
+
+  it('readlink of non-existent path is rejected', function () {
+    return expect(
+      sftp.readlink(`${remoteDir}/no-such-link`),
+    ).to.be.rejected.and.eventually.have.property('code', 'ENOENT');
+  });
+
+  it('symlink over an existing path is rejected', function () {
+    return expect(sftp.symlink('target.txt', `${remoteDir}/sym.txt`)).to.be.rejectedWith(
+      /Link:/,
+    );
+  });
+
+  it('symlink honours reverseSymlinkArgs override', async function () {
+    const original = sftp.sftp.symlink;
+    const reverse = sftp.reverseSymlinkArgs;
+    let args;
+    sftp.sftp.symlink = (a, b, cb) => {
+      args = [a, b];
+      cb();
+    };
+    try {
+      sftp.reverseSymlinkArgs = !sftp.sftp._isOpenSSH;
+      await sftp.symlink('target', 'link');
+      expect(args).to.deep.equal(['link', 'target']);
+      sftp.reverseSymlinkArgs = undefined;
+      await sftp.symlink('target', 'link');
+      return expect(args).to.deep.equal(['target', 'link']);
+    } finally {
+      sftp.sftp.symlink = original;
+      sftp.reverseSymlinkArgs = reverse;
+    }
+  });
+
+  it('link creates a hard link', async function () {
+    if (!sftp._hasExtension('hardlink@openssh.com')) {
+      return this.skip();
+    }
+    const linkPath = `${remoteDir}/hard.txt`;
+    await sftp.link(`${remoteDir}/target.txt`, linkPath);
+    expect(await sftp.exists(linkPath)).to.equal('-');
+    await sftp.append(Buffer.from(' appended'), `${remoteDir}/target.txt`);
+    return expect(await sftp.get(linkPath)).to.deep.equal(
+      Buffer.from('link target appended'),
+    );
+  });
+
+  it('link without hardlink extension is rejected', async function () {
+    const extensions = sftp.capabilities.extensions;
+    sftp.capabilities.extensions = { ...extensions };
+    delete sftp.capabilities.extensions['hardlink@openssh.com'];
+    try {
+      await expect(
+        sftp.link(`${remoteDir}/target.txt`, `${remoteDir}/hard2.txt`),
+      ).to.be.rejected.and.eventually.have.property('code', 'ERR_NOT_SUPPORTED');
+    } finally {
+      sftp.capabilities.extensions = extensions;
+    }
+    return expect(await sftp.exists(`${remoteDir}/hard2.txt`)).to.equal(false);
+  });
+});
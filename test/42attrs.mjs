@@ -0,0 +1,100 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { config, getConnection } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('42attrs: chown(), utimes() and setstat() tests', function () {
+  let sftp, remoteDir, owner;
+
+  const mtime = 1_500_000_000;
+
+  before('attrs setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/attrs-dir`;
+    await sftp.mkdir(`${remoteDir}/sub`, true);
+    await sftp.put(Buffer.from('attrs a'), `${remoteDir}/a.txt`);
+    await sftp.put(Buffer.from('attrs b'), `${remoteDir}/sub/b.log`);
+    await sftp.symlink('a.txt', `${remoteDir}/link.txt`);
+    owner = await sftp.stat(`${remoteDir}/a.txt`);
+    return true;
+  });
+
+  after('attrs cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('utimes sets times on a file', async function () {
+    const result = await sftp.utimes(`${remoteDir}/a.txt`, mtime, mtime);
+    expect(result).to.equal(`Successfully set attributes for ${remoteDir}/a.txt`);
+    const stats = await sftp.stat(`${remoteDir}/a.txt`);
+    expect(stats.accessTime).to.equal(mtime * 1000);
+    return expect(stats.modifyTime).to.equal(mtime * 1000);
+  });
+
+  it('utimes accepts Date objects', async function () {
+    const date = new Date('2020-06-01T00:00:00Z');
+    await sftp.utimes(`${remoteDir}/sub/b.log`, date, date);
+    const stats = await sftp.stat(`${remoteDir}/sub/b.log`);
+    return expect(stats.modifyTime).to.equal(date.getTime());
+  });
+
+  it('utimes recursive sets times on directory tree', async function () {
+    const result = await sftp.utimes(remoteDir, mtime, mtime, { recursive: true });
+    expect(result).to.equal(`Successfully set attributes for 4 paths in ${remoteDir}`);
+    for (const p of ['', '/sub', '/sub/b.log']) {
+      const stats = await sftp.stat(`${remoteDir}${p}`);
+      expect(stats.modifyTime).to.equal(mtime * 1000);
+    }
+    const link = await sftp.lstat(`${remoteDir}/link.txt`);
+    return expect(link.isSymbolicLink).to.equal(true);
+  });
+
+  it('setstat recursive with glob filter', async function () {
+    await sftp.setstat(remoteDir, { mode: 0o750 }, { recursive: true, filter: '*.txt' });
+    expect((await sftp.stat(remoteDir)).mode & 0o777).to.equal(0o750);
+    expect((await sftp.stat(`${remoteDir}/a.txt`)).mode & 0o777).to.equal(0o750);
+    return expect((await sftp.stat(`${remoteDir}/sub/b.log`)).mode & 0o777).to.not.equal(
+      0o750,
+    );
+  });
+
+  it('setstat sets mode and times together', async function () {
+    await sftp.setstat(`${remoteDir}/sub/b.log`, {
+      mode: 0o640,
+      atime: mtime + 10,
+      mtime: mtime + 10,
+    });
+    const stats = await sftp.stat(`${remoteDir}/sub/b.log`);
+    expect(stats.mode & 0o777).to.equal(0o640);
+    return expect(stats.modifyTime).to.equal((mtime + 10) * 1000);
+  });
+
+  it('chown to current owner', async function () {
+    await sftp.chown(remoteDir, owner.uid, owner.gid, { recursive: true });
+    const stats = await sftp.stat(`${remoteDir}/sub/b.log`);
+    expect(stats.uid).to.equal(owner.uid);
+    return expect(stats.gid).to.equal(owner.gid);
+  });
+
+  it('chown without gid is rejected', function () {
+    return expect(sftp.chown(`${remoteDir}/a.txt`, owner.uid)).to.be.rejectedWith(
+      /uid and gid must be specified together/,
+    );
+  });
+
+  it('setstat with only mtime is rejected', function () {
+    return expect(sftp.setstat(`${remoteDir}/a.txt`, { mtime })).to.be.rejectedWith(
+      /atime and mtime must be specified together/,
+    );
+  });
+
+  it('utimes on non-existent path is rejected', function () {
+    return expect(
+      sftp.utimes(`${remoteDir}/no-such-file.txt`, mtime, mtime),
+    ).to.be.rejectedWith(/no-such-file.txt/);
+  });
+});
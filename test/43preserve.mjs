@@ -0,0 +1,118 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import {
+  mkdirSync,
+  writeFileSync,
+  rmSync,
+  statSync,
+  chmodSync,
+  utimesSync,
+} from 'node:fs';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('43preserve: preserve mode and times tests', function () {
+  let sftp, remoteDir, localDir, downDir;
+
+  const mtime = 1_400_000_000;
+
+  const localTimes = (p) => Math.floor(statSync(p).mtimeMs / 1000);
+
+  before('preserve setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/preserve-dir`;
+    localDir = makeLocalPath(config.localUrl, 'preserve-src');
+    downDir = makeLocalPath(config.localUrl, 'preserve-down');
+    await sftp.mkdir(remoteDir, true);
+    mkdirSync(makeLocalPath(localDir, 'sub'), { recursive: true });
+    writeFileSync(makeLocalPath(localDir, 'a.sh'), 'preserve a');
+    writeFileSync(makeLocalPath(localDir, 'sub', 'b.txt'), 'preserve b');
+    chmodSync(makeLocalPath(localDir, 'a.sh'), 0o750);
+    chmodSync(makeLocalPath(localDir, 'sub'), 0o700);
+    for (const p of ['a.sh', 'sub/b.txt', 'sub']) {
+      utimesSync(makeLocalPath(localDir, ...p.split('/')), mtime, mtime);
+    }
+    mkdirSync(downDir, { recursive: true });
+    return true;
+  });
+
+  after('preserve cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    rmSync(downDir, { recursive: true, force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('put with preserve copies mode and times', async function () {
+    const remotePath = `${remoteDir}/put-a.sh`;
+    await sftp.put(makeLocalPath(localDir, 'a.sh'), remotePath, { preserve: true });
+    const stats = await sftp.stat(remotePath);
+    expect(stats.mode & 0o777).to.equal(0o750);
+    return expect(stats.modifyTime).to.equal(mtime * 1000);
+  });
+
+  it('put with preserve times only', async function () {
+    const remotePath = `${remoteDir}/put-times.sh`;
+    await sftp.put(makeLocalPath(localDir, 'a.sh'), remotePath, {
+      preserve: { times: true },
+    });
+    const stats = await sftp.stat(remotePath);
+    expect(stats.mode & 0o777).to.not.equal(0o750);
+    return expect(stats.modifyTime).to.equal(mtime * 1000);
+  });
+
+  it('put without preserve uses current time', async function () {
+    const remotePath = `${remoteDir}/put-now.sh`;
+    await sftp.put(makeLocalPath(localDir, 'a.sh'), remotePath);
+    const stats = await sftp.stat(remotePath);
+    return expect(stats.modifyTime).to.not.equal(mtime * 1000);
+  });
+
+  it('fastPut with preserve and atomic', async function () {
+    const remotePath = `${remoteDir}/fastput-a.sh`;
+    await sftp.fastPut(makeLocalPath(localDir, 'a.sh'), remotePath, {
+      preserve: true,
+      atomic: true,
+    });
+    const stats = await sftp.stat(remotePath);
+    expect(stats.mode & 0o777).to.equal(0o750);
+    return expect(stats.modifyTime).to.equal(mtime * 1000);
+  });
+
+  it('get with preserve copies mode and times', async function () {
+    const localPath = makeLocalPath(downDir, 'get-a.sh');
+    await sftp.get(`${remoteDir}/put-a.sh`, localPath, { preserve: true });
+    expect(statSync(localPath).mode & 0o777).to.equal(0o750);
+    return expect(localTimes(localPath)).to.equal(mtime);
+  });
+
+  it('fastGet with preserve copies times', async function () {
+    const localPath = makeLocalPath(downDir, 'fastget-a.sh');
+    await sftp.fastGet(`${remoteDir}/put-a.sh`, localPath, {
+      preserve: { times: true },
+    });
+    return expect(localTimes(localPath)).to.equal(mtime);
+  });
+
+  it('uploadDir with preserve copies file and directory attributes', async function () {
+    const dst = `${remoteDir}/upload`;
+    await sftp.uploadDir(localDir, dst, { preserve: true, useFastput: true });
+    const file = await sftp.stat(`${dst}/sub/b.txt`);
+    expect(file.modifyTime).to.equal(mtime * 1000);
+    const dir = await sftp.stat(`${dst}/sub`);
+    expect(dir.mode & 0o777).to.equal(0o700);
+    return expect(dir.modifyTime).to.equal(mtime * 1000);
+  });
+
+  it('downloadDir with preserve copies file and directory attributes', async function () {
+    const dst = makeLocalPath(downDir, 'tree');
+    await sftp.downloadDir(`${remoteDir}/upload`, dst, { preserve: true });
+    expect(statSync(makeLocalPath(dst, 'a.sh')).mode & 0o777).to.equal(0o750);
+    expect(localTimes(makeLocalPath(dst, 'sub', 'b.txt'))).to.equal(mtime);
+    expect(statSync(makeLocalPath(dst, 'sub')).mode & 0o777).to.equal(0o700);
+    return expect(localTimes(makeLocalPath(dst, 'sub'))).to.equal(mtime);
+  });
+});
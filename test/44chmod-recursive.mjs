@@ -0,0 +1,125 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { resolveMode } from '../src/utils.js';
+import { config, getConnection } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('44chmod-recursive: resolveMode() tests', function () {
+  it('numbers and octal strings', function () {
+    expect(resolveMode(0o640)).to.equal(0o640);
+    return expect(resolveMode('755')).to.equal(0o755);
+  });
+
+  it('symbolic modes', function () {
+    expect(resolveMode('u+rwX,go-w', 0o664)).to.equal(0o644);
+    expect(resolveMode('u+rwX,go-w', 0o644, true)).to.equal(0o744);
+    expect(resolveMode('a=r', 0o777)).to.equal(0o444);
+    expect(resolveMode('g=u', 0o740)).to.equal(0o770);
+    expect(resolveMode('+x', 0o600)).to.equal(0o711);
+    return expect(resolveMode('o-rwx,g+s', 0o777, true)).to.equal(0o2770);
+  });
+
+  it('invalid modes', function () {
+    expect(resolveMode('bad')).to.equal(undefined);
+    expect(resolveMode('u+z')).to.equal(undefined);
+    return expect(resolveMode(null)).to.equal(undefined);
+  });
+});
+
+describe('44chmod-recursive: recursive chmod() tests', function () {
+  let sftp, remoteDir;
+
+  const mode = async (p) => (await sftp.stat(`${remoteDir}/${p}`)).mode & 0o7777;
+
+  before('chmod recursive setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/chmod-tree`;
+    await sftp.mkdir(`${remoteDir}/sub/deep`, true);
+    await sftp.put(Buffer.from('chmod a'), `${remoteDir}/a.sh`);
+    await sftp.put(Buffer.from('chmod b'), `${remoteDir}/sub/b.txt`);
+    await sftp.put(Buffer.from('chmod c'), `${remoteDir}/sub/deep/c.txt`);
+    return true;
+  });
+
+  after('chmod recursive cleanup hook', async function () {
+    await sftp.chmod(remoteDir, 0o755, { recursive: true, fileMode: 0o644 });
+    await sftp.rmdir(remoteDir, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('chmod with symbolic mode on a single file', async function () {
+    await sftp.chmod(`${remoteDir}/a.sh`, 0o644);
+    await sftp.chmod(`${remoteDir}/a.sh`, 'u+x,g-r');
+    return expect(await mode('a.sh')).to.equal(0o704);
+  });
+
+  it('chmod with invalid mode is rejected', function () {
+    return expect(
+      sftp.chmod(`${remoteDir}/a.sh`, 'u+q'),
+    ).to.be.rejected.and.eventually.have.property('code', 'ERR_BAD_MODE');
+  });
+
+  it('chmod recursive with file and directory modes', async function () {
+    const result = await sftp.chmod(remoteDir, undefined, {
+      recursive: true,
+      fileMode: 0o640,
+      dirMode: 0o750,
+    });
+    expect(result.failed).to.deep.equal([]);
+    expect(result.succeeded.length).to.equal(6);
+    expect(result.succeeded).to.deep.include({
+      path: `${remoteDir}/sub/deep/c.txt`,
+      mode: 0o640,
+    });
+    expect(await mode('')).to.equal(0o750);
+    expect(await mode('sub/deep')).to.equal(0o750);
+    return expect(await mode('sub/deep/c.txt')).to.equal(0o640);
+  });
+
+  it('chmod recursive with symbolic mode', async function () {
+    await sftp.chmod(remoteDir, 'go-rwx,u+rwX', { recursive: true });
+    expect(await mode('sub')).to.equal(0o700);
+    return expect(await mode('sub/b.txt')).to.equal(0o600);
+  });
+
+  it('chmod recursive with glob filter', async function () {
+    const result = await sftp.chmod(remoteDir, undefined, {
+      recursive: true,
+      fileMode: 'a+r',
+      filter: '**/*.txt',
+    });
+    expect(result.succeeded.map((r) => r.path).sort()).to.deep.equal([
+      `${remoteDir}/sub/b.txt`,
+      `${remoteDir}/sub/deep/c.txt`,
+    ]);
+    expect(await mode('sub/b.txt')).to.equal(0o644);
+    return expect(await mode('a.sh')).to.equal(0o600);
+  });
+
+  it('chmod recursive reports failures and continues', async function () {
+    const original = sftp._chmod;
+    sftp._chmod = (p, ...args) =>
+      p.endsWith('b.txt')
+        ? Promise.reject(sftp.fmtError(`Permission denied ${p}`, '_chmod', 3))
+        : original.call(sftp, p, ...args);
+    let result;
+    try {
+      result = await sftp.chmod(remoteDir, 0o700, { recursive: true, fileMode: 0o600 });
+    } finally {
+      sftp._chmod = original;
+    }
+    expect(result.failed.length).to.equal(1);
+    expect(result.failed[0].path).to.equal(`${remoteDir}/sub/b.txt`);
+    expect(result.failed[0].error.message).to.match(/Permission denied/);
+    return expect(result.succeeded.length).to.equal(5);
+  });
+
+  it('chmod recursive on non-existent path is rejected', function () {
+    return expect(
+      sftp.chmod(`${remoteDir}/no-such-dir`, 0o755, { recursive: true }),
+    ).to.be.rejected.and.eventually.have.property('code', 'ENOENT');
+  });
+});
@@ -0,0 +1,136 @@
+import Client from '../src/index.js';
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import {
+  SftpError,
+  ConnectionError,
+  PathNotFoundError,
+  PermissionDeniedError,
+  NotADirectoryError,
+  TransferError,
+} from '../src/errors.js';
+import { haveConnection } from '../src/utils.js';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('45errors: fmtError() error classes', function () {
+  const client = new Client();
+
+  it('string errors are SftpError instances', function () {
+    const err = client.fmtError('test msg', '_someMethod', 'error code', 2);
+    expect(err).to.be.an.instanceOf(Error);
+    expect(err).to.be.an.instanceOf(SftpError);
+    expect(err.name).to.equal('SftpError');
+    expect(err.message).to.equal('_someMethod: test msg after 2 attempts');
+    expect(err.operation).to.equal('someMethod');
+    expect(err.retryCount).to.equal(2);
+    return expect(err.code).to.equal('error code');
+  });
+
+  it('SFTP status codes select the error class', function () {
+    const denied = new Error('Permission denied');
+    denied.code = 3;
+    const err = client.fmtError(denied, 'chmod', denied.code, { remotePath: '/a/b' });
+    expect(err).to.be.an.instanceOf(PermissionDeniedError);
+    expect(err.status).to.equal(3);
+    expect(err.code).to.equal(3);
+    expect(err.remotePath).to.equal('/a/b');
+    return expect(err.cause).to.equal(denied);
+  });
+
+  it('transfer and connection codes select the error class', function () {
+    expect(
+      client.fmtError('bad sum', 'get', 'ERR_CHECKSUM_MISMATCH'),
+    ).to.be.an.instanceOf(TransferError);
+    const refused = new Error('refused');
+    refused.code = 'ECONNREFUSED';
+    return expect(client.fmtError(refused, 'connect')).to.be.an.instanceOf(
+      ConnectionError,
+    );
+  });
+
+  it('per file directory transfer errors are TransferError instances', function () {
+    expect(client.fmtError('failed', 'uploadFile')).to.be.an.instanceOf(TransferError);
+    return expect(client.fmtError('failed', 'downloadFile')).to.be.an.instanceOf(
+      TransferError,
+    );
+  });
+
+  it('re-thrown errors keep class, paths and cause chain', function () {
+    const inner = client.fmtError('No such file', '_xstat', 'ENOENT', {
+      remotePath: '/x',
+    });
+    const outer = client.fmtError(inner, 'stat');
+    expect(outer).to.be.an.instanceOf(PathNotFoundError);
+    expect(outer.message).to.equal('stat->_xstat: No such file');
+    expect(outer.remotePath).to.equal('/x');
+    return expect(outer.cause).to.equal(inner);
+  });
+
+  it('haveConnection throws ConnectionError', function () {
+    expect(() => haveConnection(client, 'list')).to.throw(ConnectionError);
+    try {
+      haveConnection(client, 'list');
+    } catch (err) {
+      expect(err.operation).to.equal('list');
+      return expect(err.code).to.equal('ERR_NOT_CONNECTED');
+    }
+  });
+});
+
+describe('45errors: error classes from server operations', function () {
+  let sftp;
+
+  before('errors setup hook', async function () {
+    sftp = await getConnection();
+    await sftp.put(Buffer.from('errors'), `${config.sftpUrl}/errors-file.txt`);
+    return true;
+  });
+
+  after('errors cleanup hook', async function () {
+    await sftp.delete(`${config.sftpUrl}/errors-file.txt`, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('stat of missing path rejects with PathNotFoundError', async function () {
+    const remotePath = `${config.sftpUrl}/no-such-file.txt`;
+    const err = await sftp.stat(remotePath).catch((e) => e);
+    expect(err).to.be.an.instanceOf(PathNotFoundError);
+    expect(err.code).to.equal('ENOENT');
+    expect(err.operation).to.match(/stat$/);
+    return expect(err.remotePath).to.equal(remotePath);
+  });
+
+  it('rmdir of a file rejects with NotADirectoryError', async function () {
+    const err = await sftp.rmdir(`${config.sftpUrl}/errors-file.txt`).catch((e) => e);
+    expect(err).to.be.an.instanceOf(NotADirectoryError);
+    return expect(err.code).to.equal('ERR_BAD_PATH');
+  });
+
+  it('fastGet of missing file rejects with PathNotFoundError', async function () {
+    const remotePath = `${config.sftpUrl}/no-such-file.txt`;
+    const localPath = makeLocalPath(config.localUrl, 'no-such-file.txt');
+    const err = await sftp.fastGet(remotePath, localPath).catch((e) => e);
+    expect(err).to.be.an.instanceOf(PathNotFoundError);
+    return expect(err.remotePath).to.equal(remotePath);
+  });
+
+  it('rename failure keeps the server status', async function () {
+    const err = await sftp
+      .rename(`${config.sftpUrl}/no-such-file.txt`, `${config.sftpUrl}/other.txt`)
+      .catch((e) => e);
+    expect(err).to.be.an.instanceOf(SftpError);
+    expect(err.status).to.be.a('number');
+    return expect(err.cause).to.be.an.instanceOf(Error);
+  });
+
+  it('mkdir errors are not wrapped twice', async function () {
+    const err = await sftp.mkdir(`${config.sftpUrl}/errors-file.txt/sub`).catch((e) => e);
+    expect(err).to.be.an.instanceOf(SftpError);
+    expect(err.code).to.equal('ERR_BAD_PATH');
+    return expect(err.message).to.not.match(/mkdir:.*mkdir:/i);
+  });
+});
@@ -0,0 +1,217 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { PassThrough } from 'node:stream';
+import { existsSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import Client from '../src/index.js';
+import MockSftpServer from '../src/mock-server.js';
+import { abortSignal, sleep } from '../src/utils.js';
+import { AbortError } from '../src/errors.js';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('46abort: abortSignal() tests', function () {
+  it('no signal or timeout returns undefined', function () {
+    return expect(abortSignal()).to.equal(undefined);
+  });
+
+  it('timeout aborts with a TimeoutError reason', async function () {
+    const abort = abortSignal(undefined, 10);
+    await new Promise((resolve) => abort.signal.addEventListener('abort', resolve));
+    return expect(abort.signal.reason.name).to.equal('TimeoutError');
+  });
+
+  it('follows the supplied signal', function () {
+    const controller = new AbortController();
+    const abort = abortSignal(controller.signal, 60_000);
+    controller.abort('stop');
+    abort.clear();
+    expect(abort.signal.aborted).to.equal(true);
+    return expect(abort.signal.reason).to.equal('stop');
+  });
+});
+
+describe('46abort: cancelling operations', function () {
+  let sftp, remoteDir, localDir;
+
+  before('abort setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/abort-dir`;
+    localDir = makeLocalPath(config.localUrl, 'abort-local');
+    await sftp.mkdir(remoteDir, true);
+    await sftp.put(Buffer.from('abort test data'), `${remoteDir}/file.txt`);
+    mkdirSync(localDir, { recursive: true });
+    writeFileSync(makeLocalPath(localDir, 'a.txt'), 'abort a');
+    return true;
+  });
+
+  after('abort cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('already aborted signal rejects with AbortError', async function () {
+    const err = await sftp
+      .stat(`${remoteDir}/file.txt`, { signal: AbortSignal.abort() })
+      .catch((e) => e);
+    expect(err).to.be.an.instanceOf(AbortError);
+    expect(err.code).to.equal('ABORT_ERR');
+    return expect(err.operation).to.equal('stat');
+  });
+
+  it('mkdir with aborted signal rejects with AbortError', async function () {
+    const err = await sftp
+      .mkdir(`${remoteDir}/aborted`, false, { signal: AbortSignal.abort() })
+      .catch((e) => e);
+    expect(err).to.be.an.instanceOf(AbortError);
+    expect(err.message).to.equal('mkdir: Operation aborted');
+    return expect(await sftp.exists(`${remoteDir}/aborted`)).to.equal(false);
+  });
+
+  it('operations complete normally with a signal and timeout', async function () {
+    const controller = new AbortController();
+    const stats = await sftp.stat(`${remoteDir}/file.txt`, {
+      signal: controller.signal,
+      timeout: 60_000,
+    });
+    expect(stats.isFile).to.equal(true);
+    const listing = await sftp.list(remoteDir, undefined, { timeout: 60_000 });
+    return expect(listing.map((i) => i.name)).to.include('file.txt');
+  });
+
+  it('list on a hung server rejects after timeout', async function () {
+    const original = sftp.sftp.readdir;
+    sftp.sftp.readdir = () => {};
+    try {
+      const err = await sftp.list(remoteDir, undefined, { timeout: 50 }).catch((e) => e);
+      expect(err).to.be.an.instanceOf(AbortError);
+      expect(err.message).to.match(/timed out after 50ms/);
+      return expect(err.cause.name).to.equal('TimeoutError');
+    } finally {
+      sftp.sftp.readdir = original;
+    }
+  });
+
+  it('get aborted by signal removes partial local file', async function () {
+    const localPath = makeLocalPath(localDir, 'partial.txt');
+    const original = sftp.sftp.createReadStream;
+    const stalled = new PassThrough();
+    sftp.sftp.createReadStream = () => stalled;
+    const controller = new AbortController();
+    try {
+      const promise = sftp.get(`${remoteDir}/file.txt`, localPath, {
+        signal: controller.signal,
+      });
+      stalled.write('partial data');
+      setTimeout(() => controller.abort(), 50);
+      const err = await promise.catch((e) => e);
+      expect(err).to.be.an.instanceOf(AbortError);
+      expect(err.code).to.equal('ABORT_ERR');
+      return expect(existsSync(localPath)).to.equal(false);
+    } finally {
+      sftp.sftp.createReadStream = original;
+    }
+  });
+
+  it('put from a stalled stream is cancelled', async function () {
+    const stalled = new PassThrough();
+    const err = await sftp
+      .put(stalled, `${remoteDir}/stalled.txt`, { timeout: 50 })
+      .catch((e) => e);
+    expect(err).to.be.an.instanceOf(AbortError);
+    return expect(await sftp.exists(`${remoteDir}/file.txt`)).to.equal('-');
+  });
+
+  it('rcopy passes the signal to its inner calls', async function () {
+    const { createReadStream } = sftp.sftp;
+    const { exists, remoteCopy } = sftp;
+    const stalled = new PassThrough();
+    const signals = [];
+    sftp.sftp.createReadStream = () => stalled;
+    sftp.exists = (path, options) => {
+      signals.push(options?.signal);
+      return exists.call(sftp, path, options);
+    };
+    sftp.remoteCopy = undefined;
+    try {
+      const err = await sftp
+        .rcopy(`${remoteDir}/file.txt`, `${remoteDir}/rcopy.txt`, { timeout: 50 })
+        .catch((e) => e);
+      expect(err).to.be.an.instanceOf(AbortError);
+      expect(signals.length).to.equal(2);
+      expect(signals.every((s) => s instanceof AbortSignal)).to.equal(true);
+      return expect(stalled.destroyed).to.equal(true);
+    } finally {
+      sftp.sftp.createReadStream = createReadStream;
+      sftp.exists = exists;
+      sftp.remoteCopy = remoteCopy;
+      await sftp.delete(`${remoteDir}/rcopy.txt`, true);
+    }
+  });
+
+  it('uploadDir with aborted signal uploads nothing', async function () {
+    const dst = `${remoteDir}/upload`;
+    await expect(
+      sftp.uploadDir(localDir, dst, { signal: AbortSignal.abort() }),
+    ).to.be.rejected.and.eventually.have.property('code', 'ABORT_ERR');
+    return expect(await sftp.exists(dst)).to.equal(false);
+  });
+
+  it('createReadStream is destroyed after timeout', async function () {
+    const stream = sftp.createReadStream(`${remoteDir}/file.txt`, { timeout: 50 });
+    const err = await new Promise((resolve) => stream.once('error', resolve));
+    return expect(err.code).to.equal('ABORT_ERR');
+  });
+});
+
+describe('46abort B: cancelling fast transfers', function () {
+  let server, sftp, localDir;
+  const data = Buffer.alloc(256 * 1024, 'x');
+
+  before('fast abort setup hook', async function () {
+    server = new MockSftpServer();
+    sftp = new Client('fast-abort');
+    await sftp.connect(await server.start());
+    writeFileSync(server.localPath('/big.bin'), data);
+    localDir = makeLocalPath(config.localUrl, 'abort-fast');
+    mkdirSync(localDir, { recursive: true });
+    writeFileSync(makeLocalPath(localDir, 'big.bin'), data);
+    return true;
+  });
+
+  afterEach('clear faults hook', function () {
+    server.clearFaults();
+  });
+
+  after('fast abort cleanup hook', async function () {
+    await sftp.end();
+    await server.stop();
+    rmSync(localDir, { recursive: true, force: true });
+    return true;
+  });
+
+  it('fastGet timeout leaves no local file', async function () {
+    const localPath = makeLocalPath(localDir, 'fast-get.bin');
+    server.injectFault({ op: 'open', type: 'slow', delay: 200 });
+    const err = await sftp
+      .fastGet('/big.bin', localPath, { timeout: 50 })
+      .catch((e) => e);
+    expect(err).to.be.an.instanceOf(AbortError);
+    // wait until an uncancelled transfer would have finished
+    await sleep(400);
+    return expect(existsSync(localPath)).to.equal(false);
+  });
+
+  it('fastPut timeout leaves no remote file', async function () {
+    server.injectFault({ op: 'open', type: 'slow', delay: 200 });
+    const err = await sftp
+      .fastPut(makeLocalPath(localDir, 'big.bin'), '/fast-put.bin', { timeout: 50 })
+      .catch((e) => e);
+    expect(err).to.be.an.instanceOf(AbortError);
+    await sleep(400);
+    return expect(existsSync(server.localPath('/fast-put.bin'))).to.equal(false);
+  });
+});
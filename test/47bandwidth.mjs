@@ -0,0 +1,183 @@
+import Client from '../src/index.js';
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { SftpError } from '../src/errors.js';
+import { Writable } from 'node:stream';
+import { BandwidthLimiter, throttleStream } from '../src/bandwidth.js';
+import { config, getConnection } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+const elapsed = async (fn) => {
+  const start = Date.now();
+  await fn();
+  return Date.now() - start;
+};
+
+describe('47bandwidth: BandwidthLimiter tests', function () {
+  it('invalid limits are rejected', function () {
+    expect(() => new BandwidthLimiter(-1)).to.throw(SftpError);
+    return expect(() => new BandwidthLimiter('fast')).to.throw(/must be a number/);
+  });
+
+  it('no limit does not wait', function () {
+    const limiter = new BandwidthLimiter();
+    return expect(limiter.take(1_000_000)).to.equal(undefined);
+  });
+
+  it('take waits for the bucket to refill', async function () {
+    const limiter = new BandwidthLimiter(10_000);
+    const ms = await elapsed(() => limiter.take(2000));
+    return expect(ms).to.be.at.least(180);
+  });
+
+  it('limit changes apply to waiting transfers', async function () {
+    const limiter = new BandwidthLimiter(1000);
+    setTimeout(() => limiter.setLimit(0), 50);
+    const ms = await elapsed(() => limiter.take(10_000));
+    return expect(ms).to.be.below(1000);
+  });
+
+  it('failed wait destroys the throttled stream', async function () {
+    const limiter = new BandwidthLimiter();
+    limiter.take = () => Promise.reject(new Error('limiter failed'));
+    const stream = throttleStream(
+      new Writable({ write: (chunk, enc, cb) => cb() }),
+      limiter,
+    );
+    const failed = new Promise((resolve) => stream.once('error', resolve));
+    stream.write(Buffer.from('data'));
+    const err = await failed;
+    expect(err.message).to.equal('limiter failed');
+    return expect(stream.destroyed).to.equal(true);
+  });
+});
+
+describe('47bandwidth: throttled transfers', function () {
+  let sftp, remoteDir;
+  const data = Buffer.alloc(20_000, 'b');
+
+  before('bandwidth setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/bandwidth-dir`;
+    await sftp.mkdir(remoteDir, true);
+    await sftp.put(data, `${remoteDir}/data.bin`);
+    return true;
+  });
+
+  after('bandwidth cleanup hook', async function () {
+    sftp.setBandwidthLimit(0);
+    await sftp.rmdir(remoteDir, true);
+    await sftp.end();
+    return true;
+  });
+
+  it('get with bandwidthLimit option is throttled', async function () {
+    let result;
+    const ms = await elapsed(async () => {
+      result = await sftp.get(`${remoteDir}/data.bin`, undefined, {
+        bandwidthLimit: 40_000,
+      });
+    });
+    expect(result.equals(data)).to.equal(true);
+    return expect(ms).to.be.at.least(400);
+  });
+
+  it('put with bandwidthLimit option is throttled', async function () {
+    const ms = await elapsed(() =>
+      sftp.put(data, `${remoteDir}/put.bin`, { bandwidthLimit: 40_000 }),
+    );
+    expect(ms).to.be.at.least(400);
+    return expect((await sftp.stat(`${remoteDir}/put.bin`)).size).to.equal(20_000);
+  });
+
+  it('client limit applies as well as per call limits', async function () {
+    sftp.setBandwidthLimit(40_000);
+    try {
+      const limited = await elapsed(() =>
+        sftp.append(Buffer.alloc(10_000), `${remoteDir}/put.bin`),
+      );
+      expect(limited).to.be.at.least(200);
+      const noLimit = await elapsed(() =>
+        sftp.get(`${remoteDir}/data.bin`, undefined, { bandwidthLimit: 0 }),
+      );
+      expect(noLimit).to.be.at.least(400);
+      const higher = await elapsed(() =>
+        sftp.get(`${remoteDir}/data.bin`, undefined, { bandwidthLimit: 1_000_000 }),
+      );
+      return expect(higher).to.be.at.least(400);
+    } finally {
+      sftp.setBandwidthLimit(0);
+    }
+  });
+
+  it('createReadStream with bandwidthLimit option is throttled', async function () {
+    const ms = await elapsed(
+      () =>
+        new Promise((resolve, reject) => {
+          const stream = sftp.createReadStream(`${remoteDir}/data.bin`, {
+            bandwidthLimit: 40_000,
+          });
+          stream.on('error', reject);
+          stream.on('data', () => {});
+          stream.on('end', resolve);
+        }),
+    );
+    return expect(ms).to.be.at.least(400);
+  });
+
+  it('invalid client limit is rejected', function () {
+    return expect(() => sftp.setBandwidthLimit('fast')).to.throw(SftpError);
+  });
+});
+
+describe('47bandwidth: limiter shared between clients', function () {
+  let clients, remoteDir;
+  const limiter = new BandwidthLimiter(40_000);
+
+  before('shared bandwidth setup hook', async function () {
+    const baseConfig = { ...config, bandwidthLimit: limiter };
+    delete baseConfig.privateKey;
+    delete baseConfig.passphrase;
+    clients = [new Client('bw1'), new Client('bw2')];
+    for (const client of clients) {
+      await client.connect(baseConfig);
+    }
+    remoteDir = `${config.sftpUrl}/bandwidth-shared`;
+    await clients[0].mkdir(remoteDir, true);
+    return true;
+  });
+
+  after('shared bandwidth cleanup hook', async function () {
+    await clients[0].rmdir(remoteDir, true);
+    for (const client of clients) {
+      await client.end();
+    }
+    return true;
+  });
+
+  it('concurrent uploads share the limit', async function () {
+    const ms = await elapsed(() =>
+      Promise.all(
+        clients.map((client, i) =>
+          client.put(Buffer.alloc(20_000), `${remoteDir}/file${i}.bin`),
+        ),
+      ),
+    );
+    return expect(ms).to.be.at.least(900);
+  });
+
+  it('per call limits do not bypass the shared limit', async function () {
+    const ms = await elapsed(() =>
+      Promise.all(
+        clients.map((client, i) =>
+          client.put(Buffer.alloc(20_000), `${remoteDir}/call${i}.bin`, {
+            bandwidthLimit: 1_000_000,
+          }),
+        ),
+      ),
+    );
+    return expect(ms).to.be.at.least(900);
+  });
+});
@@ -0,0 +1,118 @@
+import Client from '../src/index.js';
+import MockSftpServer from '../src/mock-server.js';
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { ConnectionError, PermissionDeniedError, SftpError } from '../src/errors.js';
+
+use(chaiAsPromised);
+
+describe('48mock-server: MockSftpServer tests', function () {
+  let server, config, sftp;
+
+  before('mock server setup hook', async function () {
+    server = new MockSftpServer();
+    config = await server.start();
+    mkdirSync(server.localPath('/data'));
+    writeFileSync(server.localPath('/data/file.txt'), 'mock data');
+    sftp = new Client('mock');
+    await sftp.connect(config);
+    return true;
+  });
+
+  afterEach('clear faults hook', function () {
+    server.clearFaults();
+  });
+
+  after('mock server cleanup hook', async function () {
+    await sftp.end();
+    const root = server.root;
+    await server.stop();
+    return expect(existsSync(root)).to.equal(false);
+  });
+
+  it('serves files from the root directory', async function () {
+    const data = await sftp.get('/data/file.txt');
+    expect(data.toString()).to.equal('mock data');
+    await sftp.put(Buffer.from('uploaded'), '/data/upload.txt');
+    expect(readFileSync(server.localPath('/data/upload.txt'), 'utf8')).to.equal(
+      'uploaded',
+    );
+    const listing = await sftp.list('/data');
+    return expect(listing.map((i) => i.name).sort()).to.deep.equal([
+      'file.txt',
+      'upload.txt',
+    ]);
+  });
+
+  it('advertises the default extensions', async function () {
+    const { supports } = await sftp.getCapabilities();
+    expect(supports.posixRename).to.equal(true);
+    return expect(supports.copyData).to.equal(true);
+  });
+
+  it('permission fault rejects the request', async function () {
+    server.injectFault({ op: 'stat', type: 'permission', path: 'file.txt' });
+    const err = await sftp.stat('/data/file.txt').catch((e) => e);
+    expect(err).to.be.an.instanceOf(PermissionDeniedError);
+    return expect((await sftp.stat('/data/file.txt')).isFile).to.equal(true);
+  });
+
+  it('error fault rejects with the fault message', function () {
+    server.injectFault({ op: 'rename', type: 'error', message: 'Disk on fire' });
+    return expect(sftp.rename('/data/file.txt', '/data/renamed.txt')).to.be.rejectedWith(
+      /Disk on fire/,
+    );
+  });
+
+  it('slow fault delays responses', async function () {
+    server.injectFault({ op: 'read', type: 'slow', delay: 200 });
+    const start = Date.now();
+    await sftp.get('/data/file.txt');
+    return expect(Date.now() - start).to.be.at.least(200);
+  });
+
+  it('invalid faults are rejected', function () {
+    expect(() => server.injectFault({ op: 'read', type: 'explode' })).to.throw(SftpError);
+    return expect(() => server.injectFault({ type: 'slow' })).to.throw(/'op'/);
+  });
+
+  it('disconnect fault closes the connection', async function () {
+    server.injectFault({ op: 'opendir', type: 'disconnect' });
+    const err = await sftp.list('/data').catch((e) => e);
+    expect(err).to.be.an.instanceOf(ConnectionError);
+    await sftp.end();
+    sftp = new Client('mock');
+    await sftp.connect(config);
+    return expect(await sftp.exists('/data/file.txt')).to.equal('-');
+  });
+});
+
+describe('48mock-server: MockSftpServer options', function () {
+  it('extensions option replaces the advertised extensions', async function () {
+    const server = new MockSftpServer({ extensions: { 'copy-file': '1' } });
+    const sftp = new Client('mock');
+    try {
+      await sftp.connect(await server.start());
+      const { supports } = await sftp.getCapabilities();
+      expect(supports.copyFile).to.equal(true);
+      return expect(supports.posixRename).to.equal(false);
+    } finally {
+      await sftp.end();
+      await server.stop();
+    }
+  });
+
+  it('wrong password is rejected', async function () {
+    const server = new MockSftpServer({ password: 'secret' });
+    try {
+      const config = await server.start();
+      return await expect(
+        new Client('mock').connect({ ...config, password: 'wrong' }),
+      ).to.be.rejectedWith(ConnectionError);
+    } finally {
+      await server.stop();
+    }
+  });
+});
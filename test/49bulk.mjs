@@ -0,0 +1,165 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { mkdirSync, readFileSync, rmSync } from 'node:fs';
+import { mapLimit } from '../src/utils.js';
+import { PathNotFoundError } from '../src/errors.js';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('49bulk: mapLimit() tests', function () {
+  it('keeps the limit in flight without waiting for batches', async function () {
+    let active = 0;
+    let maxActive = 0;
+    const started = [];
+    const delays = [50, 10, 10, 10, 10];
+    const outcomes = await mapLimit(delays, 2, async (ms, i) => {
+      started.push(i);
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      active--;
+      return i;
+    });
+    expect(maxActive).to.equal(2);
+    // items 2-4 all run alongside the slow item 0
+    expect(started).to.deep.equal([0, 1, 2, 3, 4]);
+    return expect(outcomes.map((o) => o.value)).to.deep.equal([0, 1, 2, 3, 4]);
+  });
+
+  it('reports failures without stopping', async function () {
+    const outcomes = await mapLimit([1, 2, 3], 3, async (n) => {
+      if (n === 2) {
+        throw new Error('two');
+      }
+      return n;
+    });
+    expect(outcomes[0]).to.deep.equal({ status: 'fulfilled', value: 1 });
+    expect(outcomes[1].status).to.equal('rejected');
+    expect(outcomes[1].reason.message).to.equal('two');
+    return expect(outcomes[2].value).to.equal(3);
+  });
+
+  it('stops starting items when aborted', async function () {
+    const controller = new AbortController();
+    const seen = [];
+    const promise = mapLimit(
+      [1, 2, 3, 4],
+      1,
+      async (n) => {
+        seen.push(n);
+        controller.abort();
+      },
+      controller.signal,
+    );
+    await expect(promise).to.be.rejected;
+    return expect(seen).to.deep.equal([1]);
+  });
+
+  it('invalid limit is rejected', function () {
+    return expect(mapLimit([1], 0, async () => {})).to.be.rejectedWith(
+      /greater than zero/,
+    );
+  });
+});
+
+describe('49bulk: bulk operation tests', function () {
+  let sftp, remoteDir, localDir;
+
+  before('bulk setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/bulk-dir`;
+    localDir = makeLocalPath(config.localUrl, 'bulk-local');
+    await sftp.mkdir(remoteDir, true);
+    mkdirSync(localDir, { recursive: true });
+    return true;
+  });
+
+  after('bulk cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('putMany uploads all items', async function () {
+    const items = [1, 2, 3, 4, 5].map((n) => ({
+      local: Buffer.from(`bulk file ${n}`),
+      remote: `${remoteDir}/file${n}.txt`,
+    }));
+    const result = await sftp.putMany(items, { concurrency: 2 });
+    expect(result.failed).to.deep.equal([]);
+    expect(result.succeeded.map((r) => r.remote)).to.deep.equal(
+      items.map((i) => i.remote),
+    );
+    return expect(await sftp.exists(`${remoteDir}/file5.txt`)).to.equal('-');
+  });
+
+  it('putMany reports failed items', async function () {
+    const result = await sftp.putMany([
+      { local: Buffer.from('ok'), remote: `${remoteDir}/ok.txt` },
+      { local: makeLocalPath(localDir, 'missing.txt'), remote: `${remoteDir}/x.txt` },
+    ]);
+    expect(result.succeeded.length).to.equal(1);
+    expect(result.failed.length).to.equal(1);
+    return expect(result.failed[0].remote).to.equal(`${remoteDir}/x.txt`);
+  });
+
+  it('getMany downloads items and reports failures', async function () {
+    const items = [1, 2, 3].map((n) => ({
+      remote: `${remoteDir}/file${n}.txt`,
+      local: makeLocalPath(localDir, `file${n}.txt`),
+    }));
+    items.push({
+      remote: `${remoteDir}/no-such-file.txt`,
+      local: makeLocalPath(localDir, 'none.txt'),
+    });
+    const result = await sftp.getMany(items, { concurrency: 2 });
+    expect(result.succeeded.length).to.equal(3);
+    expect(readFileSync(items[2].local, 'utf8')).to.equal('bulk file 3');
+    expect(result.failed.length).to.equal(1);
+    expect(result.failed[0].remote).to.equal(`${remoteDir}/no-such-file.txt`);
+    return expect(result.failed[0].error).to.be.an.instanceOf(Error);
+  });
+
+  it('statMany returns stats for each path', async function () {
+    const result = await sftp.statMany([
+      `${remoteDir}/file1.txt`,
+      `${remoteDir}/no-such-file.txt`,
+      remoteDir,
+    ]);
+    expect(result.succeeded.map((r) => r.path)).to.deep.equal([
+      `${remoteDir}/file1.txt`,
+      remoteDir,
+    ]);
+    expect(result.succeeded[0].result.size).to.equal(11);
+    expect(result.succeeded[1].result.isDirectory).to.equal(true);
+    return expect(result.failed[0].error).to.be.an.instanceOf(PathNotFoundError);
+  });
+
+  it('deleteMany deletes paths', async function () {
+    const paths = [1, 2, 3].map((n) => `${remoteDir}/file${n}.txt`);
+    const result = await sftp.deleteMany([...paths, `${remoteDir}/no-such-file.txt`], {
+      notFoundOK: true,
+    });
+    expect(result.failed).to.deep.equal([]);
+    expect(result.succeeded.length).to.equal(4);
+    return expect(await sftp.exists(paths[0])).to.equal(false);
+  });
+
+  it('deleteMany without notFoundOK reports missing paths', async function () {
+    const result = await sftp.deleteMany([`${remoteDir}/no-such-file.txt`]);
+    return expect(result.failed[0].path).to.equal(`${remoteDir}/no-such-file.txt`);
+  });
+
+  it('bulk methods reject items which are not an array', function () {
+    return expect(sftp.statMany('not-an-array')).to.be.rejectedWith(/array of items/);
+  });
+
+  it('aborted bulk operation rejects with AbortError', function () {
+    return expect(
+      sftp.statMany([remoteDir], { signal: AbortSignal.abort() }),
+    ).to.be.rejected.and.eventually.have.property('code', 'ABORT_ERR');
+  });
+});
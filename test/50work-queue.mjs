@@ -0,0 +1,139 @@
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { sleep, taskQueue } from '../src/utils.js';
+import { config, getConnection, makeLocalPath } from './hooks/global-hooks.mjs';
+
+use(chaiAsPromised);
+
+describe('50work-queue: taskQueue() tests', function () {
+  it('keeps the limit in progress', async function () {
+    let active = 0;
+    let maxActive = 0;
+    const started = [];
+    const queue = taskQueue(2);
+    for (const [i, ms] of [50, 10, 10, 10, 10].entries()) {
+      queue.push(async () => {
+        started.push(i);
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(ms);
+        active--;
+      });
+    }
+    const first = started.slice();
+    await queue.done();
+    expect(first).to.deep.equal([0, 1]);
+    expect(maxActive).to.equal(2);
+    return expect(started).to.deep.equal([0, 1, 2, 3, 4]);
+  });
+
+  it('tasks can add tasks', async function () {
+    const seen = [];
+    const queue = taskQueue(3);
+    const visit = (depth) => {
+      queue.push(async () => {
+        seen.push(depth);
+        await sleep(5);
+        if (depth < 3) {
+          visit(depth + 1);
+          visit(depth + 1);
+        }
+      });
+    };
+    visit(0);
+    await queue.done();
+    return expect(seen.length).to.equal(15);
+  });
+
+  it('done() resolves for an empty queue', function () {
+    return expect(taskQueue(1).done()).to.be.fulfilled;
+  });
+
+  it('failure stops new tasks and rejects done()', async function () {
+    const seen = [];
+    const queue = taskQueue(1);
+    queue.push(async () => {
+      throw new Error('task failed');
+    });
+    queue.push(async () => {
+      seen.push(2);
+    });
+    await expect(queue.done()).to.be.rejectedWith(/task failed/);
+    return expect(seen).to.deep.equal([]);
+  });
+
+  it('abort stops new tasks', async function () {
+    const controller = new AbortController();
+    const seen = [];
+    const queue = taskQueue(1, controller.signal);
+    for (const n of [1, 2, 3]) {
+      queue.push(async () => {
+        seen.push(n);
+        controller.abort();
+      });
+    }
+    await expect(queue.done()).to.be.rejected;
+    return expect(seen).to.deep.equal([1]);
+  });
+
+  it('invalid limit is rejected', function () {
+    return expect(() => taskQueue(0)).to.throw(/greater than zero/);
+  });
+});
+
+describe('50work-queue: directory transfers', function () {
+  let sftp, remoteDir, localDir;
+  const files = [
+    'big.bin',
+    'a/one.txt',
+    'a/b/two.txt',
+    'a/b/c/three.txt',
+    'a/b/c/d/four.txt',
+    'e/five.txt',
+  ];
+  const content = (name) =>
+    name === 'big.bin' ? Buffer.alloc(500_000, 'x') : Buffer.from(`content of ${name}`);
+
+  before('work queue setup hook', async function () {
+    sftp = await getConnection();
+    remoteDir = `${config.sftpUrl}/work-queue`;
+    localDir = makeLocalPath(config.localUrl, 'work-queue');
+    for (const name of files) {
+      const path = makeLocalPath(localDir, 'src', name);
+      mkdirSync(makeLocalPath(path, '..'), { recursive: true });
+      writeFileSync(path, content(name));
+    }
+    return true;
+  });
+
+  after('work queue cleanup hook', async function () {
+    await sftp.rmdir(remoteDir, true);
+    rmSync(localDir, { recursive: true, force: true });
+    await sftp.end();
+    return true;
+  });
+
+  it('uploadDir uploads a nested tree', async function () {
+    const uploaded = [];
+    const listener = (info) => uploaded.push(info.destination);
+    sftp.on('upload', listener);
+    try {
+      await sftp.uploadDir(makeLocalPath(localDir, 'src'), remoteDir);
+    } finally {
+      sftp.removeListener('upload', listener);
+    }
+    expect(uploaded.sort()).to.deep.equal(files.map((f) => `${remoteDir}/${f}`).sort());
+    return expect(await sftp.exists(`${remoteDir}/a/b/c/d/four.txt`)).to.equal('-');
+  });
+
+  it('downloadDir downloads a nested tree', async function () {
+    const dst = makeLocalPath(localDir, 'dst');
+    await sftp.downloadDir(remoteDir, dst, { preserve: true });
+    for (const name of files) {
+      expect(readFileSync(makeLocalPath(dst, name)).equals(content(name))).to.equal(true);
+    }
+    return true;
+  });
+});
@@ -0,0 +1,127 @@
+import Client from '../src/index.js';
+import MockSftpServer from '../src/mock-server.js';
+import { expect as _expect, use } from 'chai';
+const expect = _expect;
+import chaiAsPromised from 'chai-as-promised';
+import { existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+use(chaiAsPromised);
+
+describe('51continue-on-error: continueOnError option tests', function () {
+  let server, sftp, localDir;
+
+  const makeTree = (base) => {
+    mkdirSync(join(base, 'sub'), { recursive: true });
+    writeFileSync(join(base, 'a.txt'), 'aaaa');
+    writeFileSync(join(base, 'bad.txt'), 'bad');
+    writeFileSync(join(base, 'skip.log'), 'log');
+    writeFileSync(join(base, 'sub', 'c.txt'), 'cccccc');
+  };
+
+  before('continueOnError setup hook', async function () {
+    server = new MockSftpServer();
+    const config = await server.start();
+    sftp = new Client('continue');
+    await sftp.connect(config);
+    localDir = mkdtempSync(join(tmpdir(), 'continue-'));
+    makeTree(join(localDir, 'src'));
+    return true;
+  });
+
+  beforeEach('reset remote tree hook', function () {
+    rmSync(server.localPath('/tree'), { recursive: true, force: true });
+    makeTree(server.localPath('/tree'));
+  });
+
+  afterEach('clear faults hook', function () {
+    server.clearFaults();
+  });
+
+  after('continueOnError cleanup hook', async function () {
+    await sftp.end();
+    await server.stop();
+    rmSync(localDir, { recursive: true, force: true });
+    return true;
+  });
+
+  it('uploadDir reports failed files and continues', async function () {
+    const src = join(localDir, 'src');
+    server.injectFault({ op: 'open', type: 'permission', path: 'bad.txt' });
+    const report = await sftp.uploadDir(src, '/upload', {
+      continueOnError: true,
+      filter: (path) => !path.endsWith('.log'),
+    });
+    expect(report.succeeded.sort()).to.deep.equal([
+      join(src, 'a.txt'),
+      join(src, 'sub', 'c.txt'),
+    ]);
+    expect(report.failed.length).to.equal(1);
+    expect(report.failed[0].path).to.equal(join(src, 'bad.txt'));
+    expect(report.failed[0].error).to.be.an.instanceOf(Error);
+    expect(report.skipped).to.deep.equal([join(src, 'skip.log')]);
+    expect(report.bytes).to.equal(10);
+    expect(report.durationMs).to.be.a('number');
+    return expect(existsSync(server.localPath('/upload/sub/c.txt'))).to.equal(true);
+  });
+
+  it('uploadDir without continueOnError stops at the first error', async function () {
+    server.injectFault({ op: 'open', type: 'permission', path: 'bad.txt' });
+    return expect(
+      sftp.uploadDir(join(localDir, 'src'), '/upload-fail'),
+    ).to.be.rejectedWith(/bad.txt/);
+  });
+
+  it('uploadDir with continueOnError still rejects a bad source', function () {
+    return expect(
+      sftp.uploadDir(join(localDir, 'no-such-dir'), '/upload', { continueOnError: true }),
+    ).to.be.rejectedWith(/not exist/);
+  });
+
+  it('downloadDir reports failed files and directories', async function () {
+    const dst = join(localDir, 'download');
+    server.injectFault({ op: 'open', type: 'permission', path: 'bad.txt' });
+    server.injectFault({ op: 'opendir', type: 'permission', path: 'sub' });
+    const report = await sftp.downloadDir('/tree', dst, { continueOnError: true });
+    expect(report.succeeded.sort()).to.deep.equal(['/tree/a.txt', '/tree/skip.log']);
+    expect(report.failed.map((f) => f.path).sort()).to.deep.equal([
+      '/tree/bad.txt',
+      '/tree/sub',
+    ]);
+    expect(report.bytes).to.equal(7);
+    return expect(existsSync(join(dst, 'a.txt'))).to.equal(true);
+  });
+
+  it('downloadDir returns a message without continueOnError', function () {
+    return expect(sftp.downloadDir('/tree', join(localDir, 'download2'))).to.become(
+      `/tree downloaded to ${join(localDir, 'download2')}`,
+    );
+  });
+
+  it('rmdir reports failed entries and skips their directories', async function () {
+    server.injectFault({ op: 'remove', type: 'permission', path: 'c.txt' });
+    const report = await sftp.rmdir('/tree', true, { continueOnError: true });
+    expect(report.failed.map((f) => f.path)).to.deep.equal(['/tree/sub/c.txt']);
+    expect(report.skipped).to.deep.equal(['/tree/sub', '/tree']);
+    expect(report.succeeded.sort()).to.deep.equal([
+      '/tree/a.txt',
+      '/tree/bad.txt',
+      '/tree/skip.log',
+    ]);
+    expect(report.bytes).to.equal(10);
+    return expect(existsSync(server.localPath('/tree/sub/c.txt'))).to.equal(true);
+  });
+
+  it('rmdir removes the whole tree when nothing fails', async function () {
+    const report = await sftp.rmdir('/tree', true, { continueOnError: true });
+    expect(report.failed).to.deep.equal([]);
+    expect(report.succeeded).to.include('/tree');
+    return expect(existsSync(server.localPath('/tree'))).to.equal(false);
+  });
+
+  it('rmdir without continueOnError stops at the first error', function () {
+    server.injectFault({ op: 'remove', type: 'permission', path: 'c.txt' });
+    return expect(sftp.rmdir('/tree', true)).to.be.rejected;
+  });
+});